@@ -5,8 +5,9 @@ import { constants }    from '../src/model/constants.js';
 import { FVTTCompat }   from '../src/FVTTCompat.js';
 
 import dbSchema_1       from './dbSchema_1.js';
-import dbSchema_2       from './dbSchema_2.js';
-import dbSchema_3       from './dbSchema_3.js';
+
+import dbSchema_2, { migrateQuestData as dbSchemaData_2 } from './dbSchema_2.js';
+import dbSchema_3, { migrateQuestData as dbSchemaData_3 } from './dbSchema_3.js';
 
 /**
  * Defines the callback functions to execute for each schemaVersion level.
@@ -20,6 +21,19 @@ const migrateImpl = {
    3: dbSchema_3, // V10 image / name refresh - dnd5e system amongst others have significant image path changes for compendiums.
 };
 
+/**
+ * Defines the callback functions to execute for each schemaVersion level against serialized quest data that is not
+ * stored in the world; IE quest data imported from a quest bundle.
+ *
+ * @type {{[version: number]: Function}}
+ */
+const migrateDataImpl = {
+   0: () => {},       // Schema level 0 is a noop.
+   1: () => {},       // Schema 1 - new data fields are added by `Quest.initData`.
+   2: dbSchemaData_2, // Schema 2 - convert 'hidden' status to 'inactive'.
+   3: dbSchemaData_3, // V10 image refresh - remap dnd5e system image paths.
+};
+
 /**
  * Provides a utility module to manage DB migrations when new versions of FQL are installed / loaded for the first time.
  * These updates are organized as schema versions with callback functions defined above. Each schema migration function
@@ -134,4 +148,29 @@ export default class DBMigration
          console.error(err);
       }
    }
+
+   /**
+    * Runs the schema migration steps against serialized quest data that was created with an older schema version. This
+    * is used when importing quest bundles created in another world; see {@link QuestTransfer.importBundle}. The quest
+    * data is modified in place.
+    *
+    * @param {object[]} questData - An array of serialized quest data.
+    *
+    * @param {number}   schemaVersion - The schema version of the quest data.
+    *
+    * @returns {Promise<object[]>} The migrated quest data.
+    */
+   static async migrateData(questData, schemaVersion)
+   {
+      if (!Array.isArray(questData) || !Number.isInteger(schemaVersion) || schemaVersion < 0) { return questData; }
+
+      for (let version = schemaVersion + 1; version <= this.version; version++)
+      {
+         if (typeof migrateDataImpl[version] !== 'function') { continue; }
+
+         await migrateDataImpl[version](questData);
+      }
+
+      return questData;
+   }
 }
\ No newline at end of file
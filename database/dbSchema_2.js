@@ -69,3 +69,18 @@ export default async function()
    // Set the DBMigration.setting to `2` indicating that migration to schema version `2` is complete.
    await game.settings.set(constants.moduleName, DBMigration.setting, 2);
 }
+
+/**
+ * Performs the schema 2 data conversion against serialized quest data not stored in the world; IE an imported quest
+ * bundle. Quest giver data is not looked up as the quest giver may not exist in this world.
+ *
+ * @param {object[]} questData - An array of serialized quest data.
+ */
+export function migrateQuestData(questData)
+{
+   for (const data of questData)
+   {
+      // Change any status of 'hidden' to 'inactive'.
+      if (data?.status === 'hidden') { data.status = questStatus.inactive; }
+   }
+}
\ No newline at end of file
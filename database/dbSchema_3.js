@@ -23,20 +23,10 @@ export default async function()
    const folder = await Utils.initializeQuestFolder();
    if (!folder) { return; }
 
-   let dnd5eIconMap = void 0;
+   const dnd5eIconMap = await getDnd5eIconMap();
 
    const removedData = [];
 
-   // Retrieve DnD5e system icon migration map if applicable.
-   if (typeof game?.dnd5e?.migrations?.getMigrationData === 'function')
-   {
-      const dndData = await game.dnd5e.migrations.getMigrationData();
-      if (dndData && typeof dndData?.iconMap === 'object' && dndData?.iconMap !== null)
-      {
-         dnd5eIconMap = dndData.iconMap;
-      }
-   }
-
    for (const entry of FVTTCompat.folderContents(folder))
    {
       try
@@ -126,6 +116,69 @@ export default async function()
    await game.settings.set(constants.moduleName, DBMigration.setting, 3);
 }
 
+/**
+ * Performs the schema 3 image remapping against serialized quest data not stored in the world; IE an imported quest
+ * bundle. Only the dnd5e system image paths are remapped as quest givers and reward items may not exist in this world.
+ *
+ * @param {object[]} questData - An array of serialized quest data.
+ *
+ * @returns {Promise<void>}
+ */
+export async function migrateQuestData(questData)
+{
+   if (!FVTTCompat.isV10) { return; }
+
+   const dnd5eIconMap = await getDnd5eIconMap();
+   if (!dnd5eIconMap) { return; }
+
+   for (const data of questData)
+   {
+      if (typeof data !== 'object' || data === null) { continue; }
+
+      handleSplashImage(data, dnd5eIconMap);
+
+      if (data.giver === 'abstract')
+      {
+         const newPath = swap5eImage(data.image, dnd5eIconMap);
+         if (typeof newPath === 'string')
+         {
+            data.image = newPath;
+            if (data.giverData && typeof data.giverData?.img === 'string') { data.giverData.img = newPath; }
+         }
+      }
+
+      if (!Array.isArray(data.rewards)) { continue; }
+
+      for (const reward of data.rewards)
+      {
+         if (reward?.type === 'Abstract' && typeof reward?.data?.img === 'string')
+         {
+            const newPath = swap5eImage(reward.data.img, dnd5eIconMap);
+            if (typeof newPath === 'string') { reward.data.img = newPath; }
+         }
+      }
+   }
+}
+
+/**
+ * Retrieves the DnD5e system icon migration map if applicable.
+ *
+ * @returns {Promise<object|void>} The DnD5e icon map.
+ */
+async function getDnd5eIconMap()
+{
+   if (typeof game?.dnd5e?.migrations?.getMigrationData === 'function')
+   {
+      const dndData = await game.dnd5e.migrations.getMigrationData();
+      if (dndData && typeof dndData?.iconMap === 'object' && dndData?.iconMap !== null)
+      {
+         return dndData.iconMap;
+      }
+   }
+
+   return void 0;
+}
+
 /**
  * @param {string}   path -
  *
@@ -153,7 +206,7 @@ function swap5eImage(path, dnd5eIconMap)
 /**
  * Update quest splash image specifically for remapping dnd5e system images.
  *
- * @param {Quest}    quest -
+ * @param {Quest|object} quest -
  *
  * @param {object}   dnd5eIconMap -
  */
@@ -1,7 +1,12 @@
-import FoundryUIManager from './control/FoundryUIManager.js';
-import QuestDB          from './control/QuestDB.js';
-import Utils            from './control/Utils.js';
-import ViewManager      from './control/ViewManager.js';
+import FoundryUIManager      from './control/FoundryUIManager.js';
+import QuestDB               from './control/QuestDB.js';
+import Utils                 from './control/Utils.js';
+import ViewManager           from './control/ViewManager.js';
+import QuestCategoryConfig   from './view/QuestCategoryConfig.js';
+import QuestStatusConfig     from './view/QuestStatusConfig.js';
+import QuestTemplateConfig   from './view/QuestTemplateConfig.js';
+import QuestTransitionConfig from './view/QuestTransitionConfig.js';
+import RewardPartyConfig     from './view/RewardPartyConfig.js';
 
 import { constants, noteControls, questStatus, sessionConstants, settings } from './model/constants.js';
 
@@ -12,6 +17,18 @@ import { constants, noteControls, questStatus, sessionConstants, settings } from
  */
 const s_QUEST_TRACKER_DEFAULT = { top: 80, width: 296 };
 
+/**
+ * The default quest categories. The names are localized when displayed, so the defaults are stored as i18n keys.
+ *
+ * @type {QuestCategoryData[]}
+ */
+const s_QUEST_CATEGORIES_DEFAULT = [
+   { id: 'main', name: 'ForienQuestLog.QuestCategories.Defaults.Main', color: '#c9a227', icon: 'fas fa-crown' },
+   { id: 'side', name: 'ForienQuestLog.QuestCategories.Defaults.Side', color: '#4a7ab5', icon: 'fas fa-compass' },
+   { id: 'faction', name: 'ForienQuestLog.QuestCategories.Defaults.Faction', color: '#8e3b46', icon: 'fas fa-shield-alt' },
+   { id: 'personal', name: 'ForienQuestLog.QuestCategories.Defaults.Personal', color: '#3f8a4e', icon: 'fas fa-user' }
+];
+
 /**
  * Constants for setting scope type.
  *
@@ -265,6 +282,29 @@ export default class ModuleSettings
          }
       });
 
+      game.settings.register(constants.moduleName, settings.chatAnnounceStatus, {
+         name: 'ForienQuestLog.Settings.chatAnnounceStatus.Enable',
+         hint: 'ForienQuestLog.Settings.chatAnnounceStatus.EnableHint',
+         scope: scope.world,
+         config: true,
+         default: false,
+         type: Boolean
+      });
+
+      game.settings.register(constants.moduleName, settings.deadlineAction, {
+         name: 'ForienQuestLog.Settings.deadlineAction.Enable',
+         hint: 'ForienQuestLog.Settings.deadlineAction.EnableHint',
+         scope: scope.world,
+         config: true,
+         default: 'warn',
+         type: String,
+         choices: {
+            none: 'ForienQuestLog.Settings.deadlineAction.none',
+            warn: 'ForienQuestLog.Settings.deadlineAction.warn',
+            fail: 'ForienQuestLog.Settings.deadlineAction.fail'
+         }
+      });
+
       game.settings.register(constants.moduleName, settings.showFolder, {
          name: 'ForienQuestLog.Settings.showFolder.Enable',
          hint: 'ForienQuestLog.Settings.showFolder.EnableHint',
@@ -275,6 +315,51 @@ export default class ModuleSettings
          onChange: () => game.journal.render()  // Render the journal to show / hide the quest folder.
       });
 
+      game.settings.registerMenu(constants.moduleName, settings.questCategories, {
+         name: 'ForienQuestLog.Settings.questCategories.Enable',
+         label: 'ForienQuestLog.Settings.questCategories.Label',
+         hint: 'ForienQuestLog.Settings.questCategories.EnableHint',
+         icon: 'fas fa-tags',
+         type: QuestCategoryConfig,
+         restricted: true
+      });
+
+      game.settings.registerMenu(constants.moduleName, settings.customStatuses, {
+         name: 'ForienQuestLog.Settings.customStatuses.Enable',
+         label: 'ForienQuestLog.Settings.customStatuses.Label',
+         hint: 'ForienQuestLog.Settings.customStatuses.EnableHint',
+         icon: 'fas fa-list-ol',
+         type: QuestStatusConfig,
+         restricted: true
+      });
+
+      game.settings.registerMenu(constants.moduleName, settings.questTemplates, {
+         name: 'ForienQuestLog.Settings.questTemplates.Enable',
+         label: 'ForienQuestLog.Settings.questTemplates.Label',
+         hint: 'ForienQuestLog.Settings.questTemplates.EnableHint',
+         icon: 'fas fa-clone',
+         type: QuestTemplateConfig,
+         restricted: true
+      });
+
+      game.settings.registerMenu(constants.moduleName, settings.statusTransitions, {
+         name: 'ForienQuestLog.Settings.statusTransitions.Enable',
+         label: 'ForienQuestLog.Settings.statusTransitions.Label',
+         hint: 'ForienQuestLog.Settings.statusTransitions.EnableHint',
+         icon: 'fas fa-exchange-alt',
+         type: QuestTransitionConfig,
+         restricted: true
+      });
+
+      game.settings.registerMenu(constants.moduleName, settings.rewardParty, {
+         name: 'ForienQuestLog.Settings.rewardParty.Enable',
+         label: 'ForienQuestLog.Settings.rewardParty.Label',
+         hint: 'ForienQuestLog.Settings.rewardParty.EnableHint',
+         icon: 'fas fa-users',
+         type: RewardPartyConfig,
+         restricted: true
+      });
+
 // Settings not displayed in the module settings ---------------------------------------------------------------------
 
       // Currently provides a hidden setting to set the default abstract reward image.
@@ -286,6 +371,71 @@ export default class ModuleSettings
          type: String
       });
 
+      // Stores the custom quest statuses which are edited by the QuestStatusConfig settings menu.
+      game.settings.register(constants.moduleName, settings.customStatuses, {
+         scope: scope.world,
+         config: false,
+         default: [],
+         type: Array,
+         onChange: async () =>
+         {
+            // QuestDB stores quests by status, so all quests must be loaded again.
+            QuestDB.removeAll();
+            await QuestDB.init();
+
+            // Render all views as the QuestLog tabs and status actions change.
+            ViewManager.renderAll({ force: true, questPreview: true });
+         }
+      });
+
+      // Stores the world quest categories which are edited by the QuestCategoryConfig settings menu.
+      game.settings.register(constants.moduleName, settings.questCategories, {
+         scope: scope.world,
+         config: false,
+         default: s_QUEST_CATEGORIES_DEFAULT,
+         type: Array,
+         onChange: async () =>
+         {
+            // Must enrich all quests again in QuestDB.
+            await QuestDB.enrichAll();
+
+            // Render all views as quest categories are displayed in all views.
+            ViewManager.renderAll({ force: true, questPreview: true });
+         }
+      });
+
+      // Stores the quest templates which are saved from QuestPreview and edited by the QuestTemplateConfig settings menu.
+      game.settings.register(constants.moduleName, settings.questTemplates, {
+         scope: scope.world,
+         config: false,
+         default: [],
+         type: Array
+      });
+
+      // Stores the party actor IDs for reward distribution which are edited by the RewardPartyConfig settings menu.
+      game.settings.register(constants.moduleName, settings.rewardParty, {
+         scope: scope.world,
+         config: false,
+         default: [],
+         type: Array
+      });
+
+      // Stores the minimum role for each status transition which is edited by the QuestTransitionConfig settings menu.
+      game.settings.register(constants.moduleName, settings.statusTransitions, {
+         scope: scope.world,
+         config: false,
+         default: {},
+         type: Object,
+         onChange: async () =>
+         {
+            // Must enrich all quests again in QuestDB.
+            await QuestDB.enrichAll();
+
+            // Render all views as quest status actions need to be shown or hidden for some players.
+            ViewManager.renderAll({ force: true, questPreview: true });
+         }
+      });
+
       game.settings.register(constants.moduleName, settings.questTrackerEnable, {
          scope: scope.client,
          config: false,
@@ -1,10 +1,16 @@
-import QuestDB          from './QuestDB.js';
-import Utils            from './Utils.js';
-import DOMPurify        from '../../external/DOMPurify.js';
+import QuestDB            from './QuestDB.js';
+import QuestStatuses      from './QuestStatuses.js';
+import QuestTimers        from './QuestTimers.js';
+import QuestTriggers      from './QuestTriggers.js';
+import RewardDistribution from './RewardDistribution.js';
+import RewardSystems      from './RewardSystems.js';
+import Utils              from './Utils.js';
+import WorldCalendar      from './WorldCalendar.js';
+import DOMPurify          from '../../external/DOMPurify.js';
 
-import { FVTTCompat }   from '../FVTTCompat.js';
+import { FVTTCompat }     from '../FVTTCompat.js';
 
-import { constants, questStatus, questStatusI18n, settings } from '../model/constants.js';
+import { constants, questStatus, settings } from '../model/constants.js';
 
 /**
  * Enrich populates content with a lot of additional data that doesn't necessarily have to be saved
@@ -17,6 +23,26 @@ import { constants, questStatus, questStatusI18n, settings } from '../model/cons
  */
 export default class Enrich
 {
+   /**
+    * Creates the deadline countdown for a quest with a deadline that has not ended. The countdown is relative to the
+    * world time when enriched, so {@link FQLHooks.updateWorldTime} enriches quests with deadlines again.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {WorldCalendarCountdown|void} The deadline countdown.
+    */
+   static deadline(quest)
+   {
+      if (!Number.isFinite(quest.deadline) || QuestStatuses.get(quest.status)?.date === 'end') { return void 0; }
+
+      const countdown = WorldCalendar.getCountdown(quest.deadline);
+
+      return {
+         ...countdown,
+         tooltip: game.i18n.format('ForienQuestLog.Deadline.Tooltip', { date: countdown.date })
+      };
+   }
+
    /**
     * Lookup the Quest giver by UUID and return the data stored in {@link Quest.giverData}.
     *
@@ -104,92 +130,146 @@ export default class Enrich
    }
 
    /**
-    * Builds the quest status / icons div to control quest status. There are many possible states to construct across
-    * three different user states from GM, trusted player edit, to player accept, so it is easier to build and cache
-    * this data as performing this setup in the Handlebars template itself is cumbersome and error-prone.
+    * Prepares the quest history from {@link Quest.getHistory} for display in the QuestPreview history tab with the
+    * newest entries first. Users who can not edit the quest do not see changes to hidden tasks / rewards or GM notes.
     *
-    * @param {Quest} quest - The quest to build status action div / icons for based on current user state.
+    * @param {Quest}    quest - The quest to prepare the history for.
     *
-    * @returns {string} The HTML to insert into a Handlebars template for quest status div / icons.
+    * @param {boolean}  canEdit - Whether the current user can fully edit the quest.
+    *
+    * @returns {object[]} The history entries for the Handlebars template.
     */
-   static statusActions(quest)
+   static history(quest, canEdit)
    {
-      let result = '';
+      const formatValue = (field, value) =>
+      {
+         if (value === null || value === void 0) { return '—'; }
 
-      const isTrustedPlayerEdit = Utils.isTrustedPlayerEdit();
-      const canAccept = game.settings.get(constants.moduleName, settings.allowPlayersAccept);
-      const canEdit = game.user.isGM || (isTrustedPlayerEdit && quest.isOwner);
+         switch (field)
+         {
+            case 'deadline':
+               return WorldCalendar.formatDate(value);
 
-      let addedAction = false;
+            case 'status':
+               return QuestStatuses.label(value);
 
-      result += `<div class="actions quest-status${!isTrustedPlayerEdit && !canEdit ? ' is-player' : ''}">`;
+            case 'type':
+            {
+               const category = Utils.getQuestCategory(value);
+               return category ? game.i18n.localize(category.name) : value;
+            }
 
-      if (canEdit || canAccept)
-      {
-         if (canEdit && questStatus.active === quest.status)
-         {
-            result += `<i class="move fas fa-check-circle" title="${game.i18n.localize(
-             'ForienQuestLog.QuestTypes.Tooltips.SetCompleted')}" data-target="completed" data-quest-id="${quest.id}"></i>\n`;
+            case 'taskState':
+               return game.i18n.localize(`ForienQuestLog.QuestPreview.History.States.${value}`);
+         }
 
-            result += `<i class="move fas fa-times-circle" title="${game.i18n.localize(
-             'ForienQuestLog.QuestTypes.Tooltips.SetFailed')}" data-target="failed" data-quest-id="${quest.id}"></i>\n`;
+         return typeof value === 'boolean' ?
+          game.i18n.localize(`ForienQuestLog.QuestPreview.History.Boolean.${value}`) : String(value);
+      };
+
+      const unknownUser = game.i18n.localize('ForienQuestLog.QuestPreview.History.UnknownUser');
+
+      return quest.getHistory().filter((entry) => canEdit || (!entry.hidden && entry.field !== 'gmnotes')).map(
+       (entry) => ({
+         user: game.users.get(entry.userId)?.name ?? unknownUser,
+         date: new Date(entry.timestamp).toLocaleString(),
+         field: game.i18n.localize(`ForienQuestLog.QuestPreview.History.Fields.${entry.field}`),
+         label: entry.label,
+         oldValue: formatValue(entry.field, entry.oldValue),
+         newValue: formatValue(entry.field, entry.newValue),
+         hidden: entry.hidden
+      })).reverse();
+   }
 
-            addedAction = true;
-         }
+   /**
+    * Lookup a quest location by UUID and return the data stored in {@link Quest.locationData}. Only Scene, Note, and
+    * JournalEntry documents are valid locations.
+    *
+    * @param {string}   uuid - The Foundry UUID to lookup for location data.
+    *
+    * @returns {Promise<QuestLocationData|null>} The location data associated with this Foundry UUID.
+    */
+   static async locationFromUUID(uuid)
+   {
+      let data = null;
+
+      if (typeof uuid === 'string')
+      {
+         const document = await Utils.getDocumentFromUUID(uuid, { permissionCheck: false });
 
-         // If the quest status is completed add a failed button to be able to move it directly to failed.
-         if (canEdit && questStatus.completed === quest.status)
+         if (document !== null)
          {
-            result += `<i class="move fas fa-times-circle" title="${game.i18n.localize(
-             'ForienQuestLog.QuestTypes.Tooltips.SetFailed')}" data-target="failed" data-quest-id="${quest.id}"></i>\n`;
+            switch (document.documentName)
+            {
+               case JournalEntry.documentName:
+               case Scene.documentName:
+                  data = {
+                     uuid,
+                     name: FVTTCompat.get(document, 'navName') || document.name,
+                     type: document.documentName
+                  };
+                  break;
 
-            addedAction = true;
+               case NoteDocument.documentName:
+                  data = {
+                     uuid,
+                     name: document.label ?? FVTTCompat.get(document, 'text'),
+                     type: document.documentName
+                  };
+                  break;
+            }
          }
+      }
 
-         // If the quest status is failed add a completed button to be able to move it directly to completed.
-         if (canEdit && questStatus.failed === quest.status)
-         {
-            result += `<i class="move fas fa-check-circle" title="${game.i18n.localize(
-             'ForienQuestLog.QuestTypes.Tooltips.SetCompleted')}" data-target="completed" data-quest-id="${quest.id}"></i>\n`;
+      return data;
+   }
 
-            addedAction = true;
-         }
+   /**
+    * Builds the quest status / icons div to control quest status. The status transitions shown are those that the
+    * current user may perform as determined by {@link QuestStatuses.canTransition}, so it is easier to build and cache
+    * this data as performing this setup in the Handlebars template itself is cumbersome and error-prone.
+    *
+    * @param {Quest} quest - The quest to build status action div / icons for based on current user state.
+    *
+    * @returns {string} The HTML to insert into a Handlebars template for quest status div / icons.
+    */
+   static statusActions(quest)
+   {
+      let result = '';
 
-         if ((canEdit && questStatus.inactive === quest.status) || questStatus.available === quest.status)
-         {
-            result += `<i class="move fas fa-play" title="${game.i18n.localize(
-             'ForienQuestLog.QuestTypes.Tooltips.SetActive')}" data-target="active" data-quest-id="${quest.id}"></i>\n`;
+      const isTrustedPlayerEdit = Utils.isTrustedPlayerEdit();
+      const canEdit = game.user.isGM || (isTrustedPlayerEdit && quest.isOwner);
 
-            addedAction = true;
-         }
+      let addedAction = false;
 
-         if (canEdit && questStatus.inactive !== quest.status)
-         {
-            result += `<i class="move fas fa-stop-circle" title="${game.i18n.localize(
-             'ForienQuestLog.QuestTypes.Tooltips.SetInactive')}" data-target="inactive" data-quest-id="${quest.id}"></i>\n`;
+      result += `<div class="actions quest-status${!isTrustedPlayerEdit && !canEdit ? ' is-player' : ''}">`;
 
-            addedAction = true;
-         }
+      const status = QuestStatuses.get(quest.status);
 
-         if ((canEdit && questStatus.inactive === quest.status) || questStatus.active === quest.status)
-         {
-            result += `<i class="move fas fa-clipboard" title="${game.i18n.localize(
-             'ForienQuestLog.QuestTypes.Tooltips.SetAvailable')}" data-target="available" data-quest-id="${quest.id}"></i>\n`;
+      // Only add the status transitions that the current user may perform.
+      for (const target of status ? status.targets : [])
+      {
+         if (!QuestStatuses.canTransition(quest, target)) { continue; }
 
-            addedAction = true;
-         }
+         const targetStatus = QuestStatuses.get(target);
 
-         if (canEdit)
-         {
-            result += `<i class="delete fas fa-trash" title="${game.i18n.localize(
-             'ForienQuestLog.Tooltips.Delete')}" data-quest-id="${quest.id}" data-quest-name="${quest.name}"></i>\n`;
+         result += `<i class="move ${Handlebars.escapeExpression(targetStatus.icon)}" title="${
+          Handlebars.escapeExpression(game.i18n.localize(targetStatus.tooltip))}" data-target="${
+           Handlebars.escapeExpression(target)}" data-quest-id="${quest.id}"></i>\n`;
 
-            addedAction = true;
-         }
+         addedAction = true;
+      }
 
-         result += `</div>\n`;
+      if (canEdit)
+      {
+         result += `<i class="delete fas fa-trash" title="${game.i18n.localize(
+          'ForienQuestLog.Tooltips.Delete')}" data-quest-id="${quest.id}" data-quest-name="${quest.name}"></i>\n`;
+
+         addedAction = true;
       }
 
+      result += `</div>\n`;
+
       return isTrustedPlayerEdit || addedAction ? result : '';
    }
 
@@ -252,13 +332,41 @@ export default class Enrich
          data.questIconType = 'quest-giver';
       }
 
-      const statusLabel = game.i18n.localize(`ForienQuestLog.QuestTypes.Labels.${data.status}`);
+      const statusLabel = game.i18n.localize(QuestStatuses.get(data.status)?.statusLabel ?? data.status);
 
       // The quest status in the details section.
       data.statusLabel = game.i18n.format(`ForienQuestLog.QuestTypes.Labels.Status`, { statusLabel });
 
       data.statusActions = Enrich.statusActions(quest);
 
+      // Resolve any quest category from the world quest categories.
+      const category = Utils.getQuestCategory(data.type);
+
+      data.data_category = category ? {
+         id: category.id,
+         name: game.i18n.localize(category.name),
+         color: category.color,
+         icon: category.icon
+      } : void 0;
+
+      // The quest priority badge tooltip; only displayed when priority is greater than 0.
+      data.priorityLabel = game.i18n.format('ForienQuestLog.Tooltips.Priority', { priority: data.priority });
+
+      // The deadline countdown and the quest dates in world time.
+      data.data_deadline = Enrich.deadline(quest);
+      data.worldDates = Enrich.worldDates(quest);
+
+      // Any real-time countdown timer; the label is updated every second by QuestTimers.
+      data.data_timer = data.timer ? {
+         running: QuestTimers.isRunning(quest),
+         label: QuestTimers.format(QuestTimers.getRemaining(quest)),
+         tooltip: game.i18n.localize(`ForienQuestLog.QuestTimer.Actions.${data.timer.action}`)
+      } : void 0;
+
+      // The names of the macros run when the quest status changes; only GMs select trigger macros.
+      data.data_triggers = game.user.isGM ? QuestTriggers.statuses.map((status) =>
+       QuestTriggers.getMacro(quest.triggers[status])?.name).filter((name) => typeof name === 'string').join(', ') : '';
+
       data.isSubquest = false;
 
       data.data_parent = {};
@@ -309,8 +417,8 @@ export default class Enrich
                const subIsPrimary = subquest.isPrimary;
 
                const statusTooltipData = isInactive ?
-                { statusI18n: game.i18n.localize(questStatusI18n[questStatus.inactive]) } :
-                 { statusI18n: game.i18n.localize(questStatusI18n[subquest.status]) };
+                { statusI18n: QuestStatuses.label(questStatus.inactive) } :
+                 { statusI18n: QuestStatuses.label(subquest.status) };
 
                const statusTooltip = game.i18n.format('ForienQuestLog.QuestTypes.Tooltips.Status', statusTooltipData);
 
@@ -336,26 +444,46 @@ export default class Enrich
          }
       }
 
+      // Flattens tasks and child tasks in depth first order. The child tasks of a hidden task are also hidden.
+      const flattenTasks = (tasks, depth = 0, parent = void 0) => tasks.flatMap((task) =>
+      {
+         const entry = { ...task, depth, parentUuidv4: parent?.uuidv4, hidden: task.hidden || parent?.hidden === true };
+         return [entry, ...flattenTasks(Array.isArray(task.tasks) ? task.tasks : [], depth + 1, entry)];
+      });
+
+      const allTasks = flattenTasks(data.tasks);
+
+      // The UUIDv4s of the tasks visible to players.
+      const visibleTasks = new Set(quest.getVisibleTasks().map((task) => task.uuidv4));
+
+      // The state of a task with child tasks is rolled up from the child tasks, so only the child tasks are counted.
+      const isCounted = (t, filter) => filter(t) && !allTasks.some((c) => c.parentUuidv4 === t.uuidv4 && filter(c));
+
       if (countHidden)
       {
-         data.checkedTasks = data.tasks.filter((t) => t.completed).length;
+         const countedTasks = allTasks.filter((t) => isCounted(t, () => true));
+
+         data.checkedTasks = countedTasks.filter((t) => t.completed).length;
 
          const finishedSubquests = data.data_subquest.filter((s) => questStatus.completed === s.status).length;
 
          data.checkedTasks += finishedSubquests;
 
-         data.totalTasks = data.tasks.length + data.subquests.length;
+         data.totalTasks = countedTasks.length + data.subquests.length;
       }
       else
       {
-         data.checkedTasks = data.tasks.filter((t) => !t.hidden && t.completed).length;
+         // Tasks hidden from players are not counted.
+         const countedTasks = allTasks.filter((t) => isCounted(t, (task) => visibleTasks.has(task.uuidv4)));
+
+         data.checkedTasks = countedTasks.filter((t) => t.completed).length;
 
          const finishedSubquests = data.data_subquest.filter(
           (s) => !s.isObservable && !s.isInactive && questStatus.completed === s.status).length;
 
          data.checkedTasks += finishedSubquests;
 
-         data.totalTasks = data.tasks.filter((t) => !t.hidden).length +
+         data.totalTasks = countedTasks.length +
           data.data_subquest.filter((s) => !s.isObservable && !s.isInactive).length;
       }
 
@@ -374,19 +502,41 @@ export default class Enrich
             break;
       }
 
-      data.data_tasks = await Promise.all(data.tasks.map(async (task) =>
+      data.data_tasks = await Promise.all(allTasks.map(async (task) =>
       {
+         // Lists the names of prerequisite tasks in this quest or any other quest for the locked tooltip.
+         const prerequisiteNames = task.prerequisites.map((uuidv4) =>
+          allTasks.find((t) => t.uuidv4 === uuidv4)?.name ?? QuestDB.findTask(uuidv4)?.task?.name).filter(
+           (name) => typeof name === 'string');
+
          return {
             ...task,
-            name: await TextEditor.enrichHTML(DOMPurify.sanitize(task.name), { async: true })
+            name: await TextEditor.enrichHTML(DOMPurify.sanitize(task.name), { async: true }),
+            lockedTooltip: game.i18n.format('ForienQuestLog.QuestPreview.Tooltips.TaskLocked',
+             { prerequisites: prerequisiteNames.join(', ') }),
+            dateTooltip: Enrich.taskDates(task),
+            hasSubtasks: task.tasks.length > 0,
+            isSubtask: task.depth > 0,
+            isCounter: task.target > 0,
+            progress: task.target > 0 ? Math.round(task.current / task.target * 100) : 0
          };
       }));
 
+      // The number of party members sharing currency and experience rewards; each member receives the full amounts
+      // when rewards are duplicated.
+      const shareCount = RewardDistribution.getShareCount(quest);
+
       data.data_rewards = await Promise.all(data.rewards.map(async (item) =>
       {
          const type = item.type.toLowerCase();
 
-         const draggable = (canEdit || canPlayerDrag) && (canEdit || !item.locked) && type !== 'abstract';
+         const hasAmounts = type === 'currency' || type === 'experience';
+
+         const claims = Array.isArray(item.claims) ? item.claims : [];
+         const quantity = item.quantity ?? 1;
+         const remaining = Math.max(0, quantity - claims.reduce((total, claim) => total + claim.count, 0));
+
+         const draggable = (canEdit || canPlayerDrag) && (canEdit || !item.locked) && type === 'item' && remaining > 0;
 
          const lockedTooltip = canEdit ? game.i18n.localize('ForienQuestLog.QuestPreview.Tooltips.RewardLocked') :
           game.i18n.localize('ForienQuestLog.QuestPreview.Tooltips.RewardLockedPlayer');
@@ -411,20 +561,38 @@ export default class Enrich
             unlockedTooltip,
             isLink: abstractLink || itemLink,
             draggable,
-            transfer: type !== 'abstract' ? JSON.stringify(
+            transfer: type === 'item' ? JSON.stringify(
              { uuid: item.data.uuid, uuidv4: item.uuidv4, name: item.data.name }) : void 0,
+            hasAmounts,
+            // Players may only claim amounts that are not shared with other party members.
+            canClaim: hasAmounts && !item.locked && remaining > 0 && (canEdit || (canPlayerDrag && shareCount === 1 &&
+             Boolean(game.user.character))),
+            canRevoke: canEdit && claims.length > 0,
+            claimsLabel: claims.length ? game.i18n.format('ForienQuestLog.RewardClaims.ClaimedBy', {
+               actors: claims.map((claim) => claim.count > 1 ? `${claim.actorName} ×${claim.count}` :
+                claim.actorName).join(', ')
+            }) : void 0,
+            claimsTooltip: Enrich.rewardClaims(claims),
+            fullyClaimed: remaining === 0,
+            quantityLabel: quantity > 1 ? game.i18n.format('ForienQuestLog.RewardClaims.Remaining',
+             { remaining, quantity }) : void 0,
+            share: hasAmounts && shareCount > 1 ? game.i18n.format('ForienQuestLog.RewardSystems.PerMember',
+             { amount: RewardSystems.format(item.type, RewardSystems.share(item.data.amounts, shareCount)) }) : void 0,
             uuidv4: item.uuidv4
          };
       }));
 
       if (!canEdit)
       {
-         data.data_tasks = data.data_tasks.filter((t) => t.hidden === false);
+         data.data_tasks = data.data_tasks.filter((t) => visibleTasks.has(t.uuidv4));
          data.data_rewards = data.data_rewards.filter((r) => r.hidden === false);
       }
 
       data.hasObjectives = data.data_tasks.length + data.data_subquest.length > 0;
 
+      data.data_rewardTotals = Enrich.rewardTotals(quest.rewards.filter((reward) => (canEdit || !reward.hidden) &&
+       reward.remaining > 0), shareCount);
+
       // Determine if all rewards are visible / unlocked
       data.allRewardsVisible = true;
       data.allRewardsUnlocked = true;
@@ -436,6 +604,108 @@ export default class Enrich
 
       return data;
    }
+
+   /**
+    * Creates the tooltip for the claim ledger of a reward describing who claimed how many and when.
+    *
+    * @param {QuestRewardClaimData[]}  claims - The claim ledger.
+    *
+    * @returns {string} The claims tooltip; one line for each claim.
+    */
+   static rewardClaims(claims)
+   {
+      const unknownUser = game.i18n.localize('ForienQuestLog.QuestPreview.History.UnknownUser');
+
+      return claims.map((claim) => game.i18n.format('ForienQuestLog.RewardClaims.Tooltip', {
+         actor: claim.actorName,
+         count: claim.count,
+         date: new Date(claim.date).toLocaleString(),
+         user: game.users.get(claim.userId)?.name ?? unknownUser
+      })).join('\n');
+   }
+
+   /**
+    * Sums the currency and experience rewards of a quest and formats the amounts received by each party member.
+    *
+    * @param {Reward[]} rewards - The visible rewards.
+    *
+    * @param {number}   shareCount - The number of party members sharing the rewards.
+    *
+    * @returns {{label: string}|void} The reward totals per party member if there are any amounts.
+    */
+   static rewardTotals(rewards, shareCount)
+   {
+      const totals = { Currency: {}, Experience: {} };
+
+      for (const reward of rewards)
+      {
+         if (!(reward.type in totals)) { continue; }
+
+         for (const [id, amount] of Object.entries(reward.amounts))
+         {
+            totals[reward.type][id] = (totals[reward.type][id] ?? 0) + amount;
+         }
+      }
+
+      const parts = Object.entries(totals).filter(([, amounts]) => RewardSystems.hasAmounts(amounts)).map(
+       ([type, amounts]) => RewardSystems.format(type, RewardSystems.share(amounts, shareCount)));
+
+      if (parts.length === 0) { return void 0; }
+
+      return { label: game.i18n.format('ForienQuestLog.RewardSystems.Totals', { amount: parts.join(', ') }) };
+   }
+
+   /**
+    * Creates the tooltip for a task describing when and by whom the task was created and completed or failed.
+    *
+    * @param {QuestTaskData}  task - The serialized task data.
+    *
+    * @returns {string} The task dates tooltip; one line for each recorded date.
+    */
+   static taskDates(task)
+   {
+      const unknownUser = game.i18n.localize('ForienQuestLog.QuestPreview.History.UnknownUser');
+
+      const format = (key, date, userId) => game.i18n.format(`ForienQuestLog.QuestPreview.TaskDates.${key}`, {
+         date: new Date(date).toLocaleString(),
+         user: game.users.get(userId)?.name ?? unknownUser
+      });
+
+      const lines = [];
+
+      if (task.date?.create) { lines.push(format('Created', task.date.create, task.user?.create)); }
+
+      if (task.date?.end && (task.completed || task.failed))
+      {
+         lines.push(format(task.completed ? 'Completed' : 'Failed', task.date.end, task.user?.end));
+      }
+
+      return lines.join('\n');
+   }
+
+   /**
+    * Creates the tooltip for the quest status describing the quest dates in world time.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {string} The world dates tooltip; one line for each recorded date.
+    */
+   static worldDates(quest)
+   {
+      const lines = [];
+
+      for (const [key, date] of [['Created', quest.date?.worldCreate], ['Started', quest.date?.worldStart],
+       ['Ended', quest.date?.worldEnd]])
+      {
+         if (Number.isFinite(date))
+         {
+            lines.push(game.i18n.format(`ForienQuestLog.Deadline.WorldDates.${key}`,
+             { date: WorldCalendar.formatDate(date) }));
+         }
+      }
+
+      return lines.join('\n');
+   }
 }
 
 /**
@@ -449,6 +719,10 @@ export default class Enrich
  *
  * @property {number}      checkedTasks - Number of completed tasks.
  *
+ * @property {QuestCategoryData|void} data_category - The localized quest category / {@link Quest.type} if it exists.
+ *
+ * @property {object|void} data_deadline - The deadline countdown / {@link Enrich.deadline} if a deadline is set.
+ *
  * @property {object}      data_parent - A data object with parent quest details.
  *
  * @property {string|null} data_parent.id - The parent quest ID / {@link Quest.id}
@@ -461,10 +735,23 @@ export default class Enrich
  *
  * @property {string}      data_parent.status - The parent quest status / {@link Quest.status}
  *
+ * @property {object|void} data_rewardTotals - The currency and experience totals per party member /
+ *                                               {@link Enrich.rewardTotals}.
+ *
  * @property {object[]}    data_rewards - A list of reward item details.
  *
+ * @property {boolean}     data_rewards.canClaim - Can the user claim the currency or experience reward.
+ *
+ * @property {boolean}     data_rewards.canRevoke - Can the user revoke claims of the reward.
+ *
+ * @property {string|void} data_rewards.claimsLabel - The actors who claimed the reward.
+ *
+ * @property {string}      data_rewards.claimsTooltip - The claim ledger / {@link Enrich.rewardClaims}.
+ *
  * @property {boolean}     data_rewards.draggable - Can the player drag the reward to actor sheet.
  *
+ * @property {boolean}     data_rewards.fullyClaimed - Is no quantity of the reward remaining.
+ *
  * @property {boolean}     data_rewards.hidden - Is the reward hidden / only 'canEdit' users can see it.
  *
  * @property {string}      data_rewards.img - The image for the reward.
@@ -477,6 +764,12 @@ export default class Enrich
  *
  * @property {string}      data_rewards.name - The name of the reward.
  *
+ * @property {boolean}     data_rewards.hasAmounts - Is the reward a currency or experience reward.
+ *
+ * @property {string|void} data_rewards.quantityLabel - The remaining / total quantity when the quantity is over 1.
+ *
+ * @property {string|void} data_rewards.share - The amounts received by each party member for currency / experience.
+ *
  * @property {string}      data_rewards.type - The type of reward / 'abstract' for abstract rewards.
  *
  * @property {object}      data_rewards.transfer - The data tranfer object.
@@ -519,7 +812,11 @@ export default class Enrich
  *
  * @property {string}      data_subquest.statusTooltip - The localized quest status tooltip / {@link Quest.status}
  *
- * @property {QuestTaskData[]}  data_tasks - The task data.
+ * @property {QuestTaskData[]}  data_tasks - The task data including child tasks in depth first order.
+ *
+ * @property {object|void} data_timer - The quest timer state and label / {@link QuestTimers} if a timer is set.
+ *
+ * @property {string}      data_triggers - The names of the quest trigger macros / {@link QuestTriggers}; GM only.
  *
  * @property {string}      description - The enriched quest description via {@link TextEditor.enrichHTML}.
  *
@@ -539,6 +836,8 @@ export default class Enrich
  *
  * @property {string[]}    personalActors - A sorted list of names for HTML tooltip / {@link Quest.personalActors}
  *
+ * @property {string}      priorityLabel - Localized tooltip for the quest priority badge / {@link Quest.priority}
+ *
  * @property {string}      questIconType - Indicates which icon to use 'splash-image' or 'quest-giver'.
  *
  * @property {string}      statusActions - HTML for quest status icon actions / {@link Enrich.statusActions}
@@ -549,6 +848,8 @@ export default class Enrich
  *
  * @property {number}      totalTasks - Number of total tasks.
  *
+ * @property {string}      worldDates - The quest dates in world time / {@link Enrich.worldDates}.
+ *
  * @property {string}      wrapNameLengthCSS - The CSS class to add for content length wrapping based on user type.
  */
 
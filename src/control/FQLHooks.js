@@ -1,8 +1,12 @@
 import FoundryUIManager from './FoundryUIManager.js';
+import QuestCommands    from './QuestCommands.js';
 import QuestDB          from './QuestDB.js';
+import QuestStatuses    from './QuestStatuses.js';
+import QuestTimers      from './QuestTimers.js';
 import Socket           from './Socket.js';
 import Utils            from './Utils.js';
 import ViewManager      from './ViewManager.js';
+import WorldCalendar    from './WorldCalendar.js';
 import QuestAPI         from './public/QuestAPI.js';
 import Quest            from '../model/Quest.js';
 import QuestPreview     from '../view/preview/QuestPreview.js';
@@ -12,7 +16,23 @@ import DBMigration      from '../../database/DBMigration.js';
 
 import { FVTTCompat }   from '../FVTTCompat.js';
 
-import { constants, noteControls, sessionConstants, settings } from '../model/constants.js';
+import { constants, noteControls, questStatus, sessionConstants, settings } from '../model/constants.js';
+
+/**
+ * Stores the IDs of active quests that have passed their deadline and were handled in
+ * {@link FQLHooks.updateWorldTime}, so a deadline is only handled once until world time moves before the deadline.
+ *
+ * @type {Set<string>}
+ */
+const s_DEADLINE_PASSED = new Set();
+
+/**
+ * Stores the deadline countdown label of each quest with a deadline when last checked in
+ * {@link FQLHooks.updateWorldTime}, so quests are only enriched and rendered again when the countdown changes.
+ *
+ * @type {Map<string, string>}
+ */
+const s_DEADLINE_LABELS = new Map();
 
 /**
  * Provides implementations for all Foundry hooks that FQL responds to and registers under. Please view the
@@ -24,13 +44,20 @@ import { constants, noteControls, sessionConstants, settings } from '../model/co
  * - `setup` - {@link FQLHooks.foundrySetup}
  *
  * Foundry game hooks:
+ * - `chatMessage` - {@link FQLHooks.chatMessage} - Handle `/quest` chat commands with {@link QuestCommands}.
  * - `collapseSidebar` - {@link FoundryUIManager.collapseSidebar} - Handle tracking state of the sidebar.
  * - `dropActorSheetData` - {@link FQLHooks.dropActorSheetData} - Handle drop data for reward items in actor sheet.
  * - `dropCanvasData` - {@link FQLHooks.dropCanvasData} - Handle drop data for {@link Quest} on Foundry canvas.
  * - `getSceneControlButtons` - {@link FQLHooks.getSceneControlButtons} - Add FQL scene controls to 'note'.
  * - `hotbarDrop` - {@link FQLHooks.hotbarDrop} - Handle {@link Quest} drops to the macro hotbar.
+ * - `renderChatMessage` - {@link FQLHooks.renderChatMessage} - Activate the `Open quest` button of quest cards.
  * - `renderJournalDirectory` - {@link FQLHooks.renderJournalDirectory} - Add 'open quest log' / show FQL folder.
  * - `renderJournalSheet` - {@link FQLHooks.renderJournalSheet} - Hide FQL directory from journal sheet option items.
+ * - `updateWorldTime` - {@link FQLHooks.updateWorldTime} - Update deadline countdowns and handle passed deadlines.
+ *
+ * Keybindings:
+ * - `Ctrl+Z` / `Ctrl+Shift+Z` - {@link FQLHooks.keybindingUndoRedo} - Undo / redo edits in the focused
+ * {@link QuestPreview}.
  *
  * FQL hooks (response):
  * - `ForienQuestLog.Open.QuestLog` - {@link FQLHooks.openQuestLog} - Open the quest log.
@@ -54,12 +81,15 @@ export default class FQLHooks
       Hooks.once('setup', FQLHooks.foundrySetup);
 
       // Respond to Foundry in game hooks.
+      Hooks.on('chatMessage', FQLHooks.chatMessage);
       Hooks.on('dropActorSheetData', FQLHooks.dropActorSheetData);
       Hooks.on('dropCanvasData', FQLHooks.dropCanvasData);
       Hooks.on('getSceneControlButtons', FQLHooks.getSceneControlButtons);
       Hooks.on('hotbarDrop', FQLHooks.hotbarDrop);
+      Hooks.on('renderChatMessage', FQLHooks.renderChatMessage);
       Hooks.on('renderJournalDirectory', FQLHooks.renderJournalDirectory);
       Hooks.on('renderJournalSheet', FQLHooks.renderJournalSheet);
+      Hooks.on('updateWorldTime', FQLHooks.updateWorldTime);
 
       // FQL specific hooks.
       Hooks.on('ForienQuestLog.Open.QuestLog', FQLHooks.openQuestLog);
@@ -67,10 +97,32 @@ export default class FQLHooks
       Hooks.on('ForienQuestLog.Run.DBMigration', FQLHooks.runDBMigration);
    }
 
+   /**
+    * Intercepts `/quest` chat commands before a chat message is created and executes them with {@link QuestCommands}.
+    *
+    * @param {ChatLog}  chatLog - The ChatLog.
+    *
+    * @param {string}   message - The chat message.
+    *
+    * @returns {boolean|void} False to prevent a chat message being created for a `/quest` chat command.
+    * @see https://foundryvtt.com/api/ChatLog.html
+    */
+   static chatMessage(chatLog, message)
+   {
+      if (!QuestCommands.isCommand(message)) { return; }
+
+      QuestCommands.execute(message).catch((err) => console.error(err));
+
+      return false;
+   }
+
    /**
     * Responds to when a data drop occurs on an ActorSheet. If there is an {@link FQLDropData} instance attached by
     * checking the `_fqlData.type` set to `reward` then process the reward item drop via {@link Socket.questRewardDrop}
-    * to remove the item from the associated quest.
+    * to record the claim in the claim ledger of the associated quest reward.
+    *
+    * The drop of a reward is always cancelled as the GM is authoritative over the claim ledger and only creates the
+    * item on the actor when the claim is accepted. A fully claimed reward is not sent to the GM.
     *
     * @param {Actor}          actor - The Actor which received the data drop.
     *
@@ -78,19 +130,29 @@ export default class FQLHooks
     *
     * @param {RewardDropData} data - Any data drop, but only handle RewardDropData.
     *
-    * @returns {Promise<void>}
+    * @returns {boolean|void} False to cancel the drop of a reward.
     * @see https://foundryvtt.com/api/Actor.html
     * @see https://foundryvtt.com/api/ActorSheet.html
     */
-   static async dropActorSheetData(actor, sheet, data)
+   static dropActorSheetData(actor, sheet, data)
    {
       if (typeof data !== 'object' || data?._fqlData?.type !== 'reward') { return; }
 
-      await Socket.questRewardDrop({
+      const reward = QuestDB.getQuest(data._fqlData.questId)?.getReward(data._fqlData.uuidv4);
+      if (reward && reward.remaining === 0)
+      {
+         ui.notifications.warn(game.i18n.format('ForienQuestLog.RewardClaims.Notifications.NoneRemaining',
+          { name: reward.name }));
+         return false;
+      }
+
+      Socket.questRewardDrop({
          actor: { id: actor.id, name: FVTTCompat.get(actor, 'name') },
          sheet: { id: sheet.id },
          data
       });
+
+      return false;
    }
 
    /**
@@ -123,6 +185,25 @@ export default class FQLHooks
       // Preload Handlebars templates and register helpers.
       Utils.preloadTemplates();
       Utils.registerHandlebarsHelpers();
+
+      // Register undo / redo keybindings for QuestPreview. These take priority over the core undo keybinding only when
+      // a QuestPreview is the active window.
+      game.keybindings.register(constants.moduleName, 'questPreviewUndo', {
+         name: 'ForienQuestLog.Keybindings.Undo',
+         editable: [{ key: 'KeyZ', modifiers: [KeyboardManager.MODIFIER_KEYS.CONTROL] }],
+         onDown: () => FQLHooks.keybindingUndoRedo(false),
+         precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
+      });
+
+      game.keybindings.register(constants.moduleName, 'questPreviewRedo', {
+         name: 'ForienQuestLog.Keybindings.Redo',
+         editable: [{
+            key: 'KeyZ',
+            modifiers: [KeyboardManager.MODIFIER_KEYS.CONTROL, KeyboardManager.MODIFIER_KEYS.SHIFT]
+         }],
+         onDown: () => FQLHooks.keybindingUndoRedo(true),
+         precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
+      });
    }
 
    /**
@@ -147,6 +228,9 @@ export default class FQLHooks
       // Start watching sidebar updates.
       FoundryUIManager.init();
 
+      // Start updating quest timer countdowns.
+      QuestTimers.init();
+
       // Need to track any current primary quest as Foundry settings don't provide a old / new state on setting
       // change. The current primary quest state is saved in session storage.
       sessionStorage.setItem(sessionConstants.currentPrimaryQuest,
@@ -350,6 +434,25 @@ export default class FQLHooks
       return !handled;
    }
 
+   /**
+    * Handles the undo / redo keybindings when a {@link QuestPreview} is the active window.
+    *
+    * @param {boolean}  redo - Redo instead of undo.
+    *
+    * @returns {boolean} Whether the keybinding was handled; when false other keybindings are processed.
+    */
+   static keybindingUndoRedo(redo)
+   {
+      const app = ui.activeWindow;
+
+      if (!(app instanceof QuestPreview) || !app.rendered) { return false; }
+
+      if (redo) { app.redo(); }
+      else { app.undo(); }
+
+      return true;
+   }
+
    /**
     * Opens the QuestLog if the game user is a GM or if FQL isn't hidden to players by module setting
     * {@link FQLSettings.hideFQLFromPlayers}.
@@ -447,6 +550,28 @@ export default class FQLHooks
       }
    }
 
+   /**
+    * Activates the `Open quest` button of quest cards posted to chat by {@link QuestChat}. The button opens the quest
+    * via {@link QuestAPI.open}.
+    *
+    * @param {ChatMessage}    message - The rendered chat message.
+    *
+    * @param {JQuery}         html - The jQuery element of the chat message.
+    *
+    * @see https://foundryvtt.com/api/ChatMessage.html
+    */
+   static renderChatMessage(message, html)
+   {
+      const questId = message.getFlag(constants.moduleName, 'questCard')?.questId;
+      if (typeof questId !== 'string') { return; }
+
+      html.find('.quest-card-open').on('click', (event) =>
+      {
+         event.preventDefault();
+         QuestAPI.open({ questId });
+      });
+   }
+
    /**
     * Handles adding the 'open quest log' button at the bottom of the journal directory. Always displayed for the GM,
     * but only displayed to players if FQL isn't hidden via module setting {@link FQLSettings.hideFQLFromPlayers}.
@@ -532,6 +657,83 @@ export default class FQLHooks
 
       await DBMigration.migrate(schemaVersion);
    }
+
+   /**
+    * Responds to world time changes. Quests with a deadline are enriched again to update the deadline countdowns in
+    * the {@link QuestPreview} and {@link QuestTracker} when the countdown label changes. When an active quest passes
+    * its deadline a warning is posted to GMs and users who can observe the quest or the active GM fails the quest
+    * depending on {@link FQLSettings.deadlineAction}.
+    *
+    * @param {number}   worldTime - The new world time in seconds.
+    *
+    * @returns {Promise<void>}
+    */
+   static async updateWorldTime(worldTime)
+   {
+      const questEntries = QuestDB.filter((entry) => Number.isFinite(entry.quest.deadline));
+
+      // Remove the stored labels of quests that were deleted or no longer have a deadline.
+      for (const questId of s_DEADLINE_LABELS.keys())
+      {
+         if (!questEntries.some((entry) => entry.id === questId)) { s_DEADLINE_LABELS.delete(questId); }
+      }
+
+      if (questEntries.length === 0) { return; }
+
+      // Only quests with a changed countdown label or overdue state are enriched and rendered again.
+      const questIds = [];
+
+      for (const { id, quest } of questEntries)
+      {
+         // Matches the countdown of `Enrich.deadline`; ended quests have no countdown.
+         const label = QuestStatuses.get(quest.status)?.date === 'end' ? '' :
+          WorldCalendar.getCountdown(quest.deadline).label;
+
+         if (s_DEADLINE_LABELS.get(id) !== label)
+         {
+            s_DEADLINE_LABELS.set(id, label);
+            questIds.push(id);
+         }
+      }
+
+      if (questIds.length)
+      {
+         await QuestDB.enrichQuests(...questIds);
+
+         ViewManager.refreshQuestPreview(questIds, { focus: false });
+         if (ViewManager.questTracker.rendered) { ViewManager.renderOrCloseQuestTracker({ updateSetting: false }); }
+      }
+
+      const deadlineAction = game.settings.get(constants.moduleName, settings.deadlineAction);
+
+      for (const { quest } of questEntries)
+      {
+         if (quest.status !== questStatus.active || quest.deadline > worldTime)
+         {
+            s_DEADLINE_PASSED.delete(quest.id);
+            continue;
+         }
+
+         if (s_DEADLINE_PASSED.has(quest.id)) { continue; }
+
+         s_DEADLINE_PASSED.add(quest.id);
+
+         switch (deadlineAction)
+         {
+            case 'warn':
+               // Players are only warned about quests they can observe.
+               if (!game.user.isGM && !quest.isObservable) { break; }
+
+               ViewManager.notifications.warn(game.i18n.format('ForienQuestLog.Deadline.Notifications.Passed',
+                { name: quest.name }));
+               break;
+
+            case 'fail':
+               if (Utils.isActiveGM()) { await Socket.setQuestStatus({ quest, target: questStatus.failed }); }
+               break;
+         }
+      }
+   }
 }
 
 /**
@@ -0,0 +1,130 @@
+import QuestStatuses      from './QuestStatuses.js';
+import DOMPurify          from '../../external/DOMPurify.js';
+
+import { constants, questStatus, settings } from '../model/constants.js';
+
+/**
+ * Defines the quest statuses that are announced in chat when {@link FQLSettings.chatAnnounceStatus} is enabled.
+ *
+ * @type {string[]}
+ */
+const s_ANNOUNCED_STATUSES = [questStatus.active, questStatus.completed, questStatus.failed];
+
+/**
+ * Provides quest cards posted to chat. A quest card shows the quest name, quest giver portrait, visible objectives, and
+ * an `Open quest` button that invokes {@link QuestAPI.open}. Cards are posted from the {@link QuestPreview} header
+ * button, publicly through {@link QuestAPI.postQuestCard}, and when {@link FQLSettings.chatAnnounceStatus} is enabled
+ * after {@link Socket.setQuestStatus} moves a quest to active, completed, or failed.
+ *
+ * A card is public when all users can observe the quest otherwise it is whispered to the users who can observe it.
+ * Cards are only whispered to GMs when FQL is hidden from players.
+ * The `Open quest` button is activated in {@link FQLHooks.renderChatMessage}.
+ */
+export default class QuestChat
+{
+   /**
+    * Posts a status announcement card when the module setting {@link FQLSettings.chatAnnounceStatus} is enabled and the
+    * quest moved to active, completed, or failed. Only invoked by the user who performed the status change.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @param {string}   target - The new quest status.
+    *
+    * @returns {Promise<ChatMessage|void>} The posted chat message.
+    */
+   static async announceStatus(quest, target)
+   {
+      if (!s_ANNOUNCED_STATUSES.includes(target)) { return; }
+      if (!game.settings.get(constants.moduleName, settings.chatAnnounceStatus)) { return; }
+
+      return QuestChat.postQuestCard(quest, { announce: target });
+   }
+
+   /**
+    * Determines if the current user may post the quest card of a quest; the quest must be observable.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {boolean} Whether the current user may post the quest card.
+    */
+   static canPost(quest)
+   {
+      if (!game.user.isGM && game.settings.get(constants.moduleName, settings.hideFQLFromPlayers)) { return false; }
+
+      return Boolean(quest?.isObservable);
+   }
+
+   /**
+    * Returns the users who can observe a quest. This is the same test as {@link Quest.isObservable} for each user.
+    * Players are excluded when FQL is hidden from players; see {@link FQLSettings.hideFQLFromPlayers}.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {User[]} The users who can observe the quest.
+    */
+   static getObservers(quest)
+   {
+      const hideFQLFromPlayers = game.settings.get(constants.moduleName, settings.hideFQLFromPlayers);
+      const trustedPlayerEdit = game.settings.get(constants.moduleName, settings.trustedPlayerEdit);
+
+      return game.users.filter((user) =>
+      {
+         if (user.isGM) { return true; }
+         if (hideFQLFromPlayers) { return false; }
+
+         if (quest.isInactive)
+         {
+            return trustedPlayerEdit && user.isTrusted &&
+             quest.entry.testUserPermission(user, CONST.DOCUMENT_PERMISSION_LEVELS.OWNER);
+         }
+
+         return quest.entry.testUserPermission(user, CONST.DOCUMENT_PERMISSION_LEVELS.OBSERVER);
+      });
+   }
+
+   /**
+    * Posts a quest card to chat. The card is whispered to the users who can observe the quest unless all users can.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {string}   [options.announce] - A quest status to announce in the card header.
+    *
+    * @returns {Promise<ChatMessage|void>} The posted chat message.
+    */
+   static async postQuestCard(quest, { announce = void 0 } = {})
+   {
+      if (!quest?.entry || !QuestChat.canPost(quest)) { return; }
+
+      const observers = QuestChat.getObservers(quest);
+
+      const giver = quest.giverData ?? {};
+
+      const content = await renderTemplate('modules/forien-quest-log/templates/quest-card.html', {
+         id: quest.id,
+         name: quest.name,
+         giverImg: quest.giver ? giver.img : void 0,
+         giverName: giver.name,
+         announce: announce ? game.i18n.format('ForienQuestLog.QuestChat.Announce', {
+            status: QuestStatuses.label(announce)
+         }) : void 0,
+         statusLabel: QuestStatuses.label(quest.status),
+         tasks: quest.getVisibleTasks().map((task) => ({
+            name: DOMPurify.sanitize(task.name),
+            state: task.state,
+            isSubtask: !quest.tasks.includes(task),
+            isCounter: task.isCounter,
+            current: task.current,
+            target: task.target
+         }))
+      });
+
+      return ChatMessage.create({
+         speaker: announce ? { alias: constants.moduleLabel } : ChatMessage.getSpeaker(),
+         content,
+         whisper: observers.length === game.users.size ? [] : observers.map((user) => user.id),
+         flags: { [constants.moduleName]: { questCard: { questId: quest.id } } }
+      });
+   }
+}
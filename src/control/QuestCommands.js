@@ -0,0 +1,351 @@
+import QuestDB            from './QuestDB.js';
+import QuestStatuses      from './QuestStatuses.js';
+import Socket             from './Socket.js';
+import Utils              from './Utils.js';
+import QuestAPI           from './public/QuestAPI.js';
+
+import { constants, questStatus, settings } from '../model/constants.js';
+
+/**
+ * Matches a `/quest` chat command and captures the subcommand and any arguments.
+ *
+ * @type {RegExp}
+ */
+const s_COMMAND_REGEX = /^\/quest(?:\s+(\S+)(?:\s+([\s\S]*))?)?$/i;
+
+/**
+ * Provides the `/quest` chat command interface for common quest operations. The chat input is intercepted in
+ * {@link FQLHooks.chatMessage} and the result of each command is whispered to the current user.
+ *
+ * - `/quest list` - Lists the active quests.
+ * - `/quest open <name>` - Opens a quest via {@link QuestAPI.open}.
+ * - `/quest status <name> <status>` - Sets the quest status via {@link Socket.setQuestStatus}.
+ * - `/quest task <name> [index]` - Toggles an objective by its 1-based index or lists the objectives.
+ * - `/quest primary <name>` - Sets or unsets the primary quest via {@link Socket.setQuestPrimary}.
+ * - `/quest help` - Lists the commands.
+ *
+ * Quests are resolved by ID or name through {@link QuestDB.find} from the quests observable by the current user. The
+ * permission checks are the same as the QuestTracker and QuestPreview controls of each operation.
+ */
+export default class QuestCommands
+{
+   /**
+    * Executes a `/quest` chat command.
+    *
+    * @param {string}   message - The chat message.
+    *
+    * @returns {Promise<void>}
+    */
+   static async execute(message)
+   {
+      const match = s_COMMAND_REGEX.exec(message.trim());
+      if (!match) { return; }
+
+      if (!game.user.isGM && game.settings.get(constants.moduleName, settings.hideFQLFromPlayers))
+      {
+         return s_WHISPER(game.i18n.localize('ForienQuestLog.QuestCommands.Messages.Hidden'));
+      }
+
+      const command = match[1]?.toLowerCase() ?? 'list';
+      const args = match[2]?.trim() ?? '';
+
+      switch (command)
+      {
+         case 'help':
+            return s_WHISPER(s_HELP());
+
+         case 'list':
+            return s_LIST();
+
+         case 'open':
+            return s_OPEN(args);
+
+         case 'primary':
+            return s_PRIMARY(args);
+
+         case 'status':
+            return s_STATUS(args);
+
+         case 'task':
+            return s_TASK(args);
+
+         default:
+            return s_WHISPER(`${game.i18n.format('ForienQuestLog.QuestCommands.Messages.Unknown',
+             { command: s_ESCAPE(command) })}${s_HELP()}`);
+      }
+   }
+
+   /**
+    * Finds an observable quest by ID or name. An exact name match is preferred over a name that starts with or contains
+    * the given name; names are compared case-insensitively.
+    *
+    * @param {string}   name - The quest ID or name.
+    *
+    * @returns {QuestEntry|void} The QuestEntry, if found, otherwise undefined.
+    */
+   static findQuest(name)
+   {
+      if (typeof name !== 'string' || !name.trim().length) { return void 0; }
+
+      const search = name.trim().toLocaleLowerCase();
+
+      const findEntry = (predicate) => QuestDB.find((entry) => entry.isObservable && predicate(entry.id,
+       entry.quest.name.toLocaleLowerCase()));
+
+      return findEntry((id, questName) => id === name.trim() || questName === search) ??
+       findEntry((id, questName) => questName.startsWith(search)) ??
+        findEntry((id, questName) => questName.includes(search));
+   }
+
+   /**
+    * @param {string}   message - A chat message.
+    *
+    * @returns {boolean} Whether the message is a `/quest` chat command.
+    */
+   static isCommand(message)
+   {
+      return typeof message === 'string' && s_COMMAND_REGEX.test(message.trim());
+   }
+}
+
+/**
+ * @param {string}   value - A string.
+ *
+ * @returns {string} The HTML escaped string.
+ */
+const s_ESCAPE = (value) => Handlebars.escapeExpression(value);
+
+/**
+ * Resolves the quest named in a command and whispers a message when no quest is found.
+ *
+ * @param {string}   name - The quest ID or name.
+ *
+ * @returns {Promise<QuestEntry|void>} The QuestEntry, if found, otherwise undefined.
+ */
+const s_FIND_QUEST = async (name) =>
+{
+   if (!name.length)
+   {
+      await s_WHISPER(game.i18n.localize('ForienQuestLog.QuestCommands.Messages.MissingName'));
+      return void 0;
+   }
+
+   const entry = QuestCommands.findQuest(name);
+
+   if (!entry)
+   {
+      await s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.NotFound', { name: s_ESCAPE(name) }));
+   }
+
+   return entry;
+};
+
+/**
+ * @returns {string} The command list.
+ */
+const s_HELP = () => `<ul>${['List', 'Open', 'Status', 'Task', 'Primary', 'Help'].map((command) => `<li>${
+ game.i18n.localize(`ForienQuestLog.QuestCommands.Help.${command}`)}</li>`).join('')}</ul>`;
+
+/**
+ * Whispers the active quests observable by the current user. The primary quest is marked with a star.
+ *
+ * @returns {Promise<ChatMessage>} The whispered chat message.
+ */
+const s_LIST = async () =>
+{
+   const quests = [];
+
+   for (const entry of QuestDB.iteratorEntries({ status: questStatus.active }))
+   {
+      if (entry.isObservable) { quests.push(entry.quest); }
+   }
+
+   if (quests.length === 0) { return s_WHISPER(game.i18n.localize('ForienQuestLog.QuestCommands.Messages.NoActive')); }
+
+   quests.sort((a, b) => a.name.localeCompare(b.name));
+
+   return s_WHISPER(`<strong>${game.i18n.localize('ForienQuestLog.QuestCommands.Messages.Active')}</strong><ul>${
+    quests.map((quest) => `<li>${quest.isPrimary ? '<i class="fas fa-star"></i> ' : ''}${s_ESCAPE(quest.name)}</li>`)
+     .join('')}</ul>`);
+};
+
+/**
+ * Opens a quest in the QuestPreview.
+ *
+ * @param {string}   args - The quest ID or name.
+ *
+ * @returns {Promise<ChatMessage|void>} The whispered chat message.
+ */
+const s_OPEN = async (args) =>
+{
+   const entry = await s_FIND_QUEST(args);
+   if (!entry) { return; }
+
+   QuestAPI.open({ questId: entry.id });
+
+   return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.Opened',
+    { name: s_ESCAPE(entry.quest.name) }));
+};
+
+/**
+ * Sets or unsets the primary quest. Only GMs and trusted players with edit capability who own the quest may set an
+ * active quest as the primary quest like the QuestPreview control.
+ *
+ * @param {string}   args - The quest ID or name.
+ *
+ * @returns {Promise<ChatMessage|void>} The whispered chat message.
+ */
+const s_PRIMARY = async (args) =>
+{
+   const entry = await s_FIND_QUEST(args);
+   if (!entry) { return; }
+
+   const quest = entry.quest;
+   const name = s_ESCAPE(quest.name);
+
+   if (!game.user.isGM && !(Utils.isTrustedPlayerEdit() && entry.isOwner))
+   {
+      return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.PrimaryDenied', { name }));
+   }
+
+   if (!quest.isActive)
+   {
+      return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.PrimaryInactive', { name }));
+   }
+
+   const isPrimary = quest.isPrimary;
+
+   await Socket.setQuestPrimary({ quest });
+
+   return s_WHISPER(game.i18n.format(isPrimary ? 'ForienQuestLog.QuestCommands.Messages.PrimaryUnset' :
+    'ForienQuestLog.QuestCommands.Messages.PrimarySet', { name }));
+};
+
+/**
+ * Sets the status of a quest. The status is the last argument given as a status ID or label and the quest name
+ * precedes it. The transition is checked with {@link QuestStatuses.canTransition} like {@link Socket.setQuestStatus}.
+ *
+ * @param {string}   args - The quest ID or name followed by the status.
+ *
+ * @returns {Promise<ChatMessage|void>} The whispered chat message.
+ */
+const s_STATUS = async (args) =>
+{
+   const lower = args.toLocaleLowerCase();
+
+   // Match the longest status ID or label at the end of the arguments as custom status labels may contain spaces.
+   let name, target;
+
+   for (const id of QuestStatuses.ids)
+   {
+      for (const label of [id, QuestStatuses.label(id)])
+      {
+         const suffix = label.toLocaleLowerCase();
+         if (lower !== suffix && !lower.endsWith(` ${suffix}`)) { continue; }
+
+         const candidate = args.slice(0, args.length - suffix.length).trim();
+
+         if (name === void 0 || candidate.length < name.length)
+         {
+            target = id;
+            name = candidate;
+         }
+      }
+   }
+
+   if (target === void 0)
+   {
+      return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.StatusUnknown', {
+         statuses: QuestStatuses.ids.map((id) => s_ESCAPE(QuestStatuses.label(id))).join(', ')
+      }));
+   }
+
+   const entry = await s_FIND_QUEST(name);
+   if (!entry) { return; }
+
+   const quest = entry.quest;
+   const data = { name: s_ESCAPE(quest.name), status: s_ESCAPE(QuestStatuses.label(target)) };
+
+   if (quest.status === target || !QuestStatuses.canTransition(quest, target))
+   {
+      return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.StatusDenied', data));
+   }
+
+   await Socket.setQuestStatus({ quest, target });
+
+   return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.StatusSet', data));
+};
+
+/**
+ * Toggles an objective of a quest by its 1-based index in the objectives visible to the current user. When the last
+ * argument is not an index the objectives are listed with their indices. Only GMs and owners of the quest may toggle
+ * objectives like the QuestTracker control.
+ *
+ * @param {string}   args - The quest ID or name followed by the objective index.
+ *
+ * @returns {Promise<ChatMessage|void>} The whispered chat message.
+ */
+const s_TASK = async (args) =>
+{
+   const match = (/^([\s\S]*?)\s+(\d+)$/).exec(args);
+
+   const entry = await s_FIND_QUEST(match ? match[1].trim() : args);
+   if (!entry) { return; }
+
+   const quest = entry.quest;
+   const name = s_ESCAPE(quest.name);
+
+   const tasks = game.user.isGM ? quest.getAllTasks() : quest.getVisibleTasks();
+
+   if (!match)
+   {
+      if (tasks.length === 0)
+      {
+         return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.TaskNone', { name }));
+      }
+
+      return s_WHISPER(`<strong>${game.i18n.format('ForienQuestLog.QuestCommands.Messages.TaskList', { name })}` +
+       `</strong><ol>${tasks.map((t) => `<li><i class="fas fa-${t.state}"></i> ${s_ESCAPE(t.name)}</li>`)
+        .join('')}</ol>`);
+   }
+
+   if (!game.user.isGM && !entry.isOwner)
+   {
+      return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.TaskDenied', { name }));
+   }
+
+   const index = parseInt(match[2]);
+   const task = tasks[index - 1];
+
+   if (!task)
+   {
+      return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.TaskIndex', { name, index }));
+   }
+
+   // Locked tasks and tasks with child tasks can not be toggled.
+   if (!task.toggle())
+   {
+      return s_WHISPER(game.i18n.format('ForienQuestLog.QuestCommands.Messages.TaskLocked',
+       { task: s_ESCAPE(task.name) }));
+   }
+
+   await quest.save();
+
+   Socket.refreshQuestPreview({ questId: quest.id, focus: false });
+
+   return s_WHISPER(`<i class="fas fa-${task.state}"></i> ${s_ESCAPE(task.name)}${task.isCounter ?
+    ` (${task.current} / ${task.target})` : ''}`);
+};
+
+/**
+ * Whispers a command result to the current user.
+ *
+ * @param {string}   content - The HTML content.
+ *
+ * @returns {Promise<ChatMessage>} The chat message.
+ */
+const s_WHISPER = (content) => ChatMessage.create({
+   speaker: { alias: constants.moduleLabel },
+   content: `<div class="fql-quest-command">${content}</div>`,
+   whisper: [game.user.id]
+});
@@ -1,17 +1,22 @@
-import Enrich           from './Enrich.js';
-import Socket           from './Socket.js';
-import Utils            from './Utils.js';
-import Quest            from '../model/Quest.js';
-import QuestPreviewShim from '../view/preview/QuestPreviewShim.js';
-import collect          from '../../external/collect.js';
-
-import { FVTTCompat }   from '../FVTTCompat.js';
+import Enrich             from './Enrich.js';
+import QuestSearch        from './QuestSearch.js';
+import QuestStatuses      from './QuestStatuses.js';
+import QuestTriggers      from './QuestTriggers.js';
+import RewardDistribution from './RewardDistribution.js';
+import Socket             from './Socket.js';
+import Utils              from './Utils.js';
+import Quest              from '../model/Quest.js';
+import QuestPreviewShim   from '../view/preview/QuestPreviewShim.js';
+import collect            from '../../external/collect.js';
+
+import { FVTTCompat }     from '../FVTTCompat.js';
 
 import { constants, questStatus, settings } from '../model/constants.js';
 
 /**
  * Stores all {@link QuestEntry} instances in a map of Maps. This provides fast retrieval and quick insert / removal
- * with quests pre-sorted by status.
+ * with quests pre-sorted by status. A Map is added for each custom status defined in {@link QuestStatuses} by
+ * {@link s_INIT_STATUS_STORAGE}.
  *
  * @type {Object<string, Map<string, QuestEntry>>}
  */
@@ -133,6 +138,33 @@ const s_QUEST_INDEX = new Map();
  *
  * {@link s_JOURNAL_ENTRY_UPDATE}: A quest that is currently in QuestDB has been updated.
  * ```
+ *
+ * QuestDB diff hooks ({@link QuestDBDiffHooks}): The `updateQuestEntry` hook provides the raw Foundry flags of an
+ * update. After an update of a quest in the QuestDB a structured diff, {@link QuestDiffData}, is computed between the
+ * previously loaded and new {@link Quest.toJSON} data stored in {@link QuestEntry.questData}. The local Quest is not
+ * the baseline as it is already changed on the client that saved it. The diff hooks are only fired when the quest
+ * data changed and each category hook is only fired when that category changed. The hook callbacks receive the
+ * QuestEntry and the diff.
+ *
+ * ```
+ * - `diffQuestEntry` - Any quest data changed; receives the full {@link QuestDiffData}.
+ *
+ * - `diffQuestFields` - Quest fields other than status, tasks, and rewards changed; receives `diff.fields`.
+ *
+ * - `diffQuestRewards` - Rewards were added, removed, or changed; receives `diff.rewards`.
+ *
+ * - `diffQuestStatus` - The quest status changed; receives `diff.status`.
+ *
+ * - `diffQuestTasks` - Tasks were added, removed, toggled, or changed; receives `diff.tasks`.
+ *
+ * Hooks.on(QuestDB.diffHooks.diffQuestTasks, (questEntry, tasks) => {});
+ * ```
+ *
+ * The full-text search index of {@link QuestSearch} is maintained incrementally from the add, create, update, remove,
+ * and delete hooks. Search the quests with {@link QuestDB.search}.
+ *
+ * After an update {@link QuestTriggers.fire} fires the hooks `ForienQuestLog.Quest.statusChanged` and
+ * `ForienQuestLog.Task.toggled` with the old and new state; see {@link QuestTriggerHooks}.
  */
 export default class QuestDB
 {
@@ -147,6 +179,9 @@ export default class QuestDB
     */
    static async init()
    {
+      // Only add the search index hooks once on first initialization before any quests are added.
+      if (!s_QUEST_DB_INITIALIZED) { s_INIT_SEARCH_HOOKS(); }
+
       let folder = await Utils.initializeQuestFolder();
 
       // If the folder doesn't exist then simulate the content parameter. This should only ever occur for a player
@@ -161,6 +196,9 @@ export default class QuestDB
          folder = { content: [] };
       }
 
+      // Add or remove the status storage for any custom statuses.
+      s_INIT_STATUS_STORAGE();
+
       // Skip initialization of data if FQL is hidden from the current player. FQL is never hidden from GM level users.
       if (!Utils.isFQLHiddenFromPlayers())
       {
@@ -216,6 +254,11 @@ export default class QuestDB
       s_QUEST_DB_INITIALIZED = true;
    }
 
+   /**
+    * @returns {QuestDBDiffHooks} The QuestDB diff hooks fired with the structured changes of a quest update.
+    */
+   static get diffHooks() { return s_DIFF_HOOKS; }
+
    /**
     * @returns {QuestDBHooks} The QuestDB hooks.
     */
@@ -231,6 +274,11 @@ export default class QuestDB
     */
    static get Sort() { return Sort; }
 
+   /**
+    * @returns {TaskSortFunctions} Various useful task sorting functions for {@link Quest.getAllTasks}.
+    */
+   static get TaskSort() { return TaskSort; }
+
    /**
     * Verifies all quests by observability removing any quests from QuestDB that are no longer observable by the current
     * user or adding quests that are now observable. This only really needs to occur after particular module setting
@@ -312,16 +360,20 @@ export default class QuestDB
     *
     * @param {string}   [options.parentId] - Any associated parent ID; if set then this is a subquest.
     *
+    * @param {number}   [options.permission] - A default permission level overriding
+    *                                          {@link FQLSettings.defaultPermission}; IE from a quest template.
+    *
     * @returns {Promise<Quest|void>} The newly created quest.
     */
-   static async createQuest({ data = {}, parentId = void 0 } = {})
+   static async createQuest({ data = {}, parentId = void 0, permission: defaultLevel = void 0 } = {})
    {
       // Get the default permission setting and attempt to set it if found in DOCUMENT_PERMISSION_LEVELS.
       const defaultPerm = game.settings.get(constants.moduleName, settings.defaultPermission);
 
       const permission = {
-         default: typeof CONST.DOCUMENT_PERMISSION_LEVELS[defaultPerm] === 'number' ?
-          CONST.DOCUMENT_PERMISSION_LEVELS[defaultPerm] : CONST.DOCUMENT_PERMISSION_LEVELS.OBSERVER
+         default: Object.values(CONST.DOCUMENT_PERMISSION_LEVELS).includes(defaultLevel) ? defaultLevel :
+          typeof CONST.DOCUMENT_PERMISSION_LEVELS[defaultPerm] === 'number' ?
+           CONST.DOCUMENT_PERMISSION_LEVELS[defaultPerm] : CONST.DOCUMENT_PERMISSION_LEVELS.OBSERVER
       };
 
       // Used for a player created quest setting and the quest as 'available' for normal players or 'hidden' for
@@ -535,41 +587,41 @@ export default class QuestDB
     *
     * @param {Function} [options.filterInactive] - The filter function for inactive quests.
     *
+    * @param {Function} [options.filterCustom] - The filter function for custom status quests.
+    *
     * @returns {QuestsCollect|collect<QuestEntry>|void} An object of all QuestEntries filtered by status or individual
     *                                                   status or undefined.
     */
    static filterCollect({ status = void 0, filter = void 0, filterActive = void 0, filterAvailable = void 0,
-    filterCompleted = void 0, filterFailed = void 0, filterInactive = void 0 } = {})
+    filterCompleted = void 0, filterFailed = void 0, filterInactive = void 0, filterCustom = void 0 } = {})
    {
+      const filters = {
+         [questStatus.active]: filterActive,
+         [questStatus.available]: filterAvailable,
+         [questStatus.completed]: filterCompleted,
+         [questStatus.failed]: filterFailed,
+         [questStatus.inactive]: filterInactive
+      };
+
+      // Returns the filter for a given status; custom statuses use `filterCustom`.
+      const getFilter = (key) => (key in filters ? filters[key] : filterCustom) || filter;
+
       // A particular status is requested so only filter and return the specific collection.
       if (typeof status === 'string')
       {
-         switch (status)
+         if (!s_QUESTS_COLLECT[status])
          {
-            case questStatus.active:
-               return s_QUESTS_COLLECT[questStatus.active].filter(filterActive || filter);
-            case questStatus.available:
-               return s_QUESTS_COLLECT[questStatus.available].filter(filterAvailable || filter);
-            case questStatus.completed:
-               return s_QUESTS_COLLECT[questStatus.completed].filter(filterCompleted || filter);
-            case questStatus.failed:
-               return s_QUESTS_COLLECT[questStatus.failed].filter(filterFailed || filter);
-            case questStatus.inactive:
-               return s_QUESTS_COLLECT[questStatus.inactive].filter(filterInactive || filter);
-            default:
-               console.error(`Forien Quest Log - QuestDB - filterCollect - unknown status: ${status}`);
-               return void 0;
+            console.error(`Forien Quest Log - QuestDB - filterCollect - unknown status: ${status}`);
+            return void 0;
          }
+
+         return s_QUESTS_COLLECT[status].filter(getFilter(status));
       }
 
       // Otherwise filter all status categories and return a QuestsCollect object.
-      return {
-         active: s_QUESTS_COLLECT[questStatus.active].filter(filterActive || filter),
-         available: s_QUESTS_COLLECT[questStatus.available].filter(filterAvailable || filter),
-         completed: s_QUESTS_COLLECT[questStatus.completed].filter(filterCompleted || filter),
-         failed: s_QUESTS_COLLECT[questStatus.failed].filter(filterFailed || filter),
-         inactive: s_QUESTS_COLLECT[questStatus.inactive].filter(filterInactive || filter)
-      };
+      const result = {};
+      for (const key of Object.keys(s_QUESTS_COLLECT)) { result[key] = s_QUESTS_COLLECT[key].filter(getFilter(key)); }
+      return result;
    }
 
    /**
@@ -595,6 +647,24 @@ export default class QuestDB
       return void 0;
    }
 
+   /**
+    * Finds a task by UUIDv4 across all quests in the QuestDB.
+    *
+    * @param {string}   uuidv4 - The FQL UUIDv4 of a task.
+    *
+    * @returns {{quest: Quest, task: Task}|void} The quest and task, if found, otherwise undefined.
+    */
+   static findTask(uuidv4)
+   {
+      for (const questEntry of QuestDB.iteratorEntries())
+      {
+         const task = questEntry.quest.getTask(uuidv4);
+         if (task) { return { quest: questEntry.quest, task }; }
+      }
+
+      return void 0;
+   }
+
    /**
     * Returns all QuestEntry instances.
     *
@@ -628,9 +698,9 @@ export default class QuestDB
    {
       if (status === void 0)
       {
-         return s_QUESTS_MAP[questStatus.active].size + s_QUESTS_MAP[questStatus.available].size +
-          s_QUESTS_MAP[questStatus.completed].size + s_QUESTS_MAP[questStatus.failed].size +
-           s_QUESTS_MAP[questStatus.inactive].size;
+         let count = 0;
+         for (const map of Object.values(s_QUESTS_MAP)) { count += map.size; }
+         return count;
       }
 
       return s_QUESTS_MAP[status] ? s_QUESTS_MAP[status].size : 0;
@@ -676,11 +746,10 @@ export default class QuestDB
    {
       if (status === void 0)
       {
-         for (const value of s_QUESTS_MAP[questStatus.active].values()) { yield value; }
-         for (const value of s_QUESTS_MAP[questStatus.available].values()) { yield value; }
-         for (const value of s_QUESTS_MAP[questStatus.completed].values()) { yield value; }
-         for (const value of s_QUESTS_MAP[questStatus.failed].values()) { yield value; }
-         for (const value of s_QUESTS_MAP[questStatus.inactive].values()) { yield value; }
+         for (const map of Object.values(s_QUESTS_MAP))
+         {
+            for (const value of map.values()) { yield value; }
+         }
       }
       else if (s_QUESTS_MAP[status])
       {
@@ -703,11 +772,10 @@ export default class QuestDB
    {
       if (status === void 0)
       {
-         for (const value of s_QUESTS_MAP[questStatus.active].values()) { yield value.quest; }
-         for (const value of s_QUESTS_MAP[questStatus.available].values()) { yield value.quest; }
-         for (const value of s_QUESTS_MAP[questStatus.completed].values()) { yield value.quest; }
-         for (const value of s_QUESTS_MAP[questStatus.failed].values()) { yield value.quest; }
-         for (const value of s_QUESTS_MAP[questStatus.inactive].values()) { yield value.quest; }
+         for (const map of Object.values(s_QUESTS_MAP))
+         {
+            for (const value of map.values()) { yield value.quest; }
+         }
       }
       else if (s_QUESTS_MAP[status])
       {
@@ -720,28 +788,40 @@ export default class QuestDB
     */
    static removeAll()
    {
-      s_QUESTS_MAP[questStatus.active].clear();
-      s_QUESTS_MAP[questStatus.available].clear();
-      s_QUESTS_MAP[questStatus.completed].clear();
-      s_QUESTS_MAP[questStatus.failed].clear();
-      s_QUESTS_MAP[questStatus.inactive].clear();
+      for (const key of Object.keys(s_QUESTS_MAP))
+      {
+         s_QUESTS_MAP[key].clear();
+         s_QUESTS_COLLECT[key] = collect();
+      }
 
       s_QUEST_INDEX.clear();
 
-      s_QUESTS_COLLECT[questStatus.active] = collect();
-      s_QUESTS_COLLECT[questStatus.available] = collect();
-      s_QUESTS_COLLECT[questStatus.completed] = collect();
-      s_QUESTS_COLLECT[questStatus.failed] = collect();
-      s_QUESTS_COLLECT[questStatus.inactive] = collect();
-
       Hooks.callAll(QuestDB.hooks.removedAllQuestEntries);
    }
 
+   /**
+    * Searches the quests in the QuestDB by quest name, giver name, objectives, and description. GM notes and hidden
+    * objectives are only searched for GMs. Each word of the query must match the start of a word in the quest.
+    *
+    * @param {string}   query - The search query.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {boolean}  [options.gmnotes=true] - Also search GM notes and hidden objectives; ignored for non-GM users.
+    *
+    * @returns {Map<string, QuestSearchResult>} The search results by quest ID.
+    */
+   static search(query, options)
+   {
+      return QuestSearch.search(query, options);
+   }
+
    /**
     * Sorts the CollectJS collections and returns a single collection if status is specified otherwise sorts all
     * quest collections and returns a QuestCollect object with all status categories. By default the sort functions
     * are {@link Sort.DATE_END} for status categories of 'completed' / 'failed' and {@link Sort.ALPHA} for all other
-    * categories.
+    * categories including custom statuses. {@link Sort.PRIORITY} may be passed in for any category to sort by
+    * {@link Quest.priority}.
     *
     * @param {object}   options - Optional parameters.
     *
@@ -757,39 +837,40 @@ export default class QuestDB
     *
     * @param {Function} [options.sortInactive] - The sort function for inactive quests.
     *
+    * @param {Function} [options.sortCustom] - The sort function for custom status quests.
+    *
     * @returns {QuestsCollect|Collection<QuestEntry>|void} An object of all QuestEntries sorted by status or individual
     *                                                      status.
     */
    static sortCollect({ status = void 0, sortActive = Sort.ALPHA, sortAvailable = Sort.ALPHA,
-    sortCompleted = Sort.DATE_END, sortFailed = Sort.DATE_END, sortInactive = Sort.ALPHA } = {})
+    sortCompleted = Sort.DATE_END, sortFailed = Sort.DATE_END, sortInactive = Sort.ALPHA,
+     sortCustom = Sort.ALPHA } = {})
    {
+      const sorts = {
+         [questStatus.active]: sortActive,
+         [questStatus.available]: sortAvailable,
+         [questStatus.completed]: sortCompleted,
+         [questStatus.failed]: sortFailed,
+         [questStatus.inactive]: sortInactive
+      };
+
+      // Returns the sort function for a given status; custom statuses use `sortCustom`.
+      const getSort = (key) => (key in sorts ? sorts[key] : sortCustom);
+
       if (typeof status === 'string')
       {
-         switch (status)
+         if (!s_QUESTS_COLLECT[status])
          {
-            case questStatus.active:
-               return s_QUESTS_COLLECT[questStatus.active].sort(sortActive);
-            case questStatus.available:
-               return s_QUESTS_COLLECT[questStatus.available].sort(sortAvailable);
-            case questStatus.completed:
-               return s_QUESTS_COLLECT[questStatus.completed].sort(sortCompleted);
-            case questStatus.failed:
-               return s_QUESTS_COLLECT[questStatus.failed].sort(sortFailed);
-            case questStatus.inactive:
-               return s_QUESTS_COLLECT[questStatus.inactive].sort(sortInactive);
-            default:
-               console.error(`Forien Quest Log - QuestDB - sortCollect - unknown status: ${status}`);
-               return void 0;
+            console.error(`Forien Quest Log - QuestDB - sortCollect - unknown status: ${status}`);
+            return void 0;
          }
+
+         return s_QUESTS_COLLECT[status].sort(getSort(status));
       }
 
-      return {
-         active: s_QUESTS_COLLECT[questStatus.active].sort(sortActive),
-         available: s_QUESTS_COLLECT[questStatus.available].sort(sortAvailable),
-         completed: s_QUESTS_COLLECT[questStatus.completed].sort(sortCompleted),
-         failed: s_QUESTS_COLLECT[questStatus.failed].sort(sortFailed),
-         inactive: s_QUESTS_COLLECT[questStatus.inactive].sort(sortInactive)
-      };
+      const result = {};
+      for (const key of Object.keys(s_QUESTS_COLLECT)) { result[key] = s_QUESTS_COLLECT[key].sort(getSort(key)); }
+      return result;
    }
 }
 
@@ -821,6 +902,14 @@ export class QuestEntry
        */
       this.quest = quest;
 
+      /**
+       * The serialized quest data last loaded from the journal entry flags. The Quest is mutated locally before it is
+       * saved, so this is the baseline for the changes of an update.
+       *
+       * @type {QuestData}
+       */
+      this.questData = s_SERIALIZE(quest);
+
       /**
        * @type {EnrichData}
        */
@@ -893,6 +982,7 @@ export class QuestEntry
    {
       this.quest.entry = entry;
       this.quest.initData(content);
+      this.questData = s_SERIALIZE(this.quest);
       const status = this.status;
       await this.hydrate();
 
@@ -924,7 +1014,10 @@ export class QuestEntry
  * @type {FilterFunctions}
  */
 const Filter = {
+   CATEGORY: (categoryId) => (entry) => entry.quest.type === categoryId,
    IS_OBSERVABLE: (entry) => entry.isObservable,
+   LOCATION: (uuid) => (entry) => typeof entry.quest.location === 'string' &&
+    (entry.quest.location === uuid || entry.quest.location.startsWith(`${uuid}.`))
 };
 
 /**
@@ -934,11 +1027,22 @@ const Sort = {
    ALPHA: (a, b) => a.quest.name.localeCompare(b.quest.name),
    DATE_CREATE: (a, b) => a.quest.date.create - b.quest.date.create,
    DATE_START: (a, b) => a.quest.date.start - b.quest.date.start,
-   DATE_END: (a, b) => b.quest.date.end - a.quest.date.end
+   DATE_END: (a, b) => b.quest.date.end - a.quest.date.end,
+   PRIORITY: (a, b) => b.quest.priority - a.quest.priority || a.quest.name.localeCompare(b.quest.name)
+};
+
+/**
+ * @type {TaskSortFunctions}
+ */
+const TaskSort = {
+   ALPHA: (a, b) => (a.name ?? '').localeCompare(b.name ?? ''),
+   DATE_CREATE: (a, b) => (a.date.create ?? 0) - (b.date.create ?? 0),
+   DATE_END: (a, b) => (b.date.end ?? 0) - (a.date.end ?? 0)
 };
 
 Object.freeze(Filter);
 Object.freeze(Sort);
+Object.freeze(TaskSort);
 
 /**
  * Defines all of the DB Hook callbacks. Please see {@link QuestDB} for more documentation.
@@ -955,6 +1059,216 @@ const s_DB_HOOKS = {
    updateQuestEntry: 'updateQuestEntry',
 };
 
+/**
+ * Defines the DB diff hook callbacks fired with the structured changes of a quest update. Please see {@link QuestDB}
+ * for more documentation.
+ *
+ * @type {QuestDBDiffHooks}
+ */
+const s_DIFF_HOOKS = {
+   diffQuestEntry: 'diffQuestEntry',
+   diffQuestFields: 'diffQuestFields',
+   diffQuestRewards: 'diffQuestRewards',
+   diffQuestStatus: 'diffQuestStatus',
+   diffQuestTasks: 'diffQuestTasks'
+};
+
+/**
+ * Defines the task properties compared for a task toggle in {@link s_DIFF}.
+ *
+ * @type {string[]}
+ */
+const s_DIFF_TASK_STATE = ['completed', 'failed', 'current'];
+
+/**
+ * Defines the task properties that are not compared as a task change in {@link s_DIFF}. The state is compared as a
+ * toggle, the child tasks are compared individually, and the dates / users follow a toggle.
+ *
+ * @type {string[]}
+ */
+const s_DIFF_TASK_IGNORED = [...s_DIFF_TASK_STATE, 'state', 'tasks', 'date', 'user', 'uuidv4'];
+
+/**
+ * Computes the structured diff between the previous and new serialized quest data.
+ *
+ * @param {QuestData}   oldData - The previous quest data.
+ *
+ * @param {QuestData}   newData - The new quest data.
+ *
+ * @returns {QuestDiffData} The quest diff.
+ */
+const s_DIFF = (oldData, newData) =>
+{
+   const fields = {};
+
+   for (const field of new Set([...Object.keys(oldData), ...Object.keys(newData)]))
+   {
+      if (['status', 'tasks', 'rewards'].includes(field)) { continue; }
+
+      const change = s_DIFF_VALUE(oldData[field], newData[field]);
+      if (change) { fields[field] = change; }
+   }
+
+   const tasks = { added: [], removed: [], toggled: [], changed: [] };
+
+   const oldTasks = new Map(s_DIFF_FLATTEN(oldData.tasks).map((task) => [task.uuidv4, task]));
+   const newTasks = new Map(s_DIFF_FLATTEN(newData.tasks).map((task) => [task.uuidv4, task]));
+
+   for (const [uuidv4, task] of newTasks)
+   {
+      const oldTask = oldTasks.get(uuidv4);
+      if (!oldTask)
+      {
+         tasks.added.push(task);
+         continue;
+      }
+
+      if (s_DIFF_TASK_STATE.some((key) => oldTask[key] !== task[key]))
+      {
+         tasks.toggled.push({
+            uuidv4,
+            name: task.name,
+            from: Object.fromEntries(s_DIFF_TASK_STATE.map((key) => [key, oldTask[key]])),
+            to: Object.fromEntries(s_DIFF_TASK_STATE.map((key) => [key, task[key]]))
+         });
+      }
+
+      const changes = s_DIFF_PROPERTIES(oldTask, task, s_DIFF_TASK_IGNORED);
+      if (changes) { tasks.changed.push({ uuidv4, name: task.name, fields: changes }); }
+   }
+
+   for (const [uuidv4, task] of oldTasks)
+   {
+      if (!newTasks.has(uuidv4)) { tasks.removed.push(task); }
+   }
+
+   const rewards = { added: [], removed: [], changed: [] };
+
+   const oldRewards = new Map((oldData.rewards ?? []).map((reward) => [reward.uuidv4, reward]));
+   const newRewards = new Map((newData.rewards ?? []).map((reward) => [reward.uuidv4, reward]));
+
+   for (const [uuidv4, reward] of newRewards)
+   {
+      const oldReward = oldRewards.get(uuidv4);
+      if (!oldReward)
+      {
+         rewards.added.push(reward);
+         continue;
+      }
+
+      const changes = s_DIFF_PROPERTIES(oldReward, reward, ['uuidv4']);
+      if (changes) { rewards.changed.push({ uuidv4, name: reward.data?.name, fields: changes }); }
+   }
+
+   for (const [uuidv4, reward] of oldRewards)
+   {
+      if (!newRewards.has(uuidv4)) { rewards.removed.push(reward); }
+   }
+
+   const status = oldData.status !== newData.status ? { from: oldData.status, to: newData.status } : null;
+
+   const hasFields = Object.keys(fields).length > 0;
+   const hasTasks = Object.values(tasks).some((list) => list.length > 0);
+   const hasRewards = Object.values(rewards).some((list) => list.length > 0);
+
+   return {
+      status,
+      fields,
+      tasks,
+      rewards,
+      hasChanges: status !== null || hasFields || hasTasks || hasRewards,
+      hasFields,
+      hasRewards,
+      hasTasks
+   };
+};
+
+/**
+ * Flattens serialized tasks and child tasks in depth first order.
+ *
+ * @param {QuestTaskData[]}   tasks - The serialized tasks.
+ *
+ * @returns {QuestTaskData[]} All serialized tasks.
+ */
+const s_DIFF_FLATTEN = (tasks) => (Array.isArray(tasks) ? tasks.flatMap((task) => [task,
+ ...s_DIFF_FLATTEN(task.tasks)]) : []);
+
+/**
+ * Fires the diff hooks for a quest update when the quest data changed; see {@link QuestDBDiffHooks}.
+ *
+ * @param {QuestEntry}     questEntry - The updated QuestEntry.
+ *
+ * @param {QuestDiffData}  diff - The quest diff.
+ */
+const s_DIFF_HOOKS_CALL = (questEntry, diff) =>
+{
+   if (!diff.hasChanges) { return; }
+
+   Hooks.callAll(s_DIFF_HOOKS.diffQuestEntry, questEntry, diff);
+
+   if (diff.status) { Hooks.callAll(s_DIFF_HOOKS.diffQuestStatus, questEntry, diff.status); }
+   if (diff.hasFields) { Hooks.callAll(s_DIFF_HOOKS.diffQuestFields, questEntry, diff.fields); }
+   if (diff.hasTasks) { Hooks.callAll(s_DIFF_HOOKS.diffQuestTasks, questEntry, diff.tasks); }
+   if (diff.hasRewards) { Hooks.callAll(s_DIFF_HOOKS.diffQuestRewards, questEntry, diff.rewards); }
+};
+
+/**
+ * Compares the properties of a serialized task or reward.
+ *
+ * @param {object}   oldItem - The previous task / reward data.
+ *
+ * @param {object}   newItem - The new task / reward data.
+ *
+ * @param {string[]} ignored - The properties not compared.
+ *
+ * @returns {{[property: string]: QuestDiffValue}|void} The changed properties or undefined when nothing changed.
+ */
+const s_DIFF_PROPERTIES = (oldItem, newItem, ignored) =>
+{
+   const changes = {};
+
+   for (const key of new Set([...Object.keys(oldItem), ...Object.keys(newItem)]))
+   {
+      if (ignored.includes(key)) { continue; }
+
+      const change = s_DIFF_VALUE(oldItem[key], newItem[key]);
+      if (change) { changes[key] = change; }
+   }
+
+   return Object.keys(changes).length ? changes : void 0;
+};
+
+/**
+ * @param {*}  from - The previous value.
+ *
+ * @param {*}  to - The new value.
+ *
+ * @returns {QuestDiffValue|void} The change or undefined when the serialized values are equal.
+ */
+const s_DIFF_VALUE = (from, to) => (JSON.stringify(from) !== JSON.stringify(to) ? { from, to } : void 0);
+
+/**
+ * Distributes the unlocked rewards of a completed quest; see {@link RewardDistribution.distribute}. Only the active GM
+ * performs the distribution, so the rewards are created once.
+ *
+ * @param {Quest}    quest - The completed quest.
+ *
+ * @returns {Promise<void>}
+ */
+const s_DISTRIBUTE_REWARDS = async (quest) =>
+{
+   if (!Utils.isActiveGM()) { return; }
+
+   try
+   {
+      await RewardDistribution.distribute(quest);
+   }
+   catch (err)
+   {
+      console.error(err);
+   }
+};
+
 /**
  * @param {string}   questId - The Quest / JournalEntry ID.
  *
@@ -966,6 +1280,49 @@ const s_GET_QUEST_ENTRY = (questId) =>
    return currentStatus && s_QUESTS_MAP[currentStatus] ? s_QUESTS_MAP[currentStatus].get(questId) : void 0;
 };
 
+/**
+ * Adds the QuestDB hooks that maintain the {@link QuestSearch} index. An added, created, or updated quest is indexed
+ * again and a removed or deleted quest is removed from the index.
+ */
+const s_INIT_SEARCH_HOOKS = () =>
+{
+   Hooks.on(s_DB_HOOKS.addedAllQuestEntries, () => QuestSearch.indexAll(QuestDB.getAllQuestEntries()));
+   Hooks.on(s_DB_HOOKS.addQuestEntry, QuestSearch.index);
+   Hooks.on(s_DB_HOOKS.createQuestEntry, QuestSearch.index);
+   Hooks.on(s_DB_HOOKS.deleteQuestEntry, QuestSearch.remove);
+   Hooks.on(s_DB_HOOKS.removedAllQuestEntries, QuestSearch.clear);
+   Hooks.on(s_DB_HOOKS.removeQuestEntry, QuestSearch.remove);
+   Hooks.on(s_DB_HOOKS.updateQuestEntry, QuestSearch.index);
+};
+
+/**
+ * Ensures that {@link s_QUESTS_MAP} and {@link s_QUESTS_COLLECT} have storage for each status defined in
+ * {@link QuestStatuses}. Storage for custom statuses that are no longer defined is removed. The QuestDB should be empty
+ * when invoked.
+ */
+const s_INIT_STATUS_STORAGE = () =>
+{
+   const statusIds = QuestStatuses.ids;
+
+   for (const key of Object.keys(s_QUESTS_MAP))
+   {
+      if (!statusIds.includes(key))
+      {
+         delete s_QUESTS_MAP[key];
+         delete s_QUESTS_COLLECT[key];
+      }
+   }
+
+   for (const key of statusIds)
+   {
+      if (!s_QUESTS_MAP[key])
+      {
+         s_QUESTS_MAP[key] = new Map();
+         s_QUESTS_COLLECT[key] = collect();
+      }
+   }
+};
+
 /**
  * Provides the observability test for a quest based on the user level and permissions of the backing journal entry.
  * GM level users always can observe any quests. Trusted players w/ the module setting
@@ -1018,10 +1375,13 @@ const s_IS_OBSERVABLE = (content, entry, isTrustedPlayerEdit = Utils.isTrustedPl
  *
  * @param {object}         options - The create document options.
  *
- * @param {string}         id - journal entry ID.
+ * @param {string}         id - The ID of the user who created the journal entry.
  */
 const s_JOURNAL_ENTRY_CREATE = async (entry, options, id) =>
 {
+   // Ignore compendium entries; compendium quests are imported through QuestTransfer.
+   if (entry.pack) { return; }
+
    const content = entry.getFlag(constants.moduleName, constants.flagDB);
 
    // Exit early if no FQL quest data is available.
@@ -1037,6 +1397,9 @@ const s_JOURNAL_ENTRY_CREATE = async (entry, options, id) =>
 
       Hooks.callAll(QuestDB.hooks.createQuestEntry, questEntry, options, id);
 
+      // Revert any trigger macros set by a player that are not referenced by a quest template.
+      if (QuestTriggers.validate(quest, { userId: id })) { await quest.save(); }
+
       // At this point a new quest will not have subquests, but an imported journal entry / quest from a compendium
       // may have subquests. These may not resolve to any existing journal entries, so we scrub any non-resolving
       // subquests.
@@ -1066,6 +1429,8 @@ const s_JOURNAL_ENTRY_CREATE = async (entry, options, id) =>
       // If JE / Quest is not observable then still set a QuestPreview shim.
       entry._sheet = new QuestPreviewShim(entry.id);
    }
+
+   await s_UPDATE_TASK_LOCKS(entry.id, s_TASK_IDS(content));
 };
 
 /**
@@ -1081,6 +1446,9 @@ const s_JOURNAL_ENTRY_CREATE = async (entry, options, id) =>
  */
 const s_JOURNAL_ENTRY_DELETE = async (entry, options, id) =>
 {
+   // Ignore compendium entries which may share the ID of an exported world quest.
+   if (entry.pack) { return; }
+
    // If the QuestEntry can be retrieved by this journal entry ID then remove it from the QuestDB.
    const questEntry = s_GET_QUEST_ENTRY(entry.id);
    if (questEntry && s_REMOVE_QUEST_ENTRY(entry.id))
@@ -1097,6 +1465,8 @@ const s_JOURNAL_ENTRY_DELETE = async (entry, options, id) =>
       });
 
       Socket.refreshAll();
+
+      await s_UPDATE_TASK_LOCKS(entry.id, s_TASK_IDS(questEntry.questData));
    }
 };
 
@@ -1110,16 +1480,22 @@ const s_JOURNAL_ENTRY_DELETE = async (entry, options, id) =>
  *
  * @param {object}         options - The update document options.
  *
- * @param {string}         id - The journal entry ID.
+ * @param {string}         id - The ID of the user who updated the journal entry.
  */
 const s_JOURNAL_ENTRY_UPDATE = async (entry, flags, options, id) =>
 {
+   // Ignore compendium entries which may share the ID of an exported world quest.
+   if (entry.pack) { return; }
+
    const content = entry.getFlag(constants.moduleName, constants.flagDB);
 
    if (content)
    {
       let questEntry = s_GET_QUEST_ENTRY(entry.id);
 
+      // The Quest may already be mutated locally by the user who saved it, so compare with the last loaded quest data.
+      const oldData = questEntry?.questData;
+
       // Is the quest currently observable and not hidden from the current user.
       const isObservable = s_IS_OBSERVABLE(content, entry) && !Utils.isFQLHiddenFromPlayers();
 
@@ -1129,7 +1505,30 @@ const s_JOURNAL_ENTRY_UPDATE = async (entry, flags, options, id) =>
          if (isObservable)
          {
             await questEntry.update(content, entry);
+
+            // Revert any trigger macros changed by a player before any triggers run.
+            if (QuestTriggers.validate(questEntry.quest, { userId: id, oldData })) { await questEntry.quest.save(); }
+
             Hooks.callAll(QuestDB.hooks.updateQuestEntry, questEntry, flags, options, id);
+
+            const diff = s_DIFF(oldData, questEntry.questData);
+            s_DIFF_HOOKS_CALL(questEntry, diff);
+
+            // Fire the status changed / task toggled hooks and run any macro triggers.
+            await QuestTriggers.fire(questEntry.quest, diff);
+
+            // Evaluate the completion rules when a task changes.
+            if (s_TASK_STATES(oldData) !== s_TASK_STATES(questEntry.questData))
+            {
+               await s_UPDATE_AUTO_STATUS(questEntry.quest);
+            }
+
+            // Distribute the rewards when the quest is completed. The status is compared with the last loaded quest
+            // data as `Quest.setStatus` already changed the local quest of the user who moved it.
+            if (oldData.status !== questStatus.completed && questEntry.questData.status === questStatus.completed)
+            {
+               await s_DISTRIBUTE_REWARDS(questEntry.quest);
+            }
          }
          else // Else remove it from the QuestDB (this is not a deletion).
          {
@@ -1179,6 +1578,8 @@ const s_JOURNAL_ENTRY_UPDATE = async (entry, flags, options, id) =>
          // If JE / Quest is not observable then still set a QuestPreview shim.
          entry._sheet = new QuestPreviewShim(entry.id);
       }
+
+      await s_UPDATE_TASK_LOCKS(entry.id, [...s_TASK_IDS(oldData), ...s_TASK_IDS(content)]);
    }
 };
 
@@ -1191,13 +1592,7 @@ const s_JOURNAL_ENTRY_UPDATE = async (entry, flags, options, id) =>
  */
 const s_MAP_FLATTEN = () =>
 {
-   return [
-      ...s_QUESTS_MAP[questStatus.active].values(),
-      ...s_QUESTS_MAP[questStatus.available].values(),
-      ...s_QUESTS_MAP[questStatus.completed].values(),
-      ...s_QUESTS_MAP[questStatus.failed].values(),
-      ...s_QUESTS_MAP[questStatus.inactive].values()
-   ];
+   return Object.values(s_QUESTS_MAP).flatMap((map) => [...map.values()]);
 };
 
 /**
@@ -1237,6 +1632,13 @@ const s_REMOVE_QUEST_ENTRY = (questId, generate = true) =>
    return result;
 };
 
+/**
+ * @param {Quest}    quest - A quest.
+ *
+ * @returns {QuestData} The serialized quest data without Task / Reward instances.
+ */
+const s_SERIALIZE = (quest) => JSON.parse(JSON.stringify(quest.toJSON()));
+
 /**
  * Sets the QuestEntry by current status and regenerates any CollectJS collection if the status changes.
  *
@@ -1277,6 +1679,94 @@ const s_SET_QUEST_ENTRY = (entry, generate = true) =>
    }
 };
 
+/**
+ * @param {QuestData}   [questData] - The serialized quest data.
+ *
+ * @returns {string[]} The UUIDv4s of all tasks and subtasks.
+ */
+const s_TASK_IDS = (questData) => s_DIFF_FLATTEN(questData?.tasks).map((task) => task.uuidv4);
+
+/**
+ * Serializes the state of all top level tasks and the {@link Quest.autoComplete} toggle to detect changes relevant to
+ * {@link Quest.getAutoStatus}.
+ *
+ * @param {QuestData}   questData - The serialized quest data.
+ *
+ * @returns {string} The serialized task states.
+ */
+const s_TASK_STATES = (questData) =>
+{
+   return JSON.stringify([questData.autoComplete, (questData.tasks ?? []).map((task) => [task.optional, task.completed,
+    task.failed])]);
+};
+
+/**
+ * Moves a quest to the status from its completion rules; see {@link Quest.getAutoStatus}. Only the active GM performs
+ * the status change through {@link Socket.setQuestStatus} which updates the tracked dates, resets any primary quest,
+ * and refreshes all views.
+ *
+ * @param {Quest}    quest - The quest to evaluate.
+ *
+ * @returns {Promise<void>}
+ */
+const s_UPDATE_AUTO_STATUS = async (quest) =>
+{
+   if (!Utils.isActiveGM()) { return; }
+
+   const target = quest.getAutoStatus();
+   if (target) { await Socket.setQuestStatus({ quest, target }); }
+};
+
+/**
+ * Re-evaluates the locked state of tasks with prerequisites after a quest changes. Only the changed quest and the
+ * quests with prerequisites referencing a task of the changed quest are evaluated. Only the active GM performs this
+ * update as all quests are observable by a GM and prerequisites in other quests resolve.
+ *
+ * Prerequisites resolve to a task of the same quest first like {@link Quest.save}, so both agree on the locked state
+ * when a task UUIDv4 is shared between quests. Saving a quest only triggers another update when a locked state changes,
+ * so this converges.
+ *
+ * @param {string}   questId - The ID of the changed quest.
+ *
+ * @param {string[]} taskIds - The task UUIDv4s of the changed quest before and after the change.
+ *
+ * @returns {Promise<void>}
+ */
+const s_UPDATE_TASK_LOCKS = async (questId, taskIds) =>
+{
+   if (!Utils.isActiveGM()) { return; }
+
+   const changedIds = new Set(taskIds);
+
+   /**
+    * The first task by UUIDv4 across all quests; built once when any quest is evaluated.
+    *
+    * @type {Map<string, Task>}
+    */
+   let taskIndex;
+
+   for (const quest of QuestDB.getAllQuests())
+   {
+      const prerequisites = quest.getAllTasks().flatMap((task) => task.prerequisites);
+      if (prerequisites.length === 0) { continue; }
+
+      if (quest.id !== questId && !prerequisites.some((uuidv4) => changedIds.has(uuidv4))) { continue; }
+
+      if (!taskIndex)
+      {
+         taskIndex = new Map();
+         for (const task of QuestDB.getAllQuests().flatMap((q) => q.getAllTasks()))
+         {
+            if (!taskIndex.has(task.uuidv4)) { taskIndex.set(task.uuidv4, task); }
+         }
+      }
+
+      const findTask = (uuidv4) => quest.getTask(uuidv4) ?? taskIndex.get(uuidv4);
+
+      if (quest.updateTaskLocks({ findTask, complete: true })) { await quest.save(); }
+   }
+};
+
 /**
  * @typedef {object} DeleteData The data object returned from `delete` indicating which quests were updated.
  *
@@ -1288,7 +1778,14 @@ const s_SET_QUEST_ENTRY = (entry, generate = true) =>
 /**
  * @typedef {object} FilterFunctions
  *
+ * @property {Function} CATEGORY - Returns a filter function for the given quest category ID / {@link Quest.type}.
+ *                                 IE `QuestDB.filter(QuestDB.Filter.CATEGORY('main'))`.
+ *
  * @property {Function} IS_OBSERVABLE - Filters by `isObservable` cached in QuestEntry.
+ *
+ * @property {Function} LOCATION - Returns a filter function for the given location UUID / {@link Quest.location}.
+ *                                 Notes embedded in a scene also match the scene UUID.
+ *                                 IE `QuestDB.filter(QuestDB.Filter.LOCATION(canvas.scene.uuid))`.
  */
 
 /**
@@ -1311,6 +1808,94 @@ const s_SET_QUEST_ENTRY = (entry, generate = true) =>
  * @property {string}   updateQuestEntry - Invoked in s_JOURNAL_ENTRY_UPDATE when a quest is updated in {@link QuestDB}.
  */
 
+/**
+ * @typedef {object} QuestDBDiffHooks
+ *
+ * @property {string}   diffQuestEntry - Invoked in s_JOURNAL_ENTRY_UPDATE when any quest data changed.
+ *
+ * @property {string}   diffQuestFields - Invoked in s_JOURNAL_ENTRY_UPDATE when quest fields other than status,
+ *                                        tasks, and rewards changed.
+ *
+ * @property {string}   diffQuestRewards - Invoked in s_JOURNAL_ENTRY_UPDATE when rewards changed.
+ *
+ * @property {string}   diffQuestStatus - Invoked in s_JOURNAL_ENTRY_UPDATE when the quest status changed.
+ *
+ * @property {string}   diffQuestTasks - Invoked in s_JOURNAL_ENTRY_UPDATE when tasks changed.
+ */
+
+/**
+ * @typedef {object} QuestDiffData
+ *
+ * @property {QuestDiffValue|null} status - The status transition or null when the status did not change.
+ *
+ * @property {{[field: string]: QuestDiffValue}} fields - The changed quest fields other than status, tasks, and
+ *                                                       rewards.
+ *
+ * @property {QuestDiffTasks}   tasks - The task changes including child tasks.
+ *
+ * @property {QuestDiffRewards} rewards - The reward changes.
+ *
+ * @property {boolean}  hasChanges - Whether any quest data changed.
+ *
+ * @property {boolean}  hasFields - Whether any quest fields changed.
+ *
+ * @property {boolean}  hasRewards - Whether any rewards changed.
+ *
+ * @property {boolean}  hasTasks - Whether any tasks changed.
+ */
+
+/**
+ * @typedef {object} QuestDiffItemChange
+ *
+ * @property {string}   uuidv4 - The task / reward UUIDv4.
+ *
+ * @property {string}   name - The task / reward name.
+ *
+ * @property {{[property: string]: QuestDiffValue}} fields - The changed properties.
+ */
+
+/**
+ * @typedef {object} QuestDiffRewards
+ *
+ * @property {QuestRewardData[]}     added - The added rewards.
+ *
+ * @property {QuestRewardData[]}     removed - The removed rewards.
+ *
+ * @property {QuestDiffItemChange[]} changed - The changed rewards; IE hidden, locked, quantity, or claims.
+ */
+
+/**
+ * @typedef {object} QuestDiffTasks
+ *
+ * @property {QuestTaskData[]}       added - The added tasks.
+ *
+ * @property {QuestTaskData[]}       removed - The removed tasks.
+ *
+ * @property {QuestDiffTaskToggle[]} toggled - The tasks whose completed, failed, or counter state changed.
+ *
+ * @property {QuestDiffItemChange[]} changed - The tasks with other changed properties; IE name or hidden.
+ */
+
+/**
+ * @typedef {object} QuestDiffTaskToggle
+ *
+ * @property {string}   uuidv4 - The task UUIDv4.
+ *
+ * @property {string}   name - The task name.
+ *
+ * @property {QuestTriggerTaskState} from - The previous task state.
+ *
+ * @property {QuestTriggerTaskState} to - The new task state.
+ */
+
+/**
+ * @typedef {object} QuestDiffValue
+ *
+ * @property {*}  from - The previous value.
+ *
+ * @property {*}  to - The new value.
+ */
+
 /**
  * @typedef {object} SortFunctions
  *
@@ -1321,11 +1906,23 @@ const s_SET_QUEST_ENTRY = (entry, generate = true) =>
  * @property {Function} DATE_END - Sort by quest end date. When status is 'completed' or 'failed'.
  *
  * @property {Function} DATE_START - Sort by quest start date. When status is 'active'.
+ *
+ * @property {Function} PRIORITY - Sort by quest priority; highest first then by quest name.
+ */
+
+/**
+ * @typedef {object} TaskSortFunctions
+ *
+ * @property {Function} ALPHA - Sort by task name.
+ *
+ * @property {Function} DATE_CREATE - Sort by task creation date; tasks without a creation date first.
+ *
+ * @property {Function} DATE_END - Sort by the date a task was completed or failed; most recent first.
  */
 
 /**
  * @typedef {Object<string, Collection<QuestEntry>>} QuestsCollect Returns an object with keys indexed by
- * {@link questStatus} of CollectJS collections of QuestEntry instances.
+ * {@link questStatus} and any custom status IDs of CollectJS collections of QuestEntry instances.
  *
  * @property {Collection<QuestEntry>} active - Active quest entries CollectJS collections
  *
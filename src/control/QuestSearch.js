@@ -0,0 +1,347 @@
+/**
+ * Stores the indexed text of each quest by quest ID.
+ *
+ * @type {Map<string, QuestSearchDocument>}
+ */
+const s_DOCUMENTS = new Map();
+
+/**
+ * The inverted index of the text searchable by all users; IE the quest name, giver name, description, and visible
+ * objectives. Maps each word to the IDs of the quests containing it.
+ *
+ * @type {Map<string, Set<string>>}
+ */
+const s_TOKENS = new Map();
+
+/**
+ * The inverted index of the text only searchable by GMs; IE the GM notes and objectives hidden from players.
+ *
+ * @type {Map<string, Set<string>>}
+ */
+const s_GM_TOKENS = new Map();
+
+/**
+ * The number of characters shown before and after the first match in a search snippet.
+ *
+ * @type {number}
+ */
+const s_SNIPPET_CONTEXT = 40;
+
+/**
+ * Splits text into words on any character that is not a letter or number.
+ *
+ * @type {RegExp}
+ */
+const s_WORD_SPLIT = /[^\p{L}\p{N}]+/u;
+
+/**
+ * Provides the full-text quest search. The index is maintained incrementally by {@link QuestDB} from the QuestDB
+ * lifecycle hooks, so only the added, updated, or removed quest is indexed again. The quest name, giver name, objective
+ * text, and description with HTML stripped are searchable by all users. The GM notes and objectives hidden from players
+ * are only searchable by GMs; see {@link Quest.getVisibleTasks}.
+ *
+ * Each word of the query must match the start of a word in the quest. The {@link QuestLog} search box searches across
+ * all status tabs and highlights matches. Exposed publicly through {@link QuestDBShim.search}.
+ */
+export default class QuestSearch
+{
+   /**
+    * Removes all quests from the index.
+    */
+   static clear()
+   {
+      s_DOCUMENTS.clear();
+      s_TOKENS.clear();
+      s_GM_TOKENS.clear();
+   }
+
+   /**
+    * Returns the escaped text with the words matching the query highlighted in `<mark>` elements.
+    *
+    * @param {string}   text - The text to highlight.
+    *
+    * @param {string}   query - The search query.
+    *
+    * @returns {string} The escaped HTML with highlighted matches.
+    */
+   static highlight(text, query)
+   {
+      const regex = s_QUERY_REGEX(query);
+      if (typeof text !== 'string' || !regex) { return Handlebars.escapeExpression(text ?? ''); }
+
+      let html = '';
+      let index = 0;
+
+      for (const match of text.matchAll(regex))
+      {
+         const start = match.index + match[1].length;
+
+         html += `${Handlebars.escapeExpression(text.slice(index, start))}<mark>${
+          Handlebars.escapeExpression(match[2])}</mark>`;
+
+         index = start + match[2].length;
+      }
+
+      return html + Handlebars.escapeExpression(text.slice(index));
+   }
+
+   /**
+    * Indexes a quest or indexes it again when updated. Invoked from the QuestDB add, create, and update hooks.
+    *
+    * @param {QuestEntry}  questEntry - The QuestEntry to index.
+    */
+   static index(questEntry)
+   {
+      const quest = questEntry?.quest;
+      if (!quest) { return; }
+
+      QuestSearch.remove(questEntry);
+
+      // Tasks hidden from players are only searchable by GMs.
+      const visibleTasks = quest.getVisibleTasks();
+      const hiddenTasks = quest.getAllTasks().filter((task) => !visibleTasks.includes(task));
+
+      /** @type {QuestSearchDocument} */
+      const document = {
+         fields: {
+            name: quest.name ?? '',
+            giver: quest.giverData?.name ?? '',
+            tasks: visibleTasks.map((task) => s_STRIP_HTML(task.name)).join('\n'),
+            description: s_STRIP_HTML(quest.description),
+            gmnotes: [s_STRIP_HTML(quest.gmnotes), ...hiddenTasks.map((task) => s_STRIP_HTML(task.name))].join('\n')
+         },
+         tokens: new Set(),
+         gmTokens: new Set()
+      };
+
+      for (const field of ['name', 'giver', 'tasks', 'description'])
+      {
+         for (const token of s_TOKENIZE(document.fields[field])) { document.tokens.add(token); }
+      }
+
+      for (const token of s_TOKENIZE(document.fields.gmnotes)) { document.gmTokens.add(token); }
+
+      s_ADD_TOKENS(s_TOKENS, document.tokens, quest.id);
+      s_ADD_TOKENS(s_GM_TOKENS, document.gmTokens, quest.id);
+
+      s_DOCUMENTS.set(quest.id, document);
+   }
+
+   /**
+    * Indexes all quests; invoked when all quests are added to the QuestDB.
+    *
+    * @param {QuestEntry[]}   questEntries - All QuestEntry instances.
+    */
+   static indexAll(questEntries)
+   {
+      QuestSearch.clear();
+
+      for (const questEntry of questEntries) { QuestSearch.index(questEntry); }
+   }
+
+   /**
+    * Removes a quest from the index. Invoked from the QuestDB remove and delete hooks.
+    *
+    * @param {QuestEntry}  questEntry - The QuestEntry to remove.
+    */
+   static remove(questEntry)
+   {
+      const questId = questEntry?.id;
+
+      const document = s_DOCUMENTS.get(questId);
+      if (!document) { return; }
+
+      s_REMOVE_TOKENS(s_TOKENS, document.tokens, questId);
+      s_REMOVE_TOKENS(s_GM_TOKENS, document.gmTokens, questId);
+
+      s_DOCUMENTS.delete(questId);
+   }
+
+   /**
+    * Searches the indexed quests. Each word of the query must match the start of a word in the quest name, giver name,
+    * objectives, description, or for GMs the GM notes and hidden objectives.
+    *
+    * @param {string}   query - The search query.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {boolean}  [options.gmnotes=true] - Also search GM notes and hidden objectives; ignored for non-GM users.
+    *
+    * @returns {Map<string, QuestSearchResult>} The search results by quest ID.
+    */
+   static search(query, options = {})
+   {
+      // GM notes and hidden objectives are never searched for non-GM users regardless of the options.
+      const gmnotes = game.user.isGM && (options.gmnotes ?? true);
+
+      const results = new Map();
+
+      const queryTokens = [...new Set(s_TOKENIZE(query))];
+      if (queryTokens.length === 0) { return results; }
+
+      let questIds;
+
+      for (const queryToken of queryTokens)
+      {
+         const matches = new Set();
+
+         for (const index of gmnotes ? [s_TOKENS, s_GM_TOKENS] : [s_TOKENS])
+         {
+            for (const [token, ids] of index)
+            {
+               if (token.startsWith(queryToken)) { for (const id of ids) { matches.add(id); } }
+            }
+         }
+
+         questIds = questIds ? new Set([...questIds].filter((id) => matches.has(id))) : matches;
+         if (questIds.size === 0) { return results; }
+      }
+
+      const fields = gmnotes ? ['name', 'giver', 'tasks', 'description', 'gmnotes'] :
+       ['name', 'giver', 'tasks', 'description'];
+
+      for (const questId of questIds)
+      {
+         const document = s_DOCUMENTS.get(questId);
+
+         const matched = fields.filter((field) => s_QUERY_REGEX(query).test(document.fields[field]));
+
+         // Show a snippet of the first matched field other than the quest name.
+         const snippetField = matched.find((field) => field !== 'name');
+
+         results.set(questId, {
+            questId,
+            fields: matched,
+            name: QuestSearch.highlight(document.fields.name, query),
+            snippet: snippetField ? `<span class="search-field">${game.i18n.localize(
+             `ForienQuestLog.QuestSearch.Fields.${snippetField}`)}:</span> ${s_SNIPPET(document.fields[snippetField],
+              query)}` : void 0
+         });
+      }
+
+      return results;
+   }
+}
+
+/**
+ * Adds the quest ID to the index entry of each token.
+ *
+ * @param {Map<string, Set<string>>}   index - The inverted index.
+ *
+ * @param {Set<string>}                tokens - The tokens of the quest.
+ *
+ * @param {string}                     questId - The quest ID.
+ */
+const s_ADD_TOKENS = (index, tokens, questId) =>
+{
+   for (const token of tokens)
+   {
+      if (!index.has(token)) { index.set(token, new Set()); }
+      index.get(token).add(questId);
+   }
+};
+
+/**
+ * Creates a regex matching the start of words that match any word of the query. Group 1 is the preceding character
+ * and group 2 the matched text.
+ *
+ * @param {string}   query - The search query.
+ *
+ * @returns {RegExp|void} The regex or undefined when the query has no words.
+ */
+const s_QUERY_REGEX = (query) =>
+{
+   const tokens = [...new Set(s_TOKENIZE(query))].sort((a, b) => b.length - a.length);
+   if (tokens.length === 0) { return void 0; }
+
+   return new RegExp(`(^|[^\\p{L}\\p{N}])(${tokens.map((token) => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|')})`, 'giu');
+};
+
+/**
+ * Removes the quest ID from the index entry of each token and removes empty entries.
+ *
+ * @param {Map<string, Set<string>>}   index - The inverted index.
+ *
+ * @param {Set<string>}                tokens - The tokens of the quest.
+ *
+ * @param {string}                     questId - The quest ID.
+ */
+const s_REMOVE_TOKENS = (index, tokens, questId) =>
+{
+   for (const token of tokens)
+   {
+      const ids = index.get(token);
+      if (!ids) { continue; }
+
+      ids.delete(questId);
+      if (ids.size === 0) { index.delete(token); }
+   }
+};
+
+/**
+ * Returns the text around the first match with the matches highlighted.
+ *
+ * @param {string}   text - The matched field text.
+ *
+ * @param {string}   query - The search query.
+ *
+ * @returns {string} The highlighted snippet HTML.
+ */
+const s_SNIPPET = (text, query) =>
+{
+   const match = s_QUERY_REGEX(query).exec(text);
+   const position = match ? match.index + match[1].length : 0;
+
+   const start = Math.max(0, position - s_SNIPPET_CONTEXT);
+   const end = Math.min(text.length, position + s_SNIPPET_CONTEXT);
+
+   const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+   return `${start > 0 ? '…' : ''}${QuestSearch.highlight(snippet, query)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Returns the text content of HTML. DOMParser does not run scripts or load resources of the parsed HTML.
+ *
+ * @param {string}   html - The HTML.
+ *
+ * @returns {string} The text content.
+ */
+const s_STRIP_HTML = (html) =>
+{
+   if (typeof html !== 'string' || !html.length) { return ''; }
+
+   return new DOMParser().parseFromString(html, 'text/html').body.textContent ?? '';
+};
+
+/**
+ * @param {string}   text - The text.
+ *
+ * @returns {string[]} The lowercase words of the text.
+ */
+const s_TOKENIZE = (text) => (typeof text === 'string' ? text.toLocaleLowerCase().split(s_WORD_SPLIT).filter(
+ (token) => token.length) : []);
+
+/**
+ * @typedef {object} QuestSearchDocument
+ *
+ * @property {{[field: string]: string}} fields - The indexed text by field; name, giver, tasks, description, and
+ *                                                gmnotes.
+ *
+ * @property {Set<string>} tokens - The words searchable by all users.
+ *
+ * @property {Set<string>} gmTokens - The words only searchable by GMs.
+ */
+
+/**
+ * @typedef {object} QuestSearchResult
+ *
+ * @property {string}   questId - The quest ID.
+ *
+ * @property {string[]} fields - The matched fields; name, giver, tasks, description, or gmnotes.
+ *
+ * @property {string}   name - The escaped quest name with highlighted matches.
+ *
+ * @property {string}   [snippet] - The HTML snippet of the first matched field other than the quest name.
+ */
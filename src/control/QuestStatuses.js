@@ -0,0 +1,321 @@
+import Utils from './Utils.js';
+
+import { constants, questStatus, questStatusI18n, settings } from '../model/constants.js';
+
+/**
+ * Defines the built in quest statuses. The order of the array is the order of the QuestLog tabs and status action
+ * icons. Any custom statuses are inserted before {@link questStatus.inactive} which is always the last tab.
+ *
+ * `date` defines how {@link Quest.date} is tracked when a quest is moved to the status:
+ * - `start` - Sets the start date and clears the end date.
+ * - `end` - Sets the end date.
+ * - `reset` - Clears the start and end dates.
+ * - `none` - Leaves the dates unchanged.
+ *
+ * @type {QuestStatusData[]}
+ */
+const s_CORE_STATUSES = [
+   {
+      id: questStatus.available,
+      label: questStatusI18n.available,
+      statusLabel: 'ForienQuestLog.QuestTypes.Labels.available',
+      tooltip: 'ForienQuestLog.QuestTypes.Tooltips.SetAvailable',
+      icon: 'fas fa-clipboard',
+      date: 'reset',
+      targets: [questStatus.active, questStatus.inactive]
+   },
+   {
+      id: questStatus.active,
+      label: questStatusI18n.active,
+      statusLabel: 'ForienQuestLog.QuestTypes.Labels.active',
+      tooltip: 'ForienQuestLog.QuestTypes.Tooltips.SetActive',
+      icon: 'fas fa-play',
+      date: 'start',
+      targets: [questStatus.completed, questStatus.failed, questStatus.inactive, questStatus.available]
+   },
+   {
+      id: questStatus.completed,
+      label: questStatusI18n.completed,
+      statusLabel: 'ForienQuestLog.QuestTypes.Labels.completed',
+      tooltip: 'ForienQuestLog.QuestTypes.Tooltips.SetCompleted',
+      icon: 'fas fa-check-circle',
+      date: 'end',
+      targets: [questStatus.failed, questStatus.inactive]
+   },
+   {
+      id: questStatus.failed,
+      label: questStatusI18n.failed,
+      statusLabel: 'ForienQuestLog.QuestTypes.Labels.failed',
+      tooltip: 'ForienQuestLog.QuestTypes.Tooltips.SetFailed',
+      icon: 'fas fa-times-circle',
+      date: 'end',
+      targets: [questStatus.completed, questStatus.inactive]
+   },
+   {
+      id: questStatus.inactive,
+      label: questStatusI18n.inactive,
+      statusLabel: 'ForienQuestLog.QuestTypes.Labels.inactive',
+      tooltip: 'ForienQuestLog.QuestTypes.Tooltips.SetInactive',
+      icon: 'fas fa-stop-circle',
+      date: 'reset',
+      targets: [questStatus.active, questStatus.available]
+   }
+];
+
+/**
+ * Defines the minimum user role required to perform a status transition. Each role includes all roles listed above it:
+ * - `gm` - Only GM level users.
+ * - `trusted` - Trusted players with edit capability who own the quest.
+ * - `owner` - Players who own the quest.
+ * - `observer` - Players who can observe the quest.
+ *
+ * @type {TransitionRoles}
+ */
+const Role = Object.freeze({
+   gm: 'gm',
+   trusted: 'trusted',
+   owner: 'owner',
+   observer: 'observer'
+});
+
+/**
+ * Provides the quest status definitions combining the five built in {@link questStatus} entries with any custom
+ * statuses that the GM defines in {@link QuestStatusConfig} / {@link FQLSettings.customStatuses}. The status
+ * definitions drive the QuestLog tabs, {@link Enrich.statusActions}, and date tracking in {@link Quest.setStatus}.
+ *
+ * Custom statuses define the statuses they may be moved from and to. The built in statuses gain any custom status as
+ * a target when the custom status lists it in `from`. Like all other statuses a custom status may always be moved to
+ * {@link questStatus.inactive}.
+ *
+ * The GM may also define which users may perform each status transition in {@link QuestTransitionConfig} which is
+ * stored in {@link FQLSettings.statusTransitions}. {@link QuestStatuses.canTransition} is checked when building the
+ * status actions in {@link Enrich.statusActions} and by the GM in {@link Socket} when a player requests a transition.
+ */
+export default class QuestStatuses
+{
+   /**
+    * @returns {TransitionRoles} The transition roles.
+    */
+   static get Role() { return Role; }
+
+   /**
+    * Returns all quest status definitions in QuestLog tab order.
+    *
+    * @returns {QuestStatusData[]} All quest status definitions.
+    */
+   static get all()
+   {
+      const custom = QuestStatuses.custom;
+      const ids = [...s_CORE_STATUSES.map((s) => s.id), ...custom.map((s) => s.id)];
+
+      const core = s_CORE_STATUSES.map((status) => ({
+         ...status,
+         custom: false,
+         targets: [...status.targets, ...custom.filter((c) => c.from.includes(status.id)).map((c) => c.id)]
+      }));
+
+      const inactive = core.pop();
+
+      return [
+         ...core,
+         ...custom.map((status) => ({
+            id: status.id,
+            label: status.label,
+            statusLabel: status.label,
+            tooltip: game.i18n.format('ForienQuestLog.QuestTypes.Tooltips.SetCustom', { label: status.label }),
+            icon: status.icon,
+            date: status.date,
+            custom: true,
+            targets: [...new Set([...status.to.filter((id) => id !== status.id && ids.includes(id)),
+             questStatus.inactive])]
+         })),
+         inactive
+      ];
+   }
+
+   /**
+    * Returns whether the given user may move the quest to the target status. GM level users may perform any transition
+    * defined by the status targets; all other users are checked against {@link QuestStatuses.getTransitionRole}.
+    *
+    * @param {Quest}    quest - The quest to move.
+    *
+    * @param {string}   target - The target status.
+    *
+    * @param {User}     [user=game.user] - The user performing the transition.
+    *
+    * @returns {boolean} Whether the user may perform the transition.
+    */
+   static canTransition(quest, target, user = game.user)
+   {
+      if (!quest?.entry || !user || !QuestStatuses.get(quest.status)?.targets.includes(target)) { return false; }
+
+      if (user.isGM) { return true; }
+
+      const isOwner = quest.entry.testUserPermission(user, CONST.DOCUMENT_PERMISSION_LEVELS.OWNER);
+
+      switch (QuestStatuses.getTransitionRole(quest.status, target))
+      {
+         case Role.trusted:
+            return isOwner && Utils.isTrustedPlayerEdit(user);
+
+         case Role.owner:
+            return isOwner;
+
+         case Role.observer:
+            return quest.entry.testUserPermission(user, CONST.DOCUMENT_PERMISSION_LEVELS.OBSERVER);
+
+         case Role.gm:
+         default:
+            return false;
+      }
+   }
+
+   /**
+    * Returns the custom statuses stored in module settings. Invalid entries are ignored.
+    *
+    * @returns {QuestCustomStatusData[]} The custom status data.
+    */
+   static get custom()
+   {
+      const statuses = game.settings.get(constants.moduleName, settings.customStatuses);
+      if (!Array.isArray(statuses)) { return []; }
+
+      return statuses.filter((s) => typeof s?.id === 'string' && typeof s?.label === 'string' &&
+       !(s.id in questStatus)).map((s) => ({
+         id: s.id,
+         label: s.label,
+         icon: typeof s.icon === 'string' && s.icon.length ? s.icon : 'fas fa-circle',
+         date: ['start', 'end', 'reset', 'none'].includes(s.date) ? s.date : 'none',
+         from: Array.isArray(s.from) ? s.from : [],
+         to: Array.isArray(s.to) ? s.to : []
+      }));
+   }
+
+   /**
+    * Returns the default minimum role required to move a quest between two statuses when the transition is not
+    * configured in {@link FQLSettings.statusTransitions}. Accepting an available quest or returning an active quest to
+    * available defaults to {@link Role.observer} when {@link FQLSettings.allowPlayersAccept} is enabled. All other
+    * transitions default to {@link Role.trusted}.
+    *
+    * @param {string}   from - The current quest status.
+    *
+    * @param {string}   to - The target quest status.
+    *
+    * @returns {string} The default minimum role; one of {@link TransitionRoles}.
+    */
+   static getDefaultTransitionRole(from, to)
+   {
+      const isAccept = (questStatus.available === from && questStatus.active === to) ||
+       (questStatus.active === from && questStatus.available === to);
+
+      return isAccept && game.settings.get(constants.moduleName, settings.allowPlayersAccept) ? Role.observer :
+       Role.trusted;
+   }
+
+   /**
+    * Returns the minimum role required to move a quest between two statuses as configured in
+    * {@link FQLSettings.statusTransitions} or the default role from {@link QuestStatuses.getDefaultTransitionRole}.
+    *
+    * @param {string}   from - The current quest status.
+    *
+    * @param {string}   to - The target quest status.
+    *
+    * @returns {string} The minimum role; one of {@link TransitionRoles}.
+    */
+   static getTransitionRole(from, to)
+   {
+      const transitions = game.settings.get(constants.moduleName, settings.statusTransitions);
+      const role = transitions?.[from]?.[to];
+
+      return Object.values(Role).includes(role) ? role : QuestStatuses.getDefaultTransitionRole(from, to);
+   }
+
+   /**
+    * @returns {string[]} All quest status IDs in QuestLog tab order.
+    */
+   static get ids()
+   {
+      return QuestStatuses.all.map((s) => s.id);
+   }
+
+   /**
+    * Returns a single quest status definition.
+    *
+    * @param {string}   status - A quest status ID.
+    *
+    * @returns {QuestStatusData|void} The quest status definition.
+    */
+   static get(status)
+   {
+      return QuestStatuses.all.find((s) => s.id === status);
+   }
+
+   /**
+    * @param {string}   status - A quest status ID.
+    *
+    * @returns {boolean} Whether the quest status is defined.
+    */
+   static has(status)
+   {
+      return typeof status === 'string' && QuestStatuses.all.some((s) => s.id === status);
+   }
+
+   /**
+    * @param {string}   status - A quest status ID.
+    *
+    * @returns {string} The localized quest status label or the status ID if not defined.
+    */
+   static label(status)
+   {
+      const data = QuestStatuses.get(status);
+      return data ? game.i18n.localize(data.label) : status;
+   }
+}
+
+/**
+ * @typedef {object} QuestStatusData
+ *
+ * @property {string}   id - The quest status ID stored in {@link Quest.status}.
+ *
+ * @property {string}   label - The QuestLog tab label; an i18n key for built in statuses.
+ *
+ * @property {string}   statusLabel - The label used in the quest status sentence in QuestPreview.
+ *
+ * @property {string}   tooltip - The tooltip for the status action icon that moves a quest to this status.
+ *
+ * @property {string}   icon - The Font Awesome icon classes for the status action icon.
+ *
+ * @property {string}   date - The date tracking behaviour: 'start', 'end', 'reset', or 'none'.
+ *
+ * @property {string[]} targets - The status IDs that a quest may be moved to from this status.
+ *
+ * @property {boolean}  [custom] - Is this a custom status.
+ */
+
+/**
+ * @typedef {object} QuestCustomStatusData
+ *
+ * @property {string}   id - The custom status ID.
+ *
+ * @property {string}   label - The custom status label.
+ *
+ * @property {string}   icon - The Font Awesome icon classes for the status action icon.
+ *
+ * @property {string}   date - The date tracking behaviour: 'start', 'end', 'reset', or 'none'.
+ *
+ * @property {string[]} from - The status IDs that may move a quest to this status.
+ *
+ * @property {string[]} to - The status IDs that a quest may be moved to from this status.
+ */
+
+/**
+ * @typedef {object} TransitionRoles
+ *
+ * @property {string}   gm - Only GM level users.
+ *
+ * @property {string}   trusted - Trusted players with edit capability who own the quest.
+ *
+ * @property {string}   owner - Players who own the quest.
+ *
+ * @property {string}   observer - Players who can observe the quest.
+ */
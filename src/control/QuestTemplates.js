@@ -0,0 +1,279 @@
+import QuestDB            from './QuestDB.js';
+import Utils              from './Utils.js';
+
+import { FVTTCompat }     from '../FVTTCompat.js';
+
+import { constants, settings } from '../model/constants.js';
+
+/**
+ * Defines the quest data fields that are captured in a quest template. Status, dates, and parent / subquest
+ * relationships always start fresh for a quest created from a template.
+ *
+ * @type {string[]}
+ */
+const s_TEMPLATE_FIELDS = ['name', 'giver', 'giverData', 'description', 'gmnotes', 'image', 'giverName', 'splash',
+ 'splashPos', 'splashAsIcon', 'location', 'locationData', 'priority', 'autoComplete', 'type', 'tasks', 'rewards',
+ 'rewardDistribution', 'triggers'];
+
+/**
+ * Provides the quest templates stored in {@link FQLSettings.questTemplates}. GMs save any quest as a named template
+ * from the {@link QuestPreview} header which captures the tasks, reward skeletons, quest giver, splash image, and the
+ * default permission level of the quest. When templates exist the QuestLog add quest button shows a template picker
+ * via {@link QuestTemplates.selectTemplate}. Templates are renamed and deleted in {@link QuestTemplateConfig}.
+ *
+ * Exposed publicly through {@link QuestAPI.templates}, {@link QuestAPI.createQuestFromTemplate} and
+ * {@link QuestAPI.saveQuestTemplate}.
+ */
+export default class QuestTemplates
+{
+   /**
+    * Returns the quest templates stored in module settings sorted by name. Invalid entries are ignored.
+    *
+    * @returns {QuestTemplateData[]} The quest templates.
+    */
+   static get all()
+   {
+      const templates = game.settings.get(constants.moduleName, settings.questTemplates);
+      if (!Array.isArray(templates)) { return []; }
+
+      return templates.filter((t) => typeof t?.id === 'string' && typeof t?.name === 'string' &&
+       typeof t?.data === 'object' && t.data !== null).sort((a, b) => a.name.localeCompare(b.name));
+   }
+
+   /**
+    * Creates a new quest from a quest template.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.templateId - The template ID or name.
+    *
+    * @param {object}   [options.data] - Additional quest data that overrides the template data.
+    *
+    * @param {string}   [options.parentId] - Any associated parent ID; if set then this is a subquest.
+    *
+    * @returns {Promise<Quest|void>} The newly created quest.
+    */
+   static async createQuest({ templateId, data = {}, parentId = void 0 } = {})
+   {
+      const template = QuestTemplates.get(templateId);
+      if (!template) { return; }
+
+      const templateData = foundry.utils.deepClone(template.data);
+
+      // The tasks of the new quest are created now by the current user and no rewards are claimed yet.
+      s_RESET_TASKS(templateData.tasks);
+      s_RESET_REWARDS(templateData.rewards);
+
+      // Each quest created from the template has unique task UUIDv4s; prerequisites are remapped.
+      Utils.regenerateTaskIds([templateData]);
+
+      return QuestDB.createQuest({
+         data: { ...templateData, ...data },
+         parentId,
+         permission: template.permission
+      });
+   }
+
+   /**
+    * Deletes a quest template.
+    *
+    * @param {string}   templateId - The template ID.
+    *
+    * @returns {Promise<void>}
+    */
+   static async delete(templateId)
+   {
+      const templates = game.settings.get(constants.moduleName, settings.questTemplates);
+      if (!Array.isArray(templates)) { return; }
+
+      await game.settings.set(constants.moduleName, settings.questTemplates,
+       templates.filter((template) => template?.id !== templateId));
+   }
+
+   /**
+    * Returns a quest template by ID or name.
+    *
+    * @param {string}   templateId - The template ID or name.
+    *
+    * @returns {QuestTemplateData|void} The quest template.
+    */
+   static get(templateId)
+   {
+      if (typeof templateId !== 'string') { return void 0; }
+
+      const templates = QuestTemplates.all;
+
+      return templates.find((t) => t.id === templateId) ??
+       templates.find((t) => t.name.localeCompare(templateId, void 0, { sensitivity: 'base' }) === 0);
+   }
+
+   /**
+    * Saves a quest as a named template. A template with the same name is replaced.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {Quest}    options.quest - The quest to save as a template.
+    *
+    * @param {string}   [options.name] - The template name; default: the quest name.
+    *
+    * @returns {Promise<QuestTemplateData|void>} The saved quest template.
+    */
+   static async save({ quest, name = quest?.name } = {})
+   {
+      if (!game.user.isGM || !quest || typeof name !== 'string' || !name.trim().length) { return; }
+
+      name = name.trim();
+
+      const json = JSON.parse(JSON.stringify(quest.toJSON()));
+
+      const data = {};
+      for (const field of s_TEMPLATE_FIELDS) { data[field] = json[field]; }
+
+      s_RESET_TASKS(data.tasks);
+      s_RESET_REWARDS(data.rewards);
+
+      const existing = QuestTemplates.all.find((t) => t.name === name);
+
+      const template = {
+         id: existing?.id ?? Utils.uuidv4(),
+         name,
+         permission: FVTTCompat.ownership(quest.entry)?.default ?? CONST.DOCUMENT_PERMISSION_LEVELS.OBSERVER,
+         data
+      };
+
+      const templates = QuestTemplates.all.filter((t) => t.id !== template.id);
+      templates.push(template);
+
+      await game.settings.set(constants.moduleName, settings.questTemplates, templates);
+
+      return template;
+   }
+
+   /**
+    * Shows a dialog to enter a template name and saves the quest as a template.
+    *
+    * @param {Quest}    quest - The quest to save as a template.
+    *
+    * @returns {Promise<QuestTemplateData|void>} The saved quest template.
+    */
+   static async saveDialog(quest)
+   {
+      const name = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.localize('ForienQuestLog.QuestTemplates.Dialog.SaveTitle'),
+            content: `<form autocomplete="off"><div class="form-group"><label>${game.i18n.localize(
+             'ForienQuestLog.QuestTemplates.Labels.Name')}</label><input type="text" name="name" value="${
+             Handlebars.escapeExpression(quest.name)}"></div></form>`,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestTemplates.Dialog.Save'),
+                  callback: (html) => resolve(html.find('input[name="name"]').val())
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestTemplates.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { width: 320 }).render(true);
+      });
+
+      const template = await QuestTemplates.save({ quest, name });
+
+      if (template)
+      {
+         ui.notifications.info(game.i18n.format('ForienQuestLog.QuestTemplates.Notifications.Saved',
+          { name: template.name }));
+      }
+
+      return template;
+   }
+
+   /**
+    * Shows a dialog to pick a quest template when creating a new quest.
+    *
+    * @returns {Promise<string|null|void>} The selected template ID, null for a blank quest, or undefined if cancelled.
+    */
+   static async selectTemplate()
+   {
+      const options = QuestTemplates.all.map((t) => `<option value="${t.id}">${
+       Handlebars.escapeExpression(t.name)}</option>`).join('');
+
+      const content = `<form autocomplete="off"><div class="form-group"><label>${
+       game.i18n.localize('ForienQuestLog.QuestTemplates.Labels.Template')}</label><select name="templateId">` +
+       `<option value="">${game.i18n.localize('ForienQuestLog.QuestTemplates.Labels.Blank')}</option>${options}` +
+       `</select></div></form>`;
+
+      return new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.localize('ForienQuestLog.QuestTemplates.Dialog.SelectTitle'),
+            content,
+            buttons: {
+               create: {
+                  icon: '<i class="fas fa-plus"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestTemplates.Dialog.Create'),
+                  callback: (html) => resolve(html.find('select[name="templateId"]').val() || null)
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestTemplates.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'create',
+            close: () => resolve()
+         }, { width: 320 }).render(true);
+      });
+   }
+}
+
+/**
+ * Clears the claim ledger of serialized rewards.
+ *
+ * @param {QuestRewardData[]} rewards - The serialized rewards to reset.
+ */
+const s_RESET_REWARDS = (rewards) =>
+{
+   if (!Array.isArray(rewards)) { return; }
+
+   for (const reward of rewards) { reward.claims = []; }
+};
+
+/**
+ * Resets serialized tasks and child tasks to start incomplete. The task creation date and user are set to now and the
+ * current user.
+ *
+ * @param {QuestTaskData[]}   tasks - The serialized tasks to reset.
+ */
+const s_RESET_TASKS = (tasks) =>
+{
+   if (!Array.isArray(tasks)) { return; }
+
+   for (const task of tasks)
+   {
+      task.completed = false;
+      task.failed = false;
+      task.current = 0;
+      task.date = { create: Date.now(), end: null };
+      task.user = { create: game.user.id, end: null };
+
+      s_RESET_TASKS(task.tasks);
+   }
+};
+
+/**
+ * @typedef {object} QuestTemplateData
+ *
+ * @property {string}   id - The template ID.
+ *
+ * @property {string}   name - The template name.
+ *
+ * @property {number}   permission - The default permission level for quests created from the template.
+ *
+ * @property {object}   data - The serialized quest data captured from the quest.
+ */
@@ -0,0 +1,346 @@
+import QuestDB            from './QuestDB.js';
+import Socket             from './Socket.js';
+import Utils              from './Utils.js';
+
+import { questStatus }    from '../model/constants.js';
+
+/**
+ * Defines the actions performed when a quest timer expires.
+ *
+ * @type {QuestTimerActions}
+ */
+const TimerAction = {
+   FAIL: 'fail',
+   NOTIFY: 'notify',
+   REVEAL: 'reveal'
+};
+
+/**
+ * Stores the local end time of running timers by quest ID synchronized by {@link Socket.questTimer}. The end time is
+ * only used while the stored start time matches {@link QuestTimerData.startTime}, so a stale entry is ignored.
+ *
+ * @type {Map<string, {startTime: number, end: number}>}
+ */
+const s_LOCAL_END = new Map();
+
+/**
+ * Stores the quest IDs of expired timers currently being handled by the active GM.
+ *
+ * @type {Set<string>}
+ */
+const s_EXPIRING = new Set();
+
+/**
+ * Stores the interval ID of the timer tick.
+ *
+ * @type {number|void}
+ */
+let s_INTERVAL_ID;
+
+/**
+ * Provides real-time countdown timers for quests stored in {@link Quest.timer}. Users who can edit a quest start, pause,
+ * and reset the timer from the QuestPreview management tab. Each change is saved to the quest and broadcast to all
+ * clients with {@link Socket.questTimer}, so running timers count down from the same remaining time on all clients.
+ *
+ * A one second tick updates the timer labels in the {@link QuestTracker} and {@link QuestPreview} without rendering
+ * the apps. When a timer expires the active GM performs the timer action; notify all users, fail the quest, or reveal
+ * a hidden task.
+ */
+export default class QuestTimers
+{
+   /**
+    * @returns {QuestTimerActions} The quest timer actions.
+    */
+   static get Action() { return TimerAction; }
+
+   /**
+    * Formats milliseconds as `m:ss` or `h:mm:ss`.
+    *
+    * @param {number}   ms - The time in milliseconds.
+    *
+    * @returns {string} The formatted time.
+    */
+   static format(ms)
+   {
+      const total = Math.ceil(Math.max(0, ms) / 1000);
+
+      const hours = Math.floor(total / 3600);
+      const minutes = Math.floor((total % 3600) / 60);
+      const seconds = String(total % 60).padStart(2, '0');
+
+      return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+   }
+
+   /**
+    * Returns the remaining time of a quest timer.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {number} The remaining time in milliseconds.
+    */
+   static getRemaining(quest)
+   {
+      const timer = quest?.timer;
+      if (!timer) { return 0; }
+
+      if (!Number.isFinite(timer.startTime)) { return Math.max(0, timer.remaining); }
+
+      const local = s_LOCAL_END.get(quest.id);
+
+      const end = local?.startTime === timer.startTime ? local.end : timer.startTime + timer.remaining;
+
+      return Math.max(0, end - Date.now());
+   }
+
+   /**
+    * Starts the timer tick. Invoked in {@link FQLHooks.foundryReady}.
+    */
+   static init()
+   {
+      if (s_INTERVAL_ID === void 0) { s_INTERVAL_ID = setInterval(s_TICK, 1000); }
+   }
+
+   /**
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {boolean} Whether the quest timer is running.
+    */
+   static isRunning(quest)
+   {
+      return Number.isFinite(quest?.timer?.startTime);
+   }
+
+   /**
+    * Pauses a running quest timer.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {Promise<void>}
+    */
+   static async pause(quest)
+   {
+      if (!QuestTimers.isRunning(quest)) { return; }
+
+      quest.timer.remaining = QuestTimers.getRemaining(quest);
+      quest.timer.startTime = null;
+
+      await s_SAVE(quest);
+   }
+
+   /**
+    * Removes the quest timer.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {Promise<void>}
+    */
+   static async remove(quest)
+   {
+      if (!quest?.timer) { return; }
+
+      quest.timer = null;
+
+      await s_SAVE(quest);
+   }
+
+   /**
+    * Stops the quest timer and resets the remaining time to the duration.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {Promise<void>}
+    */
+   static async reset(quest)
+   {
+      if (!quest?.timer) { return; }
+
+      quest.timer.remaining = quest.timer.duration;
+      quest.timer.startTime = null;
+
+      await s_SAVE(quest);
+   }
+
+   /**
+    * Sets the quest timer duration and expiry action. The timer is stopped and reset.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {number}   options.duration - The timer duration in milliseconds.
+    *
+    * @param {string}   [options.action] - The {@link QuestTimerActions} action performed on expiry.
+    *
+    * @param {string}   [options.taskId] - The UUIDv4 of the hidden task to reveal with the `reveal` action.
+    *
+    * @returns {Promise<void>}
+    */
+   static async set(quest, { duration, action = TimerAction.NOTIFY, taskId = null } = {})
+   {
+      if (!quest || !Number.isFinite(duration) || duration <= 0) { return; }
+
+      quest.timer = {
+         duration,
+         remaining: duration,
+         startTime: null,
+         action: Object.values(TimerAction).includes(action) ? action : TimerAction.NOTIFY,
+         taskId: action === TimerAction.REVEAL && typeof taskId === 'string' ? taskId : null
+      };
+
+      await s_SAVE(quest);
+   }
+
+   /**
+    * Starts or resumes the quest timer. An expired timer restarts from the full duration.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {Promise<void>}
+    */
+   static async start(quest)
+   {
+      if (!quest?.timer || QuestTimers.isRunning(quest)) { return; }
+
+      if (quest.timer.remaining <= 0) { quest.timer.remaining = quest.timer.duration; }
+
+      quest.timer.startTime = Date.now();
+
+      await s_SAVE(quest);
+   }
+
+   /**
+    * Synchronizes the local end time of a quest timer. Invoked locally and by remote clients from
+    * {@link Socket.questTimer}.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.questId - The quest ID.
+    *
+    * @param {number|null} options.startTime - The timer start time.
+    *
+    * @param {number}   options.remaining - The remaining time in milliseconds when sent.
+    *
+    * @param {boolean}  [options.expired] - Whether the timer expired.
+    */
+   static sync({ questId, startTime, remaining, expired = false })
+   {
+      if (Number.isFinite(startTime)) { s_LOCAL_END.set(questId, { startTime, end: Date.now() + remaining }); }
+      else { s_LOCAL_END.delete(questId); }
+
+      if (expired)
+      {
+         const quest = QuestDB.getQuest(questId);
+         if (quest)
+         {
+            ui.notifications.warn(game.i18n.format('ForienQuestLog.QuestTimer.Notifications.Expired',
+             { name: quest.name }));
+         }
+      }
+
+      s_UPDATE_LABELS();
+   }
+}
+
+/**
+ * Performs the timer action of an expired quest timer and stops the timer. Only invoked for the active GM.
+ *
+ * @param {Quest}    quest - The quest.
+ *
+ * @returns {Promise<void>}
+ */
+const s_EXPIRE = async (quest) =>
+{
+   const { action, taskId } = quest.timer;
+
+   quest.timer.remaining = 0;
+   quest.timer.startTime = null;
+
+   switch (action)
+   {
+      case TimerAction.REVEAL:
+      {
+         const task = quest.getTask(taskId);
+         if (task) { task.hidden = false; }
+         break;
+      }
+   }
+
+   await s_SAVE(quest, { expired: action === TimerAction.NOTIFY });
+
+   if (action === TimerAction.FAIL && quest.status !== questStatus.failed)
+   {
+      await Socket.setQuestStatus({ quest, target: questStatus.failed });
+   }
+};
+
+/**
+ * Saves the quest, synchronizes the timer with all clients, and refreshes the views of the quest.
+ *
+ * @param {Quest}    quest - The quest.
+ *
+ * @param {object}   [options] - Options.
+ *
+ * @param {boolean}  [options.expired=false] - Notify all users that the timer expired.
+ *
+ * @returns {Promise<void>}
+ */
+const s_SAVE = async (quest, { expired = false } = {}) =>
+{
+   await quest.save();
+
+   Socket.questTimer({
+      questId: quest.id,
+      startTime: quest.timer?.startTime ?? null,
+      remaining: QuestTimers.getRemaining(quest),
+      expired
+   });
+
+   Socket.refreshQuestPreview({ questId: quest.id, focus: false });
+};
+
+/**
+ * Updates the timer labels every second and handles expired timers for the active GM.
+ */
+const s_TICK = () =>
+{
+   s_UPDATE_LABELS();
+
+   if (!Utils.isActiveGM()) { return; }
+
+   for (const quest of QuestDB.getAllQuests())
+   {
+      if (!QuestTimers.isRunning(quest) || s_EXPIRING.has(quest.id) || QuestTimers.getRemaining(quest) > 0)
+      {
+         continue;
+      }
+
+      s_EXPIRING.add(quest.id);
+
+      s_EXPIRE(quest).catch((err) => console.error(err)).finally(() => s_EXPIRING.delete(quest.id));
+   }
+};
+
+/**
+ * Updates the text of all rendered timer labels in the QuestTracker and QuestPreview apps.
+ */
+const s_UPDATE_LABELS = () =>
+{
+   for (const element of document.querySelectorAll('.quest-timer[data-quest-id]'))
+   {
+      const quest = QuestDB.getQuest(element.dataset.questId);
+      if (!quest?.timer) { continue; }
+
+      const label = element.querySelector('.quest-timer-label');
+      if (label) { label.textContent = QuestTimers.format(QuestTimers.getRemaining(quest)); }
+   }
+};
+
+/**
+ * @typedef {object} QuestTimerActions
+ *
+ * @property {string}   FAIL - Fail the quest.
+ *
+ * @property {string}   NOTIFY - Notify all users.
+ *
+ * @property {string}   REVEAL - Reveal a hidden task.
+ */
@@ -0,0 +1,577 @@
+import QuestDB            from './QuestDB.js';
+import Utils              from './Utils.js';
+
+import DBMigration        from '../../database/DBMigration.js';
+
+import { FVTTCompat }     from '../FVTTCompat.js';
+
+import { constants }      from '../model/constants.js';
+
+/**
+ * Defines the version of the quest bundle format. Increment when the bundle structure changes; quest data changes are
+ * tracked by the DB schema version stored in the bundle.
+ *
+ * @type {number}
+ */
+const s_BUNDLE_VERSION = 1;
+
+/**
+ * Defines the `type` stored in a quest bundle used to verify that a JSON file is a quest bundle.
+ *
+ * @type {string}
+ */
+const s_BUNDLE_TYPE = 'forien-quest-log.bundle';
+
+/**
+ * Provides export / import of quests as a portable JSON bundle to move quests between worlds. A bundle contains the
+ * serialized quest data including subquest trees, tasks, rewards, quest giver data, splash images, and GM notes along
+ * with the item data of any item rewards. The bundle stores the DB schema version, so that importing an older bundle
+ * runs the quest data through {@link DBMigration.migrateData}.
+ *
+ * On import quests are recreated through {@link QuestDB.createQuest} parents first. Parent / subquest IDs are remapped
+ * to the new quest IDs, task UUIDv4s are regenerated with prerequisites remapped, and any item rewards that can not
+ * be found in this world are linked to a world item with the same name and type or created from the item data stored
+ * in the bundle.
+ *
+ * Quests may also be exported to and imported from JournalEntry compendiums. Compendium entries keep the quest ID, so
+ * that subquest links remain valid, and store the DB schema version in {@link constants.flagSchema}. Compendium entries
+ * are ignored by {@link QuestDB}.
+ *
+ * Exposed publicly through {@link QuestAPI} and the QuestLog header buttons / {@link QuestCompendiumBrowser}.
+ */
+export default class QuestTransfer
+{
+   /**
+    * Creates a quest bundle for the given quest IDs.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {string[]} [options.questIds] - The quest IDs to export; default: all quests in the QuestDB.
+    *
+    * @param {boolean}  [options.includeSubquests=true] - Include all subquests of the exported quests.
+    *
+    * @returns {Promise<QuestBundle>} The quest bundle.
+    */
+   static async exportBundle({ questIds = void 0, includeSubquests = true } = {})
+   {
+      const quests = [];
+      const visited = new Set();
+
+      const addQuest = (questId) =>
+      {
+         if (visited.has(questId)) { return; }
+         visited.add(questId);
+
+         const quest = QuestDB.getQuest(questId);
+         if (!quest) { return; }
+
+         quests.push(quest);
+
+         if (includeSubquests) { for (const subquestId of quest.subquests) { addQuest(subquestId); } }
+      };
+
+      const ids = Array.isArray(questIds) ? questIds : QuestDB.getAllQuests().map((quest) => quest.id);
+      for (const questId of ids) { addQuest(questId); }
+
+      const items = {};
+
+      for (const quest of quests)
+      {
+         for (const reward of quest.rewards)
+         {
+            const uuid = reward.type === 'Item' ? reward.data?.uuid : void 0;
+            if (typeof uuid !== 'string' || uuid in items) { continue; }
+
+            try
+            {
+               const document = await fromUuid(uuid);
+               if (document) { items[uuid] = document.toObject(); }
+            }
+            catch (err) { /**/ }
+         }
+      }
+
+      return {
+         type: s_BUNDLE_TYPE,
+         version: s_BUNDLE_VERSION,
+         schemaVersion: DBMigration.version,
+         moduleVersion: Utils.getModuleData()?.version,
+         created: Date.now(),
+         quests: quests.map((quest) => ({ id: quest.id, data: JSON.parse(JSON.stringify(quest.toJSON())) })),
+         items
+      };
+   }
+
+   /**
+    * Exports quests including their subquest trees to a JournalEntry compendium. The quest IDs are kept, so that the
+    * parent / subquest links are valid in the compendium and exporting a quest again updates the compendium entry.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.packId - The collection ID of an unlocked JournalEntry compendium.
+    *
+    * @param {string[]} [options.questIds] - The quest IDs to export; default: all quests in the QuestDB.
+    *
+    * @param {boolean}  [options.includeSubquests=true] - Include all subquests of the exported quests.
+    *
+    * @returns {Promise<number>} The number of exported quests.
+    */
+   static async exportToCompendium({ packId, questIds = void 0, includeSubquests = true } = {})
+   {
+      const pack = s_GET_PACK(packId);
+
+      if (pack.locked)
+      {
+         throw new Error(game.i18n.format('ForienQuestLog.Transfer.Notifications.PackLocked', { pack: packId }));
+      }
+
+      const bundle = await QuestTransfer.exportBundle({ questIds, includeSubquests });
+
+      const index = await pack.getIndex();
+
+      const createData = [];
+      const updateData = [];
+
+      for (const entry of bundle.quests)
+      {
+         const ownership = FVTTCompat.ownership(QuestDB.getQuest(entry.id)?.entry);
+
+         const data = {
+            _id: entry.id,
+            name: entry.data.name,
+            flags: {
+               [constants.moduleName]: {
+                  [constants.flagDB]: entry.data,
+                  [constants.flagSchema]: bundle.schemaVersion
+               }
+            }
+         };
+
+         if (ownership) { data[FVTTCompat.isV10 ? 'ownership' : 'permission'] = foundry.utils.deepClone(ownership); }
+
+         if (index.has(entry.id))
+         {
+            updateData.push(data);
+         }
+         else
+         {
+            createData.push({ ...data, content: '' });
+         }
+      }
+
+      if (updateData.length) { await JournalEntry.updateDocuments(updateData, { pack: pack.collection, diff: false }); }
+      if (createData.length)
+      {
+         await JournalEntry.createDocuments(createData, { pack: pack.collection, keepId: true });
+      }
+
+      return bundle.quests.length;
+   }
+
+   /**
+    * Creates a quest bundle and saves it to a JSON file.
+    *
+    * @param {object}   [options] - Optional parameters; see {@link QuestTransfer.exportBundle}.
+    *
+    * @returns {Promise<QuestBundle>} The quest bundle.
+    */
+   static async exportToFile(options)
+   {
+      const bundle = await QuestTransfer.exportBundle(options);
+
+      if (bundle.quests.length === 0)
+      {
+         ui.notifications.warn(game.i18n.localize('ForienQuestLog.Transfer.Notifications.NoQuests'));
+         return bundle;
+      }
+
+      const filename = bundle.quests.length === 1 ? bundle.quests[0].data.name.slugify() : 'quests';
+
+      saveDataToFile(JSON.stringify(bundle, null, 2), 'text/json', `fql-${filename}.json`);
+
+      return bundle;
+   }
+
+   /**
+    * @returns {CompendiumCollection[]} All JournalEntry compendiums.
+    */
+   static getCompendiumPacks()
+   {
+      return game.packs.filter((pack) => pack.documentName === JournalEntry.documentName);
+   }
+
+   /**
+    * Returns the quests stored in a JournalEntry compendium.
+    *
+    * @param {string}   packId - The collection ID of a JournalEntry compendium.
+    *
+    * @returns {Promise<QuestTransferEntry[]>} The quest entries stored in the compendium.
+    */
+   static async getCompendiumQuests(packId)
+   {
+      const pack = s_GET_PACK(packId);
+
+      const entries = [];
+
+      for (const document of await pack.getDocuments())
+      {
+         const data = document.getFlag(constants.moduleName, constants.flagDB);
+         if (typeof data !== 'object' || data === null) { continue; }
+
+         const schemaVersion = document.getFlag(constants.moduleName, constants.flagSchema);
+
+         entries.push({
+            id: document.id,
+            data: foundry.utils.deepClone(data),
+            ownership: foundry.utils.deepClone(FVTTCompat.ownership(document)),
+
+            // Compendium entries without a stored schema version were exported manually with FQL `0.7.0+` / schema 1.
+            schemaVersion: Number.isInteger(schemaVersion) ? schemaVersion : 1
+         });
+      }
+
+      return entries;
+   }
+
+   /**
+    * Imports all quests in a quest bundle.
+    *
+    * @param {QuestBundle|string}   bundle - The quest bundle or JSON string.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {string}   [options.parentId] - An existing quest ID to add the top level imported quests as subquests.
+    *
+    * @param {boolean}  [options.createItems=true] - Create world items for item rewards not found in this world.
+    *
+    * @returns {Promise<Quest[]>} The imported quests.
+    */
+   static async importBundle(bundle, { parentId = void 0, createItems = true } = {})
+   {
+      if (typeof bundle === 'string') { bundle = JSON.parse(bundle); }
+
+      if (bundle?.type !== s_BUNDLE_TYPE || !Number.isInteger(bundle?.version) || !Array.isArray(bundle?.quests))
+      {
+         throw new Error(game.i18n.localize('ForienQuestLog.Transfer.Notifications.InvalidBundle'));
+      }
+
+      if (bundle.version > s_BUNDLE_VERSION)
+      {
+         throw new Error(game.i18n.localize('ForienQuestLog.Transfer.Notifications.NewerBundle'));
+      }
+
+      const entries = bundle.quests.filter((entry) => typeof entry?.id === 'string' &&
+       typeof entry?.data === 'object' && entry.data !== null).map((entry) => ({
+         id: entry.id,
+         data: foundry.utils.deepClone(entry.data)
+      }));
+
+      const schemaVersion = Number.isInteger(bundle.schemaVersion) ? bundle.schemaVersion : 0;
+      if (schemaVersion < DBMigration.version)
+      {
+         await DBMigration.migrateData(entries.map((entry) => entry.data), schemaVersion);
+      }
+
+      const itemUuids = await s_REMAP_ITEMS(entries, bundle.items, createItems);
+
+      return s_IMPORT_ENTRIES(entries, { parentId, itemUuids });
+   }
+
+   /**
+    * Imports quests including their subquest trees from a JournalEntry compendium. The quest flag data, subquest links,
+    * and permissions are recreated for new world quests.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.packId - The collection ID of a JournalEntry compendium.
+    *
+    * @param {string[]} [options.questIds] - The compendium quest IDs to import; default: all compendium quests.
+    *
+    * @param {boolean}  [options.includeSubquests=true] - Include all subquests of the imported quests.
+    *
+    * @param {string}   [options.parentId] - An existing quest ID to add the top level imported quests as subquests.
+    *
+    * @returns {Promise<Quest[]>} The imported quests.
+    */
+   static async importCompendium({ packId, questIds = void 0, includeSubquests = true, parentId = void 0 } = {})
+   {
+      const packEntries = await QuestTransfer.getCompendiumQuests(packId);
+
+      const entries = [];
+
+      const addEntry = (questId) =>
+      {
+         const entry = packEntries.find((e) => e.id === questId);
+         if (!entry || entries.includes(entry)) { return; }
+
+         entries.push(entry);
+
+         if (includeSubquests && Array.isArray(entry.data.subquests))
+         {
+            for (const subquestId of entry.data.subquests) { addEntry(subquestId); }
+         }
+      };
+
+      for (const questId of Array.isArray(questIds) ? questIds : packEntries.map((e) => e.id)) { addEntry(questId); }
+
+      for (const entry of entries)
+      {
+         if (entry.schemaVersion < DBMigration.version)
+         {
+            await DBMigration.migrateData([entry.data], entry.schemaVersion);
+         }
+      }
+
+      return s_IMPORT_ENTRIES(entries, { parentId });
+   }
+
+   /**
+    * Shows a dialog to select a quest bundle JSON file to import.
+    *
+    * @param {object}   [options] - Optional parameters; see {@link QuestTransfer.importBundle}.
+    *
+    * @returns {Promise<Quest[]|void>} The imported quests.
+    */
+   static async importFromFile(options)
+   {
+      const content = await renderTemplate('templates/apps/import-data.html', {
+         hint1: game.i18n.localize('ForienQuestLog.Transfer.Dialog.Hint1'),
+         hint2: game.i18n.localize('ForienQuestLog.Transfer.Dialog.Hint2')
+      });
+
+      const file = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.localize('ForienQuestLog.Transfer.Dialog.Title'),
+            content,
+            buttons: {
+               import: {
+                  icon: '<i class="fas fa-file-import"></i>',
+                  label: game.i18n.localize('ForienQuestLog.Transfer.Dialog.Import'),
+                  callback: (html) => resolve(html.find('form')[0]?.data?.files?.[0])
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.Transfer.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'import',
+            close: () => resolve()
+         }, { width: 400 }).render(true);
+      });
+
+      if (!file) { return; }
+
+      try
+      {
+         const quests = await QuestTransfer.importBundle(await readTextFromFile(file), options);
+
+         ui.notifications.info(game.i18n.format('ForienQuestLog.Transfer.Notifications.Imported',
+          { count: quests.length }));
+
+         return quests;
+      }
+      catch (err)
+      {
+         console.error(err);
+         ui.notifications.error(err.message);
+      }
+   }
+}
+
+/**
+ * Returns a JournalEntry compendium by collection ID.
+ *
+ * @param {string}   packId - The collection ID of a JournalEntry compendium.
+ *
+ * @returns {CompendiumCollection} The compendium.
+ */
+function s_GET_PACK(packId)
+{
+   const pack = game.packs.get(packId);
+
+   if (!pack || pack.documentName !== JournalEntry.documentName)
+   {
+      throw new Error(game.i18n.format('ForienQuestLog.Transfer.Notifications.InvalidPack', { pack: packId }));
+   }
+
+   return pack;
+}
+
+/**
+ * Creates new quests through {@link QuestDB.createQuest} for the given quest entries. Parent quests are created before
+ * their subquests, so that parent / subquest IDs are remapped to the new quest IDs. Quests with a parent that is not
+ * included in the entries are created as top level quests or subquests of `parentId`.
+ *
+ * @param {QuestTransferEntry[]} entries - The quest entries to import.
+ *
+ * @param {object}   options - Options.
+ *
+ * @param {string}   [options.parentId] - An existing quest ID to add the top level imported quests as subquests.
+ *
+ * @param {Map<string, object>}  [options.itemUuids] - A map of item UUID to new reward data.
+ *
+ * @returns {Promise<Quest[]>} The imported quests.
+ */
+async function s_IMPORT_ENTRIES(entries, { parentId = void 0, itemUuids = new Map() } = {})
+{
+   const entryIds = new Set(entries.map((entry) => entry.id));
+
+   // Imported quests have unique task UUIDv4s, so importing the same quests twice does not share tasks. Prerequisites
+   // between the imported quests are remapped.
+   Utils.regenerateTaskIds(entries.map((entry) => entry.data));
+
+   // Stores the imported entry IDs.
+   const importedIds = new Set();
+
+   const imported = [];
+
+   const importQuest = async (entry, newParentId) =>
+   {
+      importedIds.add(entry.id);
+
+      const data = entry.data;
+      const subquestIds = Array.isArray(data.subquests) ? data.subquests : [];
+
+      // The parent / subquest relationships are recreated by `QuestDB.createQuest`.
+      delete data.parent;
+      delete data.subquests;
+
+      for (const reward of Array.isArray(data.rewards) ? data.rewards : [])
+      {
+         if (reward?.type === 'Item' && itemUuids.has(reward.data?.uuid))
+         {
+            reward.data = itemUuids.get(reward.data.uuid);
+         }
+      }
+
+      const quest = await QuestDB.createQuest({ data, parentId: newParentId });
+      if (!quest) { return; }
+
+      // Restore the ownership of any users that exist in this world.
+      if (typeof entry.ownership === 'object' && entry.ownership !== null)
+      {
+         const ownership = Object.fromEntries(Object.entries(entry.ownership).filter(([userId, level]) =>
+          Number.isInteger(level) && (userId === 'default' || game.users.has(userId))));
+
+         await quest.entry.update({ [FVTTCompat.isV10 ? 'ownership' : 'permission']: ownership });
+      }
+
+      imported.push(quest);
+
+      // Import subquests in the stored order followed by any subquests only linked by `parent`.
+      const children = [
+         ...subquestIds.map((id) => entries.find((child) => child.id === id && child.parentId === entry.id)),
+         ...entries.filter((child) => child.parentId === entry.id && !subquestIds.includes(child.id))
+      ];
+
+      for (const child of children)
+      {
+         if (child && !importedIds.has(child.id)) { await importQuest(child, quest.id); }
+      }
+   };
+
+   for (const entry of entries) { entry.parentId = entry.data.parent; }
+
+   // Top level quests have no parent in the imported entries.
+   for (const entry of entries)
+   {
+      if (!entryIds.has(entry.parentId) && !importedIds.has(entry.id)) { await importQuest(entry, parentId); }
+   }
+
+   // Any remaining quests are part of a parent cycle; import them as top level quests.
+   for (const entry of entries)
+   {
+      if (!importedIds.has(entry.id)) { await importQuest(entry, parentId); }
+   }
+
+   return imported;
+}
+
+/**
+ * Resolves all item reward UUIDs of the imported quest data. Item rewards that exist in this world or a shared
+ * compendium are kept. Otherwise, a world item with the same name and type is linked or if `createItems` is true a
+ * world item is created from the item data stored in the bundle.
+ *
+ * @param {QuestTransferEntry[]} entries - The quest entries to import.
+ *
+ * @param {{[uuid: string]: object}} items - The item data stored in the bundle by UUID.
+ *
+ * @param {boolean}  createItems - Create world items for item rewards not found in this world.
+ *
+ * @returns {Promise<Map<string, object>>} A map of bundle item UUID to new reward data.
+ */
+async function s_REMAP_ITEMS(entries, items, createItems)
+{
+   const itemUuids = new Map();
+
+   for (const entry of entries)
+   {
+      for (const reward of Array.isArray(entry.data.rewards) ? entry.data.rewards : [])
+      {
+         const uuid = reward?.type === 'Item' ? reward.data?.uuid : void 0;
+         if (typeof uuid !== 'string' || itemUuids.has(uuid)) { continue; }
+
+         let document;
+
+         try { document = await fromUuid(uuid); }
+         catch (err) { /**/ }
+
+         if (document) { continue; }
+
+         const itemData = items?.[uuid];
+
+         if (typeof itemData === 'object' && itemData !== null)
+         {
+            document = game.items.find((item) => item.name === itemData.name && item.type === itemData.type);
+
+            if (!document && createItems)
+            {
+               const createData = foundry.utils.deepClone(itemData);
+               delete createData._id;
+               delete createData.folder;
+
+               document = await Item.create(createData);
+            }
+         }
+
+         if (document)
+         {
+            itemUuids.set(uuid, { ...reward.data, uuid: document.uuid, name: document.name, img: document.img });
+         }
+      }
+   }
+
+   return itemUuids;
+}
+
+/**
+ * @typedef {object} QuestBundle
+ *
+ * @property {string}   type - The bundle type; always `forien-quest-log.bundle`.
+ *
+ * @property {number}   version - The bundle format version.
+ *
+ * @property {number}   schemaVersion - The DB schema version of the quest data; see {@link DBMigration.version}.
+ *
+ * @property {string}   moduleVersion - The FQL version that created the bundle.
+ *
+ * @property {number}   created - The creation timestamp.
+ *
+ * @property {QuestTransferEntry[]} quests - The quest ID and serialized quest data of each exported quest.
+ *
+ * @property {{[uuid: string]: object}} items - The item data of all item rewards by UUID.
+ */
+
+/**
+ * @typedef {object} QuestTransferEntry
+ *
+ * @property {string}   id - The original quest ID.
+ *
+ * @property {object}   data - The serialized quest data.
+ *
+ * @property {object}   [ownership] - The ownership / permission levels to restore.
+ *
+ * @property {number}   [schemaVersion] - The DB schema version of compendium quest data.
+ */
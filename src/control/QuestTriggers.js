@@ -0,0 +1,291 @@
+import QuestTemplates     from './QuestTemplates.js';
+import Utils              from './Utils.js';
+
+import { FVTTCompat }     from '../FVTTCompat.js';
+
+import { questStatus }    from '../model/constants.js';
+
+/**
+ * Defines the FQL hooks fired when a quest status changes or a task is toggled.
+ *
+ * @type {QuestTriggerHooks}
+ */
+const s_HOOKS = {
+   questStatusChanged: 'ForienQuestLog.Quest.statusChanged',
+   taskToggled: 'ForienQuestLog.Task.toggled'
+};
+
+/**
+ * Defines the quest statuses that may run a macro stored in {@link Quest.triggers}.
+ *
+ * @type {string[]}
+ */
+const s_TRIGGER_STATUSES = [questStatus.active, questStatus.completed, questStatus.failed];
+
+/**
+ * Provides scripted quest triggers. A quest references a macro by UUID in {@link Quest.triggers} that runs when the
+ * quest becomes active, completed, or failed and a task references a macro in {@link Task.macro} that runs when the
+ * task completes. GMs select the macros from the QuestPreview management tab and the task actions.
+ *
+ * {@link QuestDB} invokes {@link QuestTriggers.fire} on all clients after a quest update is saved with the structured
+ * diff of the update; see {@link QuestDiffData}. On all clients the hooks `ForienQuestLog.Quest.statusChanged` and
+ * `ForienQuestLog.Task.toggled` are fired with the old and new state and the active GM runs the macros. Only world
+ * macros authored by a GM are run and the active GM reverts trigger macros changed by a player in
+ * {@link QuestTriggers.validate}, so a player with edit capability can not run a macro with GM permissions. On
+ * Foundry v10+ the macro scope contains `quest`, `task`, and `event`.
+ *
+ * ```
+ * Hooks.on('ForienQuestLog.Quest.statusChanged', (quest, { from, to }) => {});
+ * Hooks.on('ForienQuestLog.Task.toggled', (quest, task, { from, to }) => {});
+ * ```
+ */
+export default class QuestTriggers
+{
+   /**
+    * @returns {QuestTriggerHooks} The FQL hooks fired by quest triggers.
+    */
+   static get hooks() { return s_HOOKS; }
+
+   /**
+    * @returns {string[]} The quest statuses that may run a macro.
+    */
+   static get statuses() { return s_TRIGGER_STATUSES; }
+
+   /**
+    * Fires the status changed and task toggled hooks for the status transition and toggled tasks of a quest update.
+    * The active GM runs the macros of the quest status and any completed tasks.
+    *
+    * @param {Quest}          quest - The updated quest.
+    *
+    * @param {QuestDiffData}  diff - The quest diff of the update computed by {@link QuestDB}.
+    *
+    * @returns {Promise<void>}
+    */
+   static async fire(quest, diff)
+   {
+      const runMacros = Utils.isActiveGM();
+
+      if (diff.status)
+      {
+         const change = { from: diff.status.from, to: diff.status.to };
+
+         Hooks.callAll(s_HOOKS.questStatusChanged, quest, change);
+
+         if (runMacros && s_TRIGGER_STATUSES.includes(quest.status))
+         {
+            await QuestTriggers.runMacro(quest.triggers[quest.status], { quest, event: change });
+         }
+      }
+
+      for (const toggled of diff.tasks.toggled)
+      {
+         const task = quest.getTask(toggled.uuidv4);
+         if (!task) { continue; }
+
+         const change = { from: toggled.from, to: toggled.to };
+
+         Hooks.callAll(s_HOOKS.taskToggled, quest, task, change);
+
+         if (runMacros && !change.from.completed && change.to.completed)
+         {
+            await QuestTriggers.runMacro(task.macro, { quest, task, event: change });
+         }
+      }
+   }
+
+   /**
+    * @param {string|null} uuid - A macro UUID.
+    *
+    * @returns {Macro|void} The world macro authored by a GM, if found, otherwise undefined.
+    */
+   static getMacro(uuid)
+   {
+      if (typeof uuid !== 'string') { return void 0; }
+
+      const macro = game.macros.find((m) => m.uuid === uuid);
+
+      return game.users.get(FVTTCompat.authorID(macro))?.isGM ? macro : void 0;
+   }
+
+   /**
+    * Runs a world macro authored by a GM. Errors are logged, so a failing macro does not interrupt the quest update.
+    *
+    * @param {string|null} uuid - The macro UUID.
+    *
+    * @param {object}      scope - The macro scope on Foundry v10+.
+    *
+    * @returns {Promise<void>}
+    */
+   static async runMacro(uuid, scope)
+   {
+      if (typeof uuid !== 'string') { return; }
+
+      const macro = QuestTriggers.getMacro(uuid);
+      if (!macro)
+      {
+         console.warn(`ForienQuestLog - QuestTriggers - macro not found or not authored by a GM: ${uuid}`);
+         return;
+      }
+
+      try
+      {
+         await macro.execute(scope);
+      }
+      catch (err)
+      {
+         console.error(err);
+      }
+   }
+
+   /**
+    * Shows a dialog to select the world macros authored by a GM for the given trigger names.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.title - The dialog title.
+    *
+    * @param {{[name: string]: {label: string, uuid: string|null}}} options.triggers - The current macro UUID and
+    *                                                                                  label by trigger name.
+    *
+    * @returns {Promise<{[name: string]: string|null}|void>} The selected macro UUIDs or undefined if cancelled.
+    */
+   static async selectMacros({ title, triggers })
+   {
+      const macros = game.macros.filter((macro) => game.users.get(FVTTCompat.authorID(macro))?.isGM)
+       .sort((a, b) => a.name.localeCompare(b.name));
+
+      const content = `<form autocomplete="off"><p class="notes">${game.i18n.localize(
+       'ForienQuestLog.QuestTriggers.Dialog.Hint')}</p>${Object.entries(triggers).map(([name, trigger]) =>
+        `<div class="form-group"><label>${trigger.label}</label><select name="${name}"><option value="">${
+         game.i18n.localize('ForienQuestLog.QuestTriggers.Dialog.None')}</option>${macros.map((macro) =>
+          `<option value="${macro.uuid}"${macro.uuid === trigger.uuid ? ' selected' : ''}>${
+           Handlebars.escapeExpression(macro.name)}</option>`).join('')}</select></div>`).join('')}</form>`;
+
+      return new Promise((resolve) =>
+      {
+         new Dialog({
+            title,
+            content,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestTriggers.Dialog.Save'),
+                  callback: (html) => resolve(Object.fromEntries(Object.keys(triggers).map((name) =>
+                   [name, html.find(`select[name="${name}"]`).val() || null])))
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestTriggers.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { width: 400 }).render(true);
+      });
+   }
+
+   /**
+    * Reverts the trigger macros of a quest created or updated by a player. Quest owners and trusted players can save
+    * quest data, so only trigger macros set by a GM are honoured. An update keeps the trigger macros of the last loaded
+    * quest data. A created quest keeps the trigger macros referenced by a quest template as players create quests from
+    * templates. Only the active GM validates and saves any reverted quest.
+    *
+    * @param {Quest}       quest - The created or updated quest.
+    *
+    * @param {object}      options - Options.
+    *
+    * @param {string}      options.userId - The ID of the user who created or updated the quest.
+    *
+    * @param {QuestData}   [options.oldData] - The last loaded quest data of an update.
+    *
+    * @returns {boolean} Whether any trigger macros were reverted.
+    */
+   static validate(quest, { userId, oldData = void 0 })
+   {
+      if (!Utils.isActiveGM() || game.users.get(userId)?.isGM) { return false; }
+
+      const allowed = oldData ? void 0 : s_TEMPLATE_MACROS();
+
+      const oldTasks = new Map(s_FLATTEN_TASKS(oldData?.tasks).map((task) => [task.uuidv4, task.macro ?? null]));
+
+      // Returns the macro UUID set by a GM for the given old macro UUID of an update or template macros of a creation.
+      const validMacro = (uuid, oldUuid) => (allowed ? (allowed.has(uuid) ? uuid : null) : oldUuid ?? null);
+
+      let reverted = false;
+
+      for (const status of s_TRIGGER_STATUSES)
+      {
+         const uuid = validMacro(quest.triggers[status], oldData?.triggers?.[status]);
+         if (quest.triggers[status] !== uuid)
+         {
+            quest.triggers[status] = uuid;
+            reverted = true;
+         }
+      }
+
+      for (const task of quest.getAllTasks())
+      {
+         const uuid = validMacro(task.macro, oldTasks.get(task.uuidv4));
+         if (task.macro !== uuid)
+         {
+            task.macro = uuid;
+            reverted = true;
+         }
+      }
+
+      if (reverted)
+      {
+         console.warn(`ForienQuestLog - QuestTriggers - reverted trigger macros set by a player: ${quest.id}`);
+      }
+
+      return reverted;
+   }
+}
+
+/**
+ * @param {object[]} tasks - Serialized task data.
+ *
+ * @returns {object[]} The serialized task data and all subtasks in depth first order.
+ */
+const s_FLATTEN_TASKS = (tasks) => (Array.isArray(tasks) ? tasks.flatMap((task) => [task,
+ ...s_FLATTEN_TASKS(task.tasks)]) : []);
+
+/**
+ * @returns {Set<string>} The macro UUIDs referenced by the quest templates which only GMs save.
+ */
+const s_TEMPLATE_MACROS = () =>
+{
+   const macros = new Set();
+
+   for (const template of QuestTemplates.all)
+   {
+      for (const uuid of Object.values(template.data.triggers ?? {})) { macros.add(uuid); }
+      for (const task of s_FLATTEN_TASKS(template.data.tasks)) { macros.add(task.macro); }
+   }
+
+   macros.delete(null);
+   macros.delete(void 0);
+
+   return macros;
+};
+
+/**
+ * @typedef {object} QuestTriggerHooks
+ *
+ * @property {string}   questStatusChanged - `ForienQuestLog.Quest.statusChanged`; `(quest, { from, to })` with the old
+ *                                           and new status.
+ *
+ * @property {string}   taskToggled - `ForienQuestLog.Task.toggled`; `(quest, task, { from, to })` with the old and new
+ *                                    {@link QuestTriggerTaskState}.
+ */
+
+/**
+ * @typedef {object} QuestTriggerTaskState
+ *
+ * @property {boolean}  completed - Task completed.
+ *
+ * @property {boolean}  failed - Task failed.
+ *
+ * @property {number}   current - The current value of a counter objective.
+ */
@@ -0,0 +1,432 @@
+import RewardSystems      from './RewardSystems.js';
+import Socket             from './Socket.js';
+import Utils              from './Utils.js';
+
+import { constants, settings } from '../model/constants.js';
+
+/**
+ * Defines how the unlocked rewards are distributed to the actors.
+ *
+ * @type {RewardDistributionModes}
+ */
+const Mode = {
+   DUPLICATE: 'duplicate',
+   NONE: 'none',
+   SPLIT: 'split'
+};
+
+/**
+ * Defines which actors receive the rewards.
+ *
+ * @type {RewardDistributionTargets}
+ */
+const Target = {
+   PARTY: 'party',
+   PERSONAL: 'personal'
+};
+
+/**
+ * Provides the automatic reward distribution when a quest is completed as an alternative to players dragging reward
+ * items to actor sheets. The mode and receiving actors are configured per quest in {@link Quest.rewardDistribution}
+ * from the QuestPreview management tab. The party actors are configured in {@link RewardPartyConfig}.
+ *
+ * {@link QuestDB} invokes {@link RewardDistribution.distribute} for the active GM when a quest status changes to
+ * completed. The unlocked item rewards are created on the actors and recorded in the claim ledger of each reward like
+ * dropped rewards and a chat message summarizes the distribution.
+ *
+ * Currency and experience rewards are applied to actor data by the game system adapter of {@link RewardSystems}; with
+ * the generic adapter they are only posted to chat. They are distributed on completion or claimed individually with
+ * {@link RewardDistribution.claim}.
+ */
+export default class RewardDistribution
+{
+   /**
+    * @returns {RewardDistributionModes} The reward distribution modes.
+    */
+   static get Mode() { return Mode; }
+
+   /**
+    * @returns {RewardDistributionTargets} The reward distribution targets.
+    */
+   static get Target() { return Target; }
+
+   /**
+    * Claims an unlocked currency or experience reward. A GM claims the reward for the configured actors which share
+    * the amounts unless the quest duplicates rewards. A player claims the full amounts for their assigned character and
+    * may only claim rewards that are not shared; see {@link RewardDistribution.isShared}. The claim is recorded in the
+    * claim ledger of the reward like a dropped item reward. The claim of a player is sent to the GM who only applies
+    * the amounts when the claim is accepted.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @param {Reward}   reward - The currency or experience reward.
+    *
+    * @returns {Promise<boolean>} Whether the reward was claimed or the claim of a player was sent to the GM.
+    */
+   static async claim(quest, reward)
+   {
+      if (!s_HAS_AMOUNTS(reward) || reward.locked) { return false; }
+
+      if (reward.remaining === 0)
+      {
+         ui.notifications.warn(game.i18n.format('ForienQuestLog.RewardClaims.Notifications.NoneRemaining',
+          { name: reward.name }));
+         return false;
+      }
+
+      if (!game.user.isGM && RewardDistribution.isShared(quest, reward))
+      {
+         ui.notifications.warn(game.i18n.format('ForienQuestLog.RewardClaims.Notifications.Shared',
+          { name: reward.name }));
+         return false;
+      }
+
+      const actors = game.user.isGM ? RewardDistribution.getActors(quest) : s_UNIQUE([game.user.character]);
+      if (actors.length === 0)
+      {
+         ui.notifications.warn(game.i18n.format('ForienQuestLog.RewardDistribution.Notifications.NoActors',
+          { name: quest.name }));
+         return false;
+      }
+
+      // The GM records the claim of a player and only applies the amounts with `grant` when the claim is accepted.
+      if (!game.user.isGM)
+      {
+         await Socket.questRewardDrop({
+            actor: { id: actors[0].id, name: actors[0].name },
+            sheet: { id: null },
+            data: {
+               _fqlData: {
+                  type: 'reward',
+                  questId: quest.id,
+                  uuidv4: reward.uuidv4,
+                  itemName: reward.name,
+                  userId: game.user.id,
+                  userName: game.user.name
+               }
+            }
+         });
+
+         return true;
+      }
+
+      /** @type {Map<string, string[]>} */
+      const received = new Map(actors.map((actor) => [actor.id, []]));
+
+      await s_APPLY_AMOUNTS(reward, actors, quest.rewardDistribution.mode === Mode.DUPLICATE, received);
+
+      await s_POST_SUMMARY(quest, actors, received, []);
+
+      for (const actor of actors)
+      {
+         reward.addClaim({ actorId: actor.id, actorName: actor.name, force: true });
+      }
+
+      await quest.save();
+      Socket.refreshQuestPreview({ questId: quest.id });
+
+      return true;
+   }
+
+   /**
+    * Distributes the unclaimed quantity of the unlocked rewards of a quest to the configured actors. In `split` mode
+    * each unit of an item reward is created on one actor in turn and currency / experience amounts are shared evenly.
+    * In `duplicate` mode each actor receives the unclaimed quantity of every item reward and the full currency /
+    * experience amounts. The claims are recorded in the claim ledger of each reward.
+    *
+    * @param {Quest}    quest - The completed quest.
+    *
+    * @returns {Promise<boolean>} Whether any rewards were distributed.
+    */
+   static async distribute(quest)
+   {
+      const { mode } = quest.rewardDistribution;
+      if (mode === Mode.NONE) { return false; }
+
+      const rewards = quest.rewards.filter((reward) => !reward.locked && reward.remaining > 0);
+      if (rewards.length === 0) { return false; }
+
+      const actors = RewardDistribution.getActors(quest);
+      if (actors.length === 0)
+      {
+         ui.notifications.warn(game.i18n.format('ForienQuestLog.RewardDistribution.Notifications.NoActors',
+          { name: quest.name }));
+         return false;
+      }
+
+      /** @type {Map<string, string[]>} */
+      const received = new Map(actors.map((actor) => [actor.id, []]));
+
+      const abstract = [];
+
+      let claimed = false;
+      let index = 0;
+
+      for (const reward of rewards)
+      {
+         if (s_HAS_AMOUNTS(reward))
+         {
+            await s_APPLY_AMOUNTS(reward, actors, mode === Mode.DUPLICATE, received);
+
+            for (const actor of actors)
+            {
+               reward.addClaim({ actorId: actor.id, actorName: actor.name, force: true });
+            }
+
+            claimed = true;
+            continue;
+         }
+
+         if (reward.type !== 'Item')
+         {
+            abstract.push(reward.name);
+            continue;
+         }
+
+         const document = await Utils.getDocumentFromUUID(reward.data, { permissionCheck: false });
+         if (!document) { continue; }
+
+         /** @type {Map<Actor, number>} */
+         const counts = new Map();
+
+         if (mode === Mode.DUPLICATE)
+         {
+            for (const actor of actors) { counts.set(actor, reward.remaining); }
+         }
+         else
+         {
+            for (let unit = reward.remaining; unit > 0; unit--)
+            {
+               const actor = actors[index++ % actors.length];
+               counts.set(actor, (counts.get(actor) ?? 0) + 1);
+            }
+         }
+
+         for (const [actor, count] of counts)
+         {
+            await actor.createEmbeddedDocuments('Item', Array.from({ length: count }, () => document.toObject()));
+            received.get(actor.id).push(count > 1 ? `${reward.name} ×${count}` : reward.name);
+
+            reward.addClaim({ actorId: actor.id, actorName: actor.name, count, force: true });
+         }
+
+         claimed = true;
+      }
+
+      if (claimed) { await quest.save(); }
+
+      await s_POST_SUMMARY(quest, actors, received, abstract);
+
+      return claimed || abstract.length > 0;
+   }
+
+   /**
+    * Grants one claimed unit of a reward to an actor. The item of an item reward is created on the actor and the full
+    * amounts of a currency or experience reward that is not shared are applied to the actor and summarized in chat.
+    * Invoked by the GM after the claim of a player is accepted in the claim ledger; see
+    * {@link Socket.questRewardDrop}.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @param {Reward}   reward - The claimed reward.
+    *
+    * @param {Actor}    actor - The receiving actor.
+    *
+    * @returns {Promise<boolean>} Whether the reward was granted.
+    */
+   static async grant(quest, reward, actor)
+   {
+      if (s_HAS_AMOUNTS(reward))
+      {
+         if (RewardDistribution.isShared(quest, reward)) { return false; }
+
+         /** @type {Map<string, string[]>} */
+         const received = new Map([[actor.id, []]]);
+
+         await s_APPLY_AMOUNTS(reward, [actor], true, received);
+         await s_POST_SUMMARY(quest, [actor], received, []);
+
+         return true;
+      }
+
+      if (reward.type !== 'Item') { return false; }
+
+      const document = await Utils.getDocumentFromUUID(reward.data, { permissionCheck: false });
+      if (!document) { return false; }
+
+      await actor.createEmbeddedDocuments('Item', [document.toObject()]);
+
+      return true;
+   }
+
+   /**
+    * Returns the actors receiving the rewards of a quest. The personal actors are the assigned characters of the users
+    * of a personal quest; see {@link Quest.getPersonalActors}. The party actors are stored in
+    * {@link FQLSettings.rewardParty} or when no party is configured the assigned characters of all players.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {Actor[]} The receiving actors.
+    */
+   static getActors(quest)
+   {
+      if (quest.rewardDistribution.actors === Target.PERSONAL)
+      {
+         return s_UNIQUE(quest.getPersonalActors().map((user) => user.character));
+      }
+
+      return RewardDistribution.getPartyActors();
+   }
+
+   /**
+    * Returns the number of actors sharing the currency and experience rewards of a quest. Each actor receives the full
+    * amounts when the quest duplicates rewards.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @returns {number} The number of actors sharing the amounts.
+    */
+   static getShareCount(quest)
+   {
+      return quest.rewardDistribution.mode === Mode.DUPLICATE ? 1 :
+       Math.max(1, RewardDistribution.getActors(quest).length);
+   }
+
+   /**
+    * Returns the party actors stored in {@link FQLSettings.rewardParty} or when no party is configured the assigned
+    * characters of all players.
+    *
+    * @returns {Actor[]} The party actors.
+    */
+   static getPartyActors()
+   {
+      const party = game.settings.get(constants.moduleName, settings.rewardParty);
+
+      if (Array.isArray(party) && party.length)
+      {
+         return s_UNIQUE(party.map((actorId) => game.actors.get(actorId)));
+      }
+
+      return s_UNIQUE(game.users.filter((user) => !user.isGM).map((user) => user.character));
+   }
+
+   /**
+    * Returns whether the amounts of a currency or experience reward are shared by several actors. Only GMs claim shared
+    * rewards as the claim ledger records claims and not shares of the amounts.
+    *
+    * @param {Quest}    quest - The quest.
+    *
+    * @param {Reward}   reward - The reward.
+    *
+    * @returns {boolean} Whether the reward amounts are shared.
+    */
+   static isShared(quest, reward)
+   {
+      return s_HAS_AMOUNTS(reward) && RewardDistribution.getShareCount(quest) > 1;
+   }
+}
+
+/**
+ * Applies the amounts of a currency or experience reward to the actors and records the formatted amounts received.
+ *
+ * @param {Reward}                  reward - The currency or experience reward.
+ *
+ * @param {Actor[]}                 actors - The receiving actors.
+ *
+ * @param {boolean}                 full - Each actor receives the full amounts instead of an even share.
+ *
+ * @param {Map<string, string[]>}   received - The names of the rewards received by actor ID.
+ *
+ * @returns {Promise<void>}
+ */
+const s_APPLY_AMOUNTS = async (reward, actors, full, received) =>
+{
+   for (let index = 0; index < actors.length; index++)
+   {
+      const actor = actors[index];
+
+      const amounts = full ? reward.amounts : RewardSystems.share(reward.amounts, actors.length, index);
+      if (!RewardSystems.hasAmounts(amounts)) { continue; }
+
+      try
+      {
+         await RewardSystems.apply(actor, reward.type, amounts);
+      }
+      catch (err)
+      {
+         console.error(err);
+      }
+
+      received.get(actor.id).push(RewardSystems.format(reward.type, amounts));
+   }
+};
+
+/**
+ * @param {Reward}   reward - The reward.
+ *
+ * @returns {boolean} Whether the reward is a currency or experience reward.
+ */
+const s_HAS_AMOUNTS = (reward) => reward?.type === 'Currency' || reward?.type === 'Experience';
+
+/**
+ * Posts a chat message summarizing the distributed rewards.
+ *
+ * @param {Quest}                   quest - The quest.
+ *
+ * @param {Actor[]}                 actors - The receiving actors.
+ *
+ * @param {Map<string, string[]>}   received - The names of the rewards received by actor ID.
+ *
+ * @param {string[]}                abstract - The names of the unlocked abstract rewards.
+ *
+ * @returns {Promise<void>}
+ */
+const s_POST_SUMMARY = async (quest, actors, received, abstract) =>
+{
+   const escapeText = (value) => Handlebars.escapeExpression(value);
+
+   const rows = actors.filter((actor) => received.get(actor.id).length).map((actor) =>
+    `<li><strong>${escapeText(actor.name)}</strong>: ${received.get(actor.id).map(escapeText).join(', ')}</li>`);
+
+   if (abstract.length)
+   {
+      rows.push(`<li><strong>${game.i18n.localize('ForienQuestLog.RewardDistribution.Chat.Everyone')}</strong>: ${
+       abstract.map(escapeText).join(', ')}</li>`);
+   }
+
+   if (rows.length === 0) { return; }
+
+   const title = game.i18n.format('ForienQuestLog.RewardDistribution.Chat.Title', { name: escapeText(quest.name) });
+
+   await ChatMessage.create({
+      speaker: { alias: constants.moduleLabel },
+      content: `<div class="fql-reward-distribution"><h3>${title}</h3><ul>${rows.join('')}</ul></div>`
+   });
+};
+
+/**
+ * Removes undefined and duplicate actors.
+ *
+ * @param {Array<Actor|void>} actors - The actors.
+ *
+ * @returns {Actor[]} The unique actors.
+ */
+const s_UNIQUE = (actors) => [...new Set(actors.filter((actor) => actor))];
+
+/**
+ * @typedef {object} RewardDistributionModes
+ *
+ * @property {string}   DUPLICATE - Each actor receives every item reward and the full currency / experience amounts.
+ *
+ * @property {string}   NONE - Rewards are not distributed automatically.
+ *
+ * @property {string}   SPLIT - Each item reward is received by one actor in turn; currency / experience is shared.
+ */
+
+/**
+ * @typedef {object} RewardDistributionTargets
+ *
+ * @property {string}   PARTY - The party actors; {@link RewardDistribution.getPartyActors}.
+ *
+ * @property {string}   PERSONAL - The assigned characters of the users of a personal quest.
+ */
@@ -0,0 +1,305 @@
+import { FVTTCompat }     from '../FVTTCompat.js';
+
+/**
+ * Stores the registered game system adapters by game system ID.
+ *
+ * @type {Map<string, RewardSystemAdapter>}
+ */
+const s_ADAPTERS = new Map();
+
+/**
+ * The generic adapter used when no adapter is registered for the current game system. Currency and experience rewards
+ * are not applied to actors; {@link RewardDistribution} only posts them to chat.
+ *
+ * @type {RewardSystemAdapter}
+ */
+const s_ADAPTER_GENERIC = {
+   id: 'generic',
+   currencies: [{ id: 'gp', label: 'ForienQuestLog.RewardSystems.Currencies.gp' }]
+};
+
+/**
+ * The default images of currency and experience rewards by reward type.
+ *
+ * @type {{[type: string]: string}}
+ */
+const s_IMAGES = {
+   Currency: 'icons/commodities/currency/coins-assorted-mix-copper-silver-gold.webp',
+   Experience: 'icons/skills/trades/academics-study-reading-book.webp'
+};
+
+/**
+ * Provides structured currency and experience rewards and the game system adapter layer that applies them to actor
+ * data. Currency rewards store an amount per denomination defined by the adapter of the current game system and
+ * experience rewards store the amount as `xp`. Adapters for dnd5e and pf2e are built-in and additional adapters are
+ * added with {@link RewardSystems.registerAdapter} or publicly through {@link QuestAPI.registerRewardAdapter}.
+ *
+ * Rewards are applied when distributed or awarded by {@link RewardDistribution}.
+ */
+export default class RewardSystems
+{
+   /**
+    * @returns {RewardSystemAdapter} The adapter for the current game system.
+    */
+   static get adapter()
+   {
+      return s_ADAPTERS.get(game.system.id) ?? s_ADAPTER_GENERIC;
+   }
+
+   /**
+    * @returns {{id: string, label: string}[]} The localized currency denominations of the current game system.
+    */
+   static get currencies()
+   {
+      return RewardSystems.adapter.currencies.map((currency) => ({
+         id: currency.id,
+         label: game.i18n.localize(currency.label)
+      }));
+   }
+
+   /**
+    * Applies a currency or experience reward to an actor.
+    *
+    * @param {Actor}    actor - The actor receiving the reward.
+    *
+    * @param {string}   type - The reward type; `Currency` or `Experience`.
+    *
+    * @param {{[key: string]: number}} amounts - The amounts per denomination or `xp`.
+    *
+    * @returns {Promise<boolean>} Whether the adapter applied the reward to the actor data.
+    */
+   static async apply(actor, type, amounts)
+   {
+      const adapter = RewardSystems.adapter;
+
+      const apply = type === 'Experience' ? adapter.applyExperience : adapter.applyCurrency;
+      if (typeof apply !== 'function' || !RewardSystems.hasAmounts(amounts)) { return false; }
+
+      return await apply(actor, type === 'Experience' ? amounts.xp : amounts) !== false;
+   }
+
+   /**
+    * Creates the reward data for a new currency or experience reward. The reward name is generated from the amounts.
+    *
+    * @param {string}   type - The reward type; `Currency` or `Experience`.
+    *
+    * @param {{[key: string]: number}} amounts - The amounts per denomination or `xp`.
+    *
+    * @returns {QuestRewardAddData} The reward data for {@link Quest.addReward}.
+    */
+   static createRewardData(type, amounts)
+   {
+      return {
+         type,
+         data: { name: RewardSystems.format(type, amounts), img: s_IMAGES[type], amounts },
+         hidden: true
+      };
+   }
+
+   /**
+    * Shows a dialog to enter the amounts of a currency or experience reward.
+    *
+    * @param {string}   type - The reward type; `Currency` or `Experience`.
+    *
+    * @param {{[key: string]: number}} [amounts] - The current amounts.
+    *
+    * @returns {Promise<{[key: string]: number}|void>} The entered amounts or undefined if cancelled.
+    */
+   static async editAmounts(type, amounts = {})
+   {
+      const fields = type === 'Experience' ?
+       [{ id: 'xp', label: game.i18n.localize('ForienQuestLog.RewardSystems.Dialog.Experience') }] :
+        RewardSystems.currencies;
+
+      const content = `<form autocomplete="off">${fields.map((field) => `<div class="form-group"><label>${
+       Handlebars.escapeExpression(field.label)}</label><input type="number" name="${field.id}" min="0" step="1" ` +
+        `value="${amounts[field.id] ?? 0}"></div>`).join('')}</form>`;
+
+      return new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.localize(`ForienQuestLog.RewardSystems.Dialog.Title${type}`),
+            content,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: game.i18n.localize('ForienQuestLog.RewardSystems.Dialog.Save'),
+                  callback: (html) => resolve(Object.fromEntries(fields.map((field) => [field.id,
+                   Math.max(0, parseInt(html.find(`input[name="${field.id}"]`).val()) || 0)])))
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.RewardSystems.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { width: 320 }).render(true);
+      });
+   }
+
+   /**
+    * Formats the amounts of a currency or experience reward; IE `10 gp, 5 sp` or `300 XP`.
+    *
+    * @param {string}   type - The reward type; `Currency` or `Experience`.
+    *
+    * @param {{[key: string]: number}} amounts - The amounts per denomination or `xp`.
+    *
+    * @returns {string} The formatted amounts.
+    */
+   static format(type, amounts = {})
+   {
+      if (type === 'Experience')
+      {
+         return game.i18n.format('ForienQuestLog.RewardSystems.Experience', { amount: amounts.xp ?? 0 });
+      }
+
+      const labels = new Map(RewardSystems.currencies.map((currency) => [currency.id, currency.label]));
+
+      const parts = Object.entries(amounts).filter(([, amount]) => amount > 0).map(([id, amount]) =>
+       `${amount} ${labels.get(id) ?? id}`);
+
+      return parts.length ? parts.join(', ') : `0 ${RewardSystems.currencies[0]?.label ?? ''}`.trim();
+   }
+
+   /**
+    * @param {{[key: string]: number}} amounts - The amounts per denomination or `xp`.
+    *
+    * @returns {boolean} Whether any amount is greater than 0.
+    */
+   static hasAmounts(amounts)
+   {
+      return typeof amounts === 'object' && amounts !== null && Object.values(amounts).some((amount) => amount > 0);
+   }
+
+   /**
+    * Registers a game system adapter. An adapter for the same game system is replaced.
+    *
+    * @param {RewardSystemAdapter} adapter - The game system adapter.
+    */
+   static registerAdapter(adapter)
+   {
+      if (typeof adapter?.id !== 'string' || !Array.isArray(adapter.currencies))
+      {
+         throw new TypeError(game.i18n.localize('ForienQuestLog.RewardSystems.Errors.InvalidAdapter'));
+      }
+
+      s_ADAPTERS.set(adapter.id, adapter);
+   }
+
+   /**
+    * Returns the share of the amounts for one of several actors. Amounts are divided evenly and any remainder is given
+    * to the first actors.
+    *
+    * @param {{[key: string]: number}} amounts - The amounts per denomination or `xp`.
+    *
+    * @param {number}   count - The number of actors sharing the amounts.
+    *
+    * @param {number}   [index=0] - The index of the actor receiving the share.
+    *
+    * @returns {{[key: string]: number}} The share of the amounts.
+    */
+   static share(amounts, count, index = 0)
+   {
+      const share = {};
+
+      for (const [id, amount] of Object.entries(amounts ?? {}))
+      {
+         share[id] = Math.floor(amount / count) + (index < amount % count ? 1 : 0);
+      }
+
+      return share;
+   }
+}
+
+/**
+ * Adds amounts to numeric properties of the actor system data.
+ *
+ * @param {Actor}    actor - The actor.
+ *
+ * @param {{[path: string]: number}} amounts - The amounts to add by property path in the system data.
+ *
+ * @returns {Promise<void>}
+ */
+const s_ADD_SYSTEM = async (actor, amounts) =>
+{
+   const update = {};
+
+   for (const [path, amount] of Object.entries(amounts))
+   {
+      update[`${FVTTCompat.isV10 ? 'system' : 'data'}.${path}`] = (Number(s_GET_SYSTEM(actor, path)) || 0) + amount;
+   }
+
+   await actor.update(update);
+};
+
+/**
+ * Creates the currency denominations with the built-in currency labels.
+ *
+ * @param {string[]} ids - The currency IDs.
+ *
+ * @returns {{id: string, label: string}[]} The currency denominations.
+ */
+const s_CURRENCIES = (ids) => ids.map((id) => ({ id, label: `ForienQuestLog.RewardSystems.Currencies.${id}` }));
+
+/**
+ * Returns a property of the actor system data.
+ *
+ * @param {Actor}    actor - The actor.
+ *
+ * @param {string}   path - The property path in the system data.
+ *
+ * @returns {*} The property value.
+ */
+const s_GET_SYSTEM = (actor, path) =>
+ foundry.utils.getProperty(FVTTCompat.isV10 ? actor.system : actor.data.data, path);
+
+// dnd5e; currency and experience are stored in the actor system data.
+RewardSystems.registerAdapter({
+   id: 'dnd5e',
+
+   currencies: s_CURRENCIES(['pp', 'gp', 'ep', 'sp', 'cp']),
+
+   applyCurrency: (actor, amounts) => s_ADD_SYSTEM(actor, Object.fromEntries(Object.entries(amounts).map(
+    ([id, amount]) => [`currency.${id}`, amount]))),
+
+   applyExperience: (actor, amount) =>
+   {
+      if (s_GET_SYSTEM(actor, 'details.xp') === void 0) { return false; }
+      return s_ADD_SYSTEM(actor, { 'details.xp.value': amount });
+   }
+});
+
+// pf2e; coins are physical items added through the actor inventory.
+RewardSystems.registerAdapter({
+   id: 'pf2e',
+
+   currencies: s_CURRENCIES(['pp', 'gp', 'sp', 'cp']),
+
+   applyCurrency: async (actor, amounts) =>
+   {
+      if (typeof actor.inventory?.addCoins !== 'function') { return false; }
+      await actor.inventory.addCoins(amounts);
+   },
+
+   applyExperience: (actor, amount) =>
+   {
+      if (actor.type !== 'character') { return false; }
+      return s_ADD_SYSTEM(actor, { 'details.xp.value': amount });
+   }
+});
+
+/**
+ * @typedef {object} RewardSystemAdapter
+ *
+ * @property {string}   id - The game system ID; IE `dnd5e`.
+ *
+ * @property {{id: string, label: string}[]} currencies - The currency denominations; the label is localized.
+ *
+ * @property {Function} [applyCurrency] - Applies currency amounts to an actor: `(actor, amounts) => Promise<void>`.
+ *                                        Return false when the actor can not receive currency.
+ *
+ * @property {Function} [applyExperience] - Applies an experience amount to an actor: `(actor, amount) =>
+ *                                          Promise<void>`. Return false when the actor can not receive experience.
+ */
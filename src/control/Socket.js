@@ -1,9 +1,13 @@
-import QuestAPI      from './public/QuestAPI.js';
-import QuestDB       from './QuestDB.js';
-import Utils         from './Utils.js';
-import ViewManager   from './ViewManager.js';
+import QuestAPI           from './public/QuestAPI.js';
+import QuestChat          from './QuestChat.js';
+import QuestDB            from './QuestDB.js';
+import QuestStatuses      from './QuestStatuses.js';
+import QuestTimers        from './QuestTimers.js';
+import RewardDistribution from './RewardDistribution.js';
+import Utils              from './Utils.js';
+import ViewManager        from './ViewManager.js';
 
-import { constants, questStatus, questStatusI18n, settings }  from '../model/constants.js';
+import { constants, questStatus, settings }  from '../model/constants.js';
 
 /**
  * Defines the event name to send all messages to over  `game.socket`.
@@ -20,6 +24,8 @@ const s_MESSAGE_TYPES = {
    questSetPrimary: 'questSetPrimary',
    questSetStatus: 'questSetStatus',
    questRewardDrop: 'questRewardDrop',
+   questRewardRejected: 'questRewardRejected',
+   questTimer: 'questTimer',
    refreshAll: 'refreshAll',
    refreshQuestPreview: 'refreshQuestPreview',
    showQuestLog: 'showQuestLog',
@@ -37,7 +43,7 @@ const s_MESSAGE_TYPES = {
  * There are also various actions that require a GM or trusted played with edit capability to act upon mostly moving
  * quests from one status to another. Reward item drops into actor sheets invokes {@link Socket.questRewardDrop} from
  * the {@link FQLHooks.dropActorSheetData} hook, but at least one GM level user must be logged in to receive this
- * message to perform the drop / removal of the reward from a Quest.
+ * message to record the claim of the reward in the claim ledger of a Quest.
  *
  * Please see the following view control classes and the QuestDB for socket related usage:
  *
@@ -92,7 +98,7 @@ export default class Socket
     */
    static listen()
    {
-      game.socket.on(s_EVENT_NAME, async (data) =>
+      game.socket.on(s_EVENT_NAME, async (data, senderId) =>
       {
          if (typeof data !== 'object') { return; }
 
@@ -102,9 +108,11 @@ export default class Socket
             switch (data.type)
             {
                case s_MESSAGE_TYPES.deletedQuest: await handleDeletedQuest(data); break;
-               case s_MESSAGE_TYPES.questRewardDrop: await handleQuestRewardDrop(data); break;
+               case s_MESSAGE_TYPES.questRewardDrop: await handleQuestRewardDrop(data, senderId); break;
+               case s_MESSAGE_TYPES.questRewardRejected: handleQuestRewardRejected(data); break;
                case s_MESSAGE_TYPES.questSetPrimary: await handleQuestSetPrimary(data); break;
-               case s_MESSAGE_TYPES.questSetStatus: await handleQuestSetStatus(data); break;
+               case s_MESSAGE_TYPES.questSetStatus: await handleQuestSetStatus(data, senderId); break;
+               case s_MESSAGE_TYPES.questTimer: handleQuestTimer(data); break;
                case s_MESSAGE_TYPES.refreshAll: handleRefreshAll(data); break;
                case s_MESSAGE_TYPES.refreshQuestPreview: handleRefreshQuestPreview(data); break;
                case s_MESSAGE_TYPES.showQuestLog: handleShowQuestLog(data); break;
@@ -121,9 +129,11 @@ export default class Socket
    }
 
    /**
-    * Handles the reward drop in actor sheet action from the {@link FQLHooks.dropActorSheetData} hook. If the local user
-    * is a GM handle this action right away otherwise send a message across the wire for the first GM user reached to
-    * handle the action remotely. The reward is removed from the associated quest.
+    * Handles the reward drop in actor sheet action from the {@link FQLHooks.dropActorSheetData} hook and currency /
+    * experience claims from {@link RewardDistribution.claim}. If the local user is a GM handle this action right away
+    * otherwise send a message across the wire for the active GM to handle the action remotely. The GM is authoritative:
+    * the claim is recorded in the claim ledger of the associated quest reward and only when accepted the reward is
+    * granted to the actor by {@link RewardDistribution.grant}. A rejected claim is reported to the claiming user.
     *
     * Handled on the receiving side by {@link handleQuestRewardDrop}.
     *
@@ -135,21 +145,10 @@ export default class Socket
    {
       let handled = false;
 
-      // Perform the immediate reward removal action if the current user is the GM and set `handled` to true.
+      // Perform the immediate reward claim action if the current user is the GM and set `handled` to true.
       if (game.user.isGM)
       {
-         /**
-          * @type {FQLDropData}
-          */
-         const fqlData = data.data._fqlData;
-
-         const quest = QuestDB.getQuest(fqlData.questId);
-         if (quest)
-         {
-            quest.removeReward(fqlData.uuidv4);
-            await quest.save();
-            Socket.refreshQuestPreview({ questId: fqlData.questId });
-         }
+         await claimReward(data, game.user.id);
          handled = true;
       }
 
@@ -163,6 +162,33 @@ export default class Socket
       });
    }
 
+   /**
+    * Synchronizes a quest timer locally and on all remote clients after the timer is started, paused, reset, or
+    * expires. The remaining time is sent, so remote clients count down from the same remaining time regardless of any
+    * difference in the system clock.
+    *
+    * Handled on the receiving side by {@link handleQuestTimer}.
+    *
+    * @param {object}      data - The timer data.
+    *
+    * @param {string}      data.questId - The quest ID.
+    *
+    * @param {number|null} data.startTime - The timer start time; null when the timer is not running.
+    *
+    * @param {number}      data.remaining - The remaining time in milliseconds.
+    *
+    * @param {boolean}     [data.expired] - Whether the timer expired; all users are notified.
+    */
+   static questTimer(data)
+   {
+      QuestTimers.sync(data);
+
+      game.socket.emit(s_EVENT_NAME, {
+         type: s_MESSAGE_TYPES.questTimer,
+         payload: data
+      });
+   }
+
    /**
     * Renders all GUI apps via {@link ViewManager.renderAll}. With the option `questPreview` set to true all
     * QuestPreviews are also rendered. Remaining options are forwarded onto the Foundry Application render method.
@@ -269,10 +295,13 @@ export default class Socket
     * Handles setting a new quest status then refreshes the appropriate views including parent and
     * subquests as applicable. On the invocation side if the user is a GM or trusted player with edit and ownership of
     * the quest being updated then the action is immediately taken and `handled` set to true which is part of the
-    * message sent across the wire. If this is a player who can accept quests the local action is skipped and a socket
-    * message is sent out and the first GM level user to receive it will perform the status update for the associated
-    * quest. If no GM level users are logged in this action is never handled and the user can not change the status of
-    * a quest.
+    * message sent across the wire. If this is a player who may perform the transition per
+    * {@link QuestStatuses.canTransition} the local action is skipped and a socket message is sent out and the first GM
+    * level user to receive it will check the transition again for the requesting user before performing the status
+    * update for the associated quest. If no GM level users are logged in this action is never handled and the user can
+    * not change the status of a quest.
+    *
+    * The user performing the status update posts a status announcement card via {@link QuestChat.announceStatus}.
     *
     * Handled on the receiving side by {@link handleQuestSetStatus}.
     *
@@ -280,7 +309,7 @@ export default class Socket
     *
     * @param {Quest}    options.quest - The quest to move.
     *
-    * @param {string}   options.target - The target status. One of five {@link questStatus}.
+    * @param {string}   options.target - The target status. A {@link questStatus} or custom status ID.
     *
     * @returns {Promise<void>}
     * @see {@link HandlerAny.questStatusSet}
@@ -290,6 +319,9 @@ export default class Socket
    {
       let handled = false;
 
+      // Early out if the current user may not perform the status transition.
+      if (!QuestStatuses.canTransition(quest, target)) { return; }
+
       // If the current user is a GM or trusted player with edit capability and owner of the quest immediately perform
       // the status move.
       if (game.user.isGM || (Utils.isTrustedPlayerEdit() && quest.isOwner))
@@ -300,15 +332,11 @@ export default class Socket
          Socket.refreshQuestPreview({ questId: quest.getQuestIds() });
          Socket.refreshAll();
 
-         const dirname = game.i18n.localize(questStatusI18n[target]);
+         const dirname = QuestStatuses.label(target);
          ViewManager.notifications.info(game.i18n.format('ForienQuestLog.Notifications.QuestMoved',
           { name: quest.name, target: dirname }));
-      }
-      else
-      {
-         // Provide a sanity check and early out if the player can't accept quests.
-         const canPlayerAccept = game.settings.get(constants.moduleName, settings.allowPlayersAccept);
-         if (questStatus.active !== target && !canPlayerAccept) { return; }
+
+         await QuestChat.announceStatus(quest, target);
       }
 
       game.socket.emit(s_EVENT_NAME, {
@@ -390,6 +418,71 @@ export default class Socket
 
 // Receiving message implementation ----------------------------------------------------------------------------------
 
+/**
+ * Records the claim of a dropped reward in the claim ledger of the quest reward and grants the reward to the actor
+ * only when the claim is accepted. A claim is rejected when the reward is fully claimed or the claiming user does not
+ * own the actor and the claiming user is notified. The claim of a player is also rejected when the reward is locked,
+ * shares its amounts with other party members, or players are not allowed to drag rewards. Only invoked for GM users.
+ *
+ * @param {RewardDropData|object} data - The reward drop data with the receiving actor.
+ *
+ * @param {string}                userId - The ID of the claiming user; the sender of the message.
+ *
+ * @returns {Promise<void>}
+ */
+async function claimReward(data, userId)
+{
+   /**
+    * @type {FQLDropData}
+    */
+   const fqlData = data.data._fqlData;
+
+   const user = game.users.get(userId);
+   const actor = game.actors.get(data.actor?.id);
+   const quest = QuestDB.getQuest(fqlData.questId);
+   const reward = quest?.getReward(fqlData.uuidv4);
+
+   if (!user || !actor || !reward) { return; }
+
+   // Players may only claim rewards when allowed to drag rewards and only claim amounts that are not shared.
+   const playerDenied = !user.isGM && (reward.locked || RewardDistribution.isShared(quest, reward) ||
+    !game.settings.get(constants.moduleName, settings.allowPlayersDrag));
+
+   if (playerDenied || !actor.testUserPermission(user, CONST.DOCUMENT_PERMISSION_LEVELS.OWNER))
+   {
+      rejectReward(userId, reward, false);
+      return;
+   }
+
+   const claim = reward.addClaim({ actorId: actor.id, actorName: actor.name, userId });
+   if (!claim)
+   {
+      rejectReward(userId, reward, true);
+      return;
+   }
+
+   let granted = false;
+
+   try
+   {
+      granted = await RewardDistribution.grant(quest, reward, actor);
+   }
+   catch (err)
+   {
+      console.error(err);
+   }
+
+   if (!granted)
+   {
+      reward.removeClaim(claim.id);
+      rejectReward(userId, reward, false);
+      return;
+   }
+
+   await quest.save();
+   Socket.refreshQuestPreview({ questId: quest.id });
+}
+
 /**
  * Closes the associated QuestPreview for the quest that was deleted on the remote client. The payload is a the
  * `questId` to close. QuestPreview by default saves the quest when a QuestPreview is closed. This quest has already
@@ -412,16 +505,18 @@ async function handleDeletedQuest(data)
 }
 
 /**
- * Handles the reward item drop into actor sheet by the first GM level user receiving this message setting the
- * handled state to `true`, so no further GM level users attempt to remove the item from the associated quest.
+ * Handles the reward item drop into actor sheet by the active GM, so no further GM level users attempt to claim the
+ * reward. The claiming user is the sender of the message provided by Foundry and not from the payload.
  *
  * This message is sent from {@link Socket.questRewardDrop}.
  *
  * @param {RewardDropData} data - The data payload is the reward drop data.
  *
+ * @param {string}         senderId - The ID of the user who sent the message.
+ *
  * @returns {Promise<void>}
  */
-async function handleQuestRewardDrop(data)
+async function handleQuestRewardDrop(data, senderId)
 {
    if (game.user.isGM)
    {
@@ -442,22 +537,32 @@ async function handleQuestRewardDrop(data)
          }));
       }
 
-      // The quest reward has already been removed by a GM user.
-      if (data.payload.handled) { return; }
+      // The quest reward claim has already been recorded by a GM user or another GM user is the active GM.
+      if (data.payload.handled || !Utils.isActiveGM()) { return; }
 
       // Set handled to true so no more GM level users act upon this event.
       data.payload.handled = true;
 
-      const quest = QuestDB.getQuest(fqlData.questId);
-      if (quest)
-      {
-         quest.removeReward(fqlData.uuidv4);
-         await quest.save();
-         Socket.refreshQuestPreview({ questId: fqlData.questId });
-      }
+      await claimReward(data.payload, senderId);
    }
 }
 
+/**
+ * Notifies the claiming user that a reward claim was rejected by the GM.
+ *
+ * This message is sent from {@link rejectReward}.
+ *
+ * @param {object} data - The data payload contains `userId`, `name`, and `noneRemaining`.
+ */
+function handleQuestRewardRejected(data)
+{
+   if (data.payload.userId !== game.user.id) { return; }
+
+   ui.notifications.warn(game.i18n.format(data.payload.noneRemaining ?
+    'ForienQuestLog.RewardClaims.Notifications.NoneRemaining' : 'ForienQuestLog.RewardClaims.Notifications.Rejected',
+     { name: data.payload.name }));
+}
+
 /**
  * Handles setting a primary quest by a remote GM user.
  *
@@ -496,15 +601,20 @@ async function handleQuestSetPrimary(data)
 
 /**
  * Sets the associated quest status to the `target` by the first GM level user receiving this message setting the
- * handled state to `true`, so no further GM level users attempt to update the quest.
+ * handled state to `true`, so no further GM level users attempt to update the quest. The transition is checked against
+ * the requesting user with {@link QuestStatuses.canTransition}, so a crafted message can not bypass the transition
+ * rules. The requesting user is the sender of the message provided by Foundry and not from the payload which any
+ * client may craft. Only player requests are handled as GM level users always perform the status update locally.
  *
  * This message is sent from {@link Socket.questSetStatus}.
  *
  * @param {object} data - The data payload contains `questId` and `target` along with `handled`.
  *
+ * @param {string} senderId - The ID of the user who sent the message.
+ *
  * @returns {Promise<void>}
  */
-async function handleQuestSetStatus(data)
+async function handleQuestSetStatus(data, senderId)
 {
    const target = data.payload.target;
 
@@ -512,23 +622,32 @@ async function handleQuestSetStatus(data)
    if (game.user.isGM && !data.payload.handled)
    {
       const quest = QuestDB.getQuest(data.payload.questId);
-      if (quest)
-      {
-         await quest.setStatus(target);
-      }
+      const user = game.users.get(senderId);
 
       // Set handled to true so no other GM level users act upon the move.
       data.payload.handled = true;
 
+      if (!quest || !user || user.isGM || !QuestStatuses.canTransition(quest, target, user))
+      {
+         console.warn(`ForienQuestLog - Socket - rejected quest status change to '${target}' for quest ID: ${
+          data.payload.questId} from user ID: ${senderId}`);
+         return;
+      }
+
+      // Record the requesting user in the quest history.
+      await quest.setStatus(target, { userId: user.id });
+
       Socket.refreshQuestPreview({
          questId: quest.parent ? [quest.parent, quest.id, ...quest.subquests] : [quest.id, ...quest.subquests]
       });
 
       Socket.refreshAll();
 
-      const dirname = game.i18n.localize(questStatusI18n[target]);
+      const dirname = QuestStatuses.label(target);
       ViewManager.notifications.info(game.i18n.format('ForienQuestLog.Notifications.QuestMoved',
        { name: quest.name, target: dirname }));
+
+      await QuestChat.announceStatus(quest, target);
    }
 
    // For non-GM users close QuestPreview when made hidden / inactive.
@@ -543,6 +662,18 @@ async function handleQuestSetStatus(data)
    }
 }
 
+/**
+ * Synchronizes a quest timer from a remote client via {@link QuestTimers.sync}.
+ *
+ * This message is sent from {@link Socket.questTimer}.
+ *
+ * @param {object} data - The data payload contains `questId`, `startTime`, `remaining`, and `expired`.
+ */
+function handleQuestTimer(data)
+{
+   QuestTimers.sync(data.payload);
+}
+
 /**
  * Handles refreshing all GUI apps via {@link ViewManager.renderAll} passing the `options` data payload onward.
  *
@@ -656,3 +787,28 @@ function handleUserCantOpenQuest(data)
        { user: data.payload.user }));
    }
 }
+
+/**
+ * Notifies the claiming user that the GM rejected a reward claim. The notification is shown locally when the GM
+ * claimed the reward otherwise it is sent to the claiming user.
+ *
+ * Handled on the receiving side by {@link handleQuestRewardRejected}.
+ *
+ * @param {string}   userId - The ID of the claiming user.
+ *
+ * @param {Reward}   reward - The claimed reward.
+ *
+ * @param {boolean}  noneRemaining - The claim was rejected as the reward is fully claimed.
+ */
+function rejectReward(userId, reward, noneRemaining)
+{
+   const data = { type: s_MESSAGE_TYPES.questRewardRejected, payload: { userId, name: reward.name, noneRemaining } };
+
+   if (userId === game.user.id)
+   {
+      handleQuestRewardRejected(data);
+      return;
+   }
+
+   game.socket.emit(s_EVENT_NAME, data);
+}
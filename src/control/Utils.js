@@ -214,6 +214,31 @@ export default class Utils
       return document;
    }
 
+   /**
+    * Returns the world quest categories stored in {@link FQLSettings.questCategories}.
+    *
+    * @returns {QuestCategoryData[]} The quest categories.
+    */
+   static getQuestCategories()
+   {
+      const categories = game.settings.get(constants.moduleName, settings.questCategories);
+      return Array.isArray(categories) ? categories : [];
+   }
+
+   /**
+    * Returns a single quest category by ID.
+    *
+    * @param {string|null} categoryId - A quest category ID / {@link Quest.type}.
+    *
+    * @returns {QuestCategoryData|void} The quest category if it exists.
+    */
+   static getQuestCategory(categoryId)
+   {
+      if (typeof categoryId !== 'string' || !categoryId.length) { return void 0; }
+
+      return Utils.getQuestCategories().find((category) => category.id === categoryId);
+   }
+
    /**
     * Returns the quest folder or initializes and returns the quest folder if it doesn't exist and `create` is true.
     *
@@ -319,6 +344,22 @@ export default class Utils
       return game.settings.get(constants.moduleName, settings.hideFQLFromPlayers);
    }
 
+   /**
+    * Returns true if the current user is the active GM; the first active GM sorted by ID. This allows one client to
+    * perform automated updates of quests.
+    *
+    * @returns {boolean} Is the current user the active GM.
+    */
+   static isActiveGM()
+   {
+      if (!game.user.isGM) { return false; }
+
+      const activeGM = game.users.filter((user) => user.isGM && user.active).sort(
+       (a, b) => a.id.localeCompare(b.id))[0];
+
+      return activeGM?.id === game.user.id;
+   }
+
    /**
     * Sets an image based on boolean setting state for FQL macros.
     *
@@ -358,6 +399,63 @@ export default class Utils
       }
    }
 
+   /**
+    * Views the quest location for the given UUID. Scenes are viewed, notes are panned to after viewing the parent
+    * scene, and journal entries are panned to if there is a note on the current scene otherwise the journal sheet is
+    * shown. Players may only view scenes that are visible to them.
+    *
+    * @param {string|object}  data - The UUID as a string or object with UUID key as a string.
+    *
+    * @returns {Promise<void>}
+    */
+   static async showLocationFromUUID(data)
+   {
+      const document = await Utils.getDocumentFromUUID(data, { permissionCheck: false });
+      if (!document) { return; }
+
+      // Returns true if the scene can be viewed by the current user.
+      const canView = (scene) =>
+      {
+         if (game.user.isGM || scene?.visible) { return true; }
+
+         ui.notifications.warn('ForienQuestLog.API.Utils.Notifications.NoPermission', { localize: true });
+         return false;
+      };
+
+      switch (document.documentName)
+      {
+         case Scene.documentName:
+            if (canView(document)) { await document.view(); }
+            break;
+
+         case NoteDocument.documentName:
+         {
+            const scene = document.parent;
+            if (!canView(scene)) { return; }
+
+            if (canvas?.scene?.id !== scene.id) { await scene.view(); }
+
+            await canvas.animatePan({
+               x: FVTTCompat.get(document, 'x'),
+               y: FVTTCompat.get(document, 'y'),
+               scale: Math.max(canvas.stage.scale.x, 1)
+            });
+            break;
+         }
+
+         case JournalEntry.documentName:
+            if (document.sceneNote)
+            {
+               await document.panToNote();
+            }
+            else
+            {
+               await Utils.showSheetFromUUID(data);
+            }
+            break;
+      }
+   }
+
    /**
     * Shows a document sheet for the given UUID. An error message will post if the UUID is invalid and a warning
     * message will be posted if the current `game.user` does not have permission to view the document.
@@ -425,6 +523,7 @@ export default class Utils
          "templates/partials/quest-preview/v9/details.html",
          "templates/partials/quest-preview/v10/gmnotes.html",
          "templates/partials/quest-preview/v10/details.html",
+         "templates/partials/quest-preview/history.html",
          "templates/partials/quest-preview/management.html"
       ];
 
@@ -432,6 +531,52 @@ export default class Utils
       loadTemplates(templates);
    }
 
+   /**
+    * Regenerates the UUIDv4 of all serialized tasks and child tasks of the given quest data, so that quests created
+    * from a template or an import do not share task UUIDv4s with other quests. Task prerequisites and the timer task
+    * are remapped to the new UUIDv4s resolving tasks of the same quest first. References to tasks that are not
+    * included in the quest data are unchanged.
+    *
+    * @param {QuestData[]}   quests - The serialized quest data to update.
+    */
+   static regenerateTaskIds(quests)
+   {
+      const flatten = (tasks) => (Array.isArray(tasks) ? tasks.flatMap((task) => [task, ...flatten(task.tasks)]) : []);
+
+      // The new UUIDv4 by old UUIDv4 of each quest and the first new UUIDv4 across all quests.
+      const questIds = [];
+      const allIds = new Map();
+
+      for (const data of quests)
+      {
+         const ids = new Map();
+
+         for (const task of flatten(data?.tasks))
+         {
+            const uuidv4 = Utils.uuidv4();
+
+            if (!ids.has(task.uuidv4)) { ids.set(task.uuidv4, uuidv4); }
+            if (!allIds.has(task.uuidv4)) { allIds.set(task.uuidv4, uuidv4); }
+
+            task.uuidv4 = uuidv4;
+         }
+
+         questIds.push(ids);
+      }
+
+      quests.forEach((data, index) =>
+      {
+         const remap = (uuidv4) => questIds[index].get(uuidv4) ?? allIds.get(uuidv4) ?? uuidv4;
+
+         for (const task of flatten(data?.tasks))
+         {
+            if (Array.isArray(task.prerequisites)) { task.prerequisites = task.prerequisites.map(remap); }
+         }
+
+         if (typeof data?.timer?.taskId === 'string') { data.timer.taskId = remap(data.timer.taskId); }
+      });
+   }
+
    /**
     * Register additional Handlebars helpers. `format` allows invoking `game.i18n.format` from a Handlebars template.
     */
@@ -1,9 +1,10 @@
 import QuestDB       from './QuestDB.js';
+import QuestStatuses from './QuestStatuses.js';
 import QuestLog      from '../view/log/QuestLog.js';
 import QuestPreview  from '../view/preview/QuestPreview.js';
 import QuestTracker  from '../view/tracker/QuestTracker.js';
 
-import { constants, questStatus, questStatusI18n, settings } from '../model/constants.js';
+import { constants, questStatus, settings } from '../model/constants.js';
 
 /**
  * Locally stores the app instances which are accessible by getter methods.
@@ -216,7 +217,7 @@ export default class ViewManager
       {
          ui.notifications.info(game.i18n.format('ForienQuestLog.Notifications.QuestAdded', {
             name: quest.name,
-            status: game.i18n.localize(questStatusI18n[quest.status])
+            status: QuestStatuses.label(quest.status)
          }));
       }
 
@@ -0,0 +1,227 @@
+/**
+ * Stores the registered calendar adapters. The first active adapter formats world time dates and durations; the core
+ * adapter is always active and used when no calendar module is available.
+ *
+ * @type {WorldCalendarAdapter[]}
+ */
+const s_ADAPTERS = [];
+
+/**
+ * Provides world time / `game.time.worldTime` dates and durations for quest dates and deadlines. Formatting is handled
+ * by an adapter layer, so dates display in the calendar of popular calendar modules. Simple Calendar is supported by
+ * default and additional adapters are added with {@link WorldCalendar.registerAdapter} or publicly through
+ * {@link QuestAPI.registerCalendarAdapter}.
+ *
+ * Quest deadlines are checked in {@link FQLHooks.updateWorldTime}.
+ */
+export default class WorldCalendar
+{
+   /**
+    * @returns {WorldCalendarAdapter} The first active calendar adapter.
+    */
+   static get adapter()
+   {
+      return s_ADAPTERS.find((adapter) => s_IS_ACTIVE(adapter)) ?? s_ADAPTER_CORE;
+   }
+
+   /**
+    * @returns {number} The current world time in seconds.
+    */
+   static get now()
+   {
+      return game.time.worldTime;
+   }
+
+   /**
+    * Formats a world time as a date with the active calendar adapter.
+    *
+    * @param {number}   worldTime - The world time in seconds.
+    *
+    * @returns {string} The formatted date.
+    */
+   static formatDate(worldTime)
+   {
+      try
+      {
+         return WorldCalendar.adapter.formatDate(worldTime);
+      }
+      catch (err)
+      {
+         console.warn(err);
+         return s_ADAPTER_CORE.formatDate(worldTime);
+      }
+   }
+
+   /**
+    * Formats a duration of world time seconds with the active calendar adapter.
+    *
+    * @param {number}   seconds - The duration in seconds.
+    *
+    * @returns {string} The formatted duration.
+    */
+   static formatDuration(seconds)
+   {
+      try
+      {
+         return WorldCalendar.adapter.formatDuration(Math.max(0, seconds));
+      }
+      catch (err)
+      {
+         console.warn(err);
+         return s_ADAPTER_CORE.formatDuration(Math.max(0, seconds));
+      }
+   }
+
+   /**
+    * Returns the countdown data for a deadline.
+    *
+    * @param {number}   deadline - The deadline world time in seconds.
+    *
+    * @returns {WorldCalendarCountdown} The countdown data.
+    */
+   static getCountdown(deadline)
+   {
+      const remaining = deadline - WorldCalendar.now;
+
+      return {
+         date: WorldCalendar.formatDate(deadline),
+         overdue: remaining <= 0,
+         remaining,
+         label: remaining > 0 ? game.i18n.format('ForienQuestLog.Deadline.Remaining',
+          { duration: WorldCalendar.formatDuration(remaining) }) :
+           game.i18n.localize('ForienQuestLog.Deadline.Overdue')
+      };
+   }
+
+   /**
+    * Registers a calendar adapter. Adapters registered later take precedence. An adapter with the same ID is replaced.
+    *
+    * @param {WorldCalendarAdapter} adapter - The calendar adapter.
+    */
+   static registerAdapter(adapter)
+   {
+      if (typeof adapter?.id !== 'string' || typeof adapter.formatDate !== 'function' ||
+       typeof adapter.formatDuration !== 'function')
+      {
+         throw new TypeError(game.i18n.localize('ForienQuestLog.Deadline.Errors.InvalidAdapter'));
+      }
+
+      const index = s_ADAPTERS.findIndex((a) => a.id === adapter.id);
+      if (index >= 0) { s_ADAPTERS.splice(index, 1); }
+
+      s_ADAPTERS.unshift(adapter);
+   }
+}
+
+/**
+ * Formats a duration from days, hours, and minutes showing the two largest units.
+ *
+ * @param {object}   interval - The duration interval.
+ *
+ * @param {number}   [interval.day=0] - The days.
+ *
+ * @param {number}   [interval.hour=0] - The hours.
+ *
+ * @param {number}   [interval.minute=0] - The minutes.
+ *
+ * @returns {string} The formatted duration.
+ */
+const s_FORMAT_INTERVAL = ({ day = 0, hour = 0, minute = 0 } = {}) =>
+{
+   const parts = [];
+
+   if (day > 0) { parts.push(game.i18n.format('ForienQuestLog.Deadline.Units.Days', { value: day })); }
+   if (hour > 0) { parts.push(game.i18n.format('ForienQuestLog.Deadline.Units.Hours', { value: hour })); }
+   if (minute > 0 && day === 0)
+   {
+      parts.push(game.i18n.format('ForienQuestLog.Deadline.Units.Minutes', { value: minute }));
+   }
+
+   return parts.length ? parts.slice(0, 2).join(' ') :
+    game.i18n.format('ForienQuestLog.Deadline.Units.Minutes', { value: 0 });
+};
+
+/**
+ * Safely determines if an adapter is active.
+ *
+ * @param {WorldCalendarAdapter} adapter - The calendar adapter.
+ *
+ * @returns {boolean} Whether the adapter is active.
+ */
+const s_IS_ACTIVE = (adapter) =>
+{
+   try
+   {
+      return typeof adapter.isActive !== 'function' || adapter.isActive();
+   }
+   catch (err)
+   {
+      return false;
+   }
+};
+
+/**
+ * The core adapter formats world time seconds from the start of the world as days and time of day.
+ *
+ * @type {WorldCalendarAdapter}
+ */
+const s_ADAPTER_CORE = {
+   id: 'core',
+
+   formatDate: (worldTime) =>
+   {
+      const day = Math.floor(worldTime / 86400) + 1;
+      const seconds = ((worldTime % 86400) + 86400) % 86400;
+
+      const time = `${String(Math.floor(seconds / 3600)).padStart(2, '0')}:${
+       String(Math.floor((seconds % 3600) / 60)).padStart(2, '0')}`;
+
+      return game.i18n.format('ForienQuestLog.Deadline.CoreDate', { day, time });
+   },
+
+   formatDuration: (seconds) => s_FORMAT_INTERVAL({
+      day: Math.floor(seconds / 86400),
+      hour: Math.floor((seconds % 86400) / 3600),
+      minute: Math.floor((seconds % 3600) / 60)
+   })
+};
+
+// Simple Calendar; https://github.com/vigoren/foundryvtt-simple-calendar
+WorldCalendar.registerAdapter({
+   id: 'foundryvtt-simple-calendar',
+
+   isActive: () => game.modules.get('foundryvtt-simple-calendar')?.active &&
+    globalThis.SimpleCalendar?.api !== void 0,
+
+   formatDate: (worldTime) =>
+   {
+      const date = globalThis.SimpleCalendar.api.timestampToDate(worldTime);
+      return `${date.display.date} ${date.display.time}`;
+   },
+
+   formatDuration: (seconds) => s_FORMAT_INTERVAL(globalThis.SimpleCalendar.api.secondsToInterval(seconds))
+});
+
+/**
+ * @typedef {object} WorldCalendarAdapter
+ *
+ * @property {string}   id - The adapter ID; usually the calendar module ID.
+ *
+ * @property {Function} [isActive] - Returns whether the calendar is available; default: always active.
+ *
+ * @property {Function} formatDate - Formats a world time in seconds as a date string.
+ *
+ * @property {Function} formatDuration - Formats a duration in seconds as a string.
+ */
+
+/**
+ * @typedef {object} WorldCalendarCountdown
+ *
+ * @property {string}   date - The formatted deadline date.
+ *
+ * @property {boolean}  overdue - Whether the deadline has passed.
+ *
+ * @property {number}   remaining - The remaining world time in seconds; negative when overdue.
+ *
+ * @property {string}   label - The localized countdown label.
+ */
@@ -1,6 +1,11 @@
-import QuestDBShim   from './QuestDBShim.js';
-import Socket        from '../Socket.js';
-import ViewManager   from '../ViewManager.js';
+import QuestDBShim    from './QuestDBShim.js';
+import QuestChat      from '../QuestChat.js';
+import QuestTemplates from '../QuestTemplates.js';
+import QuestTransfer  from '../QuestTransfer.js';
+import RewardSystems  from '../RewardSystems.js';
+import Socket         from '../Socket.js';
+import ViewManager    from '../ViewManager.js';
+import WorldCalendar  from '../WorldCalendar.js';
 
 import { constants, settings } from '../../model/constants.js';
 
@@ -18,6 +23,130 @@ class QuestAPI
     */
    static get DB() { return QuestDBShim; }
 
+   /**
+    * @returns {{id: string, name: string}[]} The ID and name of all quest templates.
+    */
+   static get templates()
+   {
+      return QuestTemplates.all.map((template) => ({ id: template.id, name: template.name }));
+   }
+
+   /**
+    * Creates a new quest from a quest template. The same gating as {@link QuestDBShim.createQuest} applies.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.template - The template ID or name; IE "Bounty".
+    *
+    * @param {object}   [options.data] - Additional quest data that overrides the template data.
+    *
+    * @param {string}   [options.parentId] - Any associated parent ID; if set then this is a subquest.
+    *
+    * @param {boolean}  [options.openSheet=false] - Open the QuestPreview of the new quest.
+    *
+    * @returns {Promise<Quest|null|void>} The newly created quest.
+    */
+   static async createQuestFromTemplate({ template, data, parentId, openSheet = false } = {})
+   {
+      if (!game.user.isGM && (!game.settings.get(constants.moduleName, settings.allowPlayersCreate) ||
+       game.settings.get(constants.moduleName, settings.hideFQLFromPlayers)))
+      {
+         return null;
+      }
+
+      const quest = await QuestTemplates.createQuest({ templateId: template, data, parentId });
+
+      if (quest && openSheet) { QuestAPI.open({ questId: quest.id }); }
+
+      return quest;
+   }
+
+   /**
+    * Exports quests including their subquest trees to a portable JSON bundle. Only available for GM level users.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {string[]} [options.questIds] - The quest IDs to export; default: all quests.
+    *
+    * @param {boolean}  [options.includeSubquests=true] - Include all subquests of the exported quests.
+    *
+    * @param {boolean}  [options.download=true] - Save the bundle to a JSON file.
+    *
+    * @returns {Promise<QuestBundle|void>} The quest bundle.
+    */
+   static async exportQuests({ questIds, includeSubquests = true, download = true } = {})
+   {
+      if (!game.user.isGM) { return; }
+
+      return download ? QuestTransfer.exportToFile({ questIds, includeSubquests }) :
+       QuestTransfer.exportBundle({ questIds, includeSubquests });
+   }
+
+   /**
+    * Exports quests including their subquest trees to an unlocked JournalEntry compendium. Only available for GM level
+    * users.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.packId - The collection ID of an unlocked JournalEntry compendium.
+    *
+    * @param {string[]} [options.questIds] - The quest IDs to export; default: all quests.
+    *
+    * @param {boolean}  [options.includeSubquests=true] - Include all subquests of the exported quests.
+    *
+    * @returns {Promise<number|void>} The number of exported quests.
+    */
+   static async exportCompendium({ packId, questIds, includeSubquests = true } = {})
+   {
+      if (!game.user.isGM) { return; }
+
+      return QuestTransfer.exportToCompendium({ packId, questIds, includeSubquests });
+   }
+
+   /**
+    * Imports quests including their subquest trees from a JournalEntry compendium. Only available for GM level users.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.packId - The collection ID of a JournalEntry compendium.
+    *
+    * @param {string[]} [options.questIds] - The compendium quest IDs to import; default: all compendium quests.
+    *
+    * @param {boolean}  [options.includeSubquests=true] - Include all subquests of the imported quests.
+    *
+    * @param {string}   [options.parentId] - An existing quest ID to add the top level imported quests as subquests.
+    *
+    * @returns {Promise<Quest[]|void>} The imported quests.
+    */
+   static async importCompendium({ packId, questIds, includeSubquests = true, parentId } = {})
+   {
+      if (!game.user.isGM) { return; }
+
+      return QuestTransfer.importCompendium({ packId, questIds, includeSubquests, parentId });
+   }
+
+   /**
+    * Imports all quests from a quest bundle created by {@link QuestAPI.exportQuests}. If no bundle is provided a dialog
+    * is shown to select a bundle JSON file. Only available for GM level users.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {QuestBundle|string}   [options.bundle] - The quest bundle or JSON string.
+    *
+    * @param {string}   [options.parentId] - An existing quest ID to add the top level imported quests as subquests.
+    *
+    * @param {boolean}  [options.createItems=true] - Create world items for item rewards not found in this world.
+    *
+    * @returns {Promise<Quest[]|void>} The imported quests.
+    */
+   static async importQuests({ bundle, parentId, createItems = true } = {})
+   {
+      if (!game.user.isGM) { return; }
+
+      return bundle === void 0 ? QuestTransfer.importFromFile({ parentId, createItems }) :
+       QuestTransfer.importBundle(bundle, { parentId, createItems });
+   }
+
    /**
     * Opens the Quest sheet / QuestPreview for the given questID. A check for the module setting
     * {@link FQLSettings.hideFQLFromPlayers} provides an early out if FQL is hidden from players causing the sheet to
@@ -77,6 +206,119 @@ class QuestAPI
          }
       }
    }
+
+   /**
+    * Posts a quest card to chat with the quest name, quest giver portrait, visible objectives, and an `Open quest`
+    * button. The card is whispered to the users who can observe the quest unless all users can. The quest must be
+    * observable by the current user.
+    *
+    * @param {string}   questId - The FQL quest to post.
+    *
+    * @returns {Promise<ChatMessage|void>} The posted chat message.
+    */
+   static async postQuestCard(questId)
+   {
+      const quest = QuestDBShim.getQuest(questId);
+      if (!quest) { return; }
+
+      return QuestChat.postQuestCard(quest);
+   }
+
+   /**
+    * Registers a calendar adapter that formats quest dates and deadline countdowns in world time. Adapters registered
+    * later take precedence over the built-in Simple Calendar adapter.
+    *
+    * @param {WorldCalendarAdapter} adapter - The calendar adapter.
+    */
+   static registerCalendarAdapter(adapter)
+   {
+      WorldCalendar.registerAdapter(adapter);
+   }
+
+   /**
+    * Registers a game system adapter that applies currency and experience rewards to actor data. The adapter `id` is
+    * the game system ID and replaces any built-in adapter for the game system.
+    *
+    * @param {RewardSystemAdapter} adapter - The game system adapter.
+    */
+   static registerRewardAdapter(adapter)
+   {
+      RewardSystems.registerAdapter(adapter);
+   }
+
+   /**
+    * Saves a quest as a named quest template. A template with the same name is replaced. Only available for GM level
+    * users.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.questId - The quest ID to save as a template.
+    *
+    * @param {string}   [options.name] - The template name; default: the quest name.
+    *
+    * @returns {Promise<QuestTemplateData|void>} The saved quest template.
+    */
+   static async saveQuestTemplate({ questId, name } = {})
+   {
+      if (!game.user.isGM) { return; }
+
+      const quest = QuestDBShim.getQuest(questId);
+      if (!quest) { return; }
+
+      return QuestTemplates.save({ quest, name });
+   }
+
+   /**
+    * Sets the progress of a counter objective. The objective completes when the target is reached. Any target is set
+    * first, so this also converts a regular objective into a counter objective. Only available for users who can
+    * modify the quest.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.questId - The quest ID.
+    *
+    * @param {string}   options.task - The task UUIDv4 or name.
+    *
+    * @param {number}   [options.value] - The new current value; default: the current value.
+    *
+    * @param {number}   [options.delta=0] - The amount to add to the current value.
+    *
+    * @param {number}   [options.target] - The new target value; 0 makes it a regular objective.
+    *
+    * @returns {Promise<boolean>} Whether the objective changed.
+    */
+   static async setTaskProgress({ questId, task, value, delta = 0, target } = {})
+   {
+      const quest = QuestDBShim.getQuest(questId);
+      if (!quest || !quest.entry?.canUserModify(game.user, 'update')) { return false; }
+
+      const questTask = quest.getTask(task) ?? quest.getAllTasks().find((t) => typeof task === 'string' &&
+       t.name?.localeCompare(task, void 0, { sensitivity: 'base' }) === 0);
+
+      if (!questTask) { return false; }
+
+      let changed = false;
+
+      if (target !== void 0 && target !== questTask.target)
+      {
+         questTask.setTarget(target);
+         changed = true;
+      }
+
+      if (value !== void 0 || delta !== 0)
+      {
+         changed = questTask.setProgress((value ?? questTask.current) + delta) || changed;
+      }
+
+      if (changed)
+      {
+         await quest.save();
+
+         Socket.refreshQuestPreview({ questId: quest.id, focus: false });
+      }
+
+      return changed;
+   }
 }
 
 Object.freeze(QuestAPI);
@@ -8,11 +8,31 @@ import { constants, settings } from '../../model/constants.js';
  */
 class QuestDBShim
 {
+   /**
+    * @returns {QuestDBDiffHooks} The QuestDB diff hooks fired with the structured changes of a quest update.
+    */
+   static get diffHooks() { return QuestDB.diffHooks; }
+
    /**
     * @returns {QuestDBHooks} The QuestDB hooks.
     */
    static get hooks() { return QuestDB.hooks; }
 
+   /**
+    * @returns {FilterFunctions} Various useful filter functions.
+    */
+   static get Filter() { return QuestDB.Filter; }
+
+   /**
+    * @returns {SortFunctions} Various useful sorting functions.
+    */
+   static get Sort() { return QuestDB.Sort; }
+
+   /**
+    * @returns {TaskSortFunctions} Various useful task sorting functions.
+    */
+   static get TaskSort() { return QuestDB.TaskSort; }
+
    /**
     * Creates a new quest and waits for the journal entry to update and QuestDB to pick up the new Quest which
     * is returned.
@@ -188,6 +208,23 @@ class QuestDBShim
       return QuestDB.iteratorQuests(options);
    }
 
+   /**
+    * Searches the quests by quest name, giver name, objectives, and description. GM notes and hidden objectives are
+    * only searched for GMs.
+    *
+    * @param {string}   query - The search query.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {boolean}  [options.gmnotes=true] - Also search GM notes and hidden objectives; ignored for non-GM users.
+    *
+    * @returns {Map<string, QuestSearchResult>} The search results by quest ID.
+    */
+   static search(query, options)
+   {
+      return QuestDB.search(query, options);
+   }
+
    /**
     * @param {object}   options - Optional parameters.
     *
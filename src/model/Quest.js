@@ -1,3 +1,4 @@
+import QuestStatuses    from '../control/QuestStatuses.js';
 import Utils            from '../control/Utils.js';
 import QuestPreviewShim from '../view/preview/QuestPreviewShim.js';
 import { FVTTCompat }   from '../FVTTCompat.js';
@@ -14,6 +15,39 @@ import { constants, questStatus, settings } from './constants.js';
  */
 let SheetClass;
 
+/**
+ * The maximum number of history entries stored per quest. The oldest entries are removed first.
+ *
+ * @type {number}
+ */
+const s_HISTORY_MAX = 200;
+
+/**
+ * The maximum length of string values stored in a history entry.
+ *
+ * @type {number}
+ */
+const s_HISTORY_VALUE_LENGTH = 256;
+
+/**
+ * Defines the quest fields recorded in the quest history by {@link Quest.save}. Each function returns the value to
+ * record from the serialized {@link QuestData}. Tasks and rewards are recorded per entry in {@link s_HISTORY_DIFF}.
+ *
+ * @type {{[field: string]: Function}}
+ */
+const s_HISTORY_FIELDS = {
+   name: (data) => data.name,
+   status: (data) => data.status,
+   giver: (data) => data.giverData?.name ?? data.giver,
+   description: (data) => data.description,
+   gmnotes: (data) => data.gmnotes,
+   splash: (data) => data.splash,
+   location: (data) => data.locationData?.name ?? data.location,
+   priority: (data) => data.priority,
+   deadline: (data) => data.deadline,
+   type: (data) => data.type
+};
+
 /**
  * Stores and makes accessible the minimum amount of data that defines a quest. A Quest is loaded from the backing
  * JournalEntry and has the JournalEntry stored for the ability to perform permissions checks. Please see QuestDB
@@ -240,14 +274,27 @@ export default class Quest
    }
 
    /**
-    * Creates a new Task and pushes to the task array.
+    * Creates a new Task and pushes to the task array or the child tasks of a parent task.
     *
     * @param {object}   data - Task data.
+    *
+    * @param {string}   [parentUuidv4] - The UUIDv4 of a parent task; if set then this is a sub-objective.
     */
-   addTask(data = {})
+   addTask(data = {}, parentUuidv4 = void 0)
    {
+      const tasks = parentUuidv4 !== void 0 ? this.getTask(parentUuidv4)?.tasks : this.tasks;
+      if (!tasks) { return; }
+
       const task = new Task(data);
-      if (task.name && task.name.length) { this.tasks.push(task); }
+
+      // Record when and by whom a new task is created.
+      if (task.date.create === null)
+      {
+         task.date.create = Date.now();
+         task.user.create = game.user.id;
+      }
+
+      if (task.name && task.name.length) { tasks.push(task); }
    }
 
    /**
@@ -311,7 +358,36 @@ export default class Quest
    static getSheet() { return SheetClass; }
 
    /**
-    * Gets a task by UUID v4.
+    * Gets all tasks including the child tasks of any task in depth first order.
+    *
+    * @returns {Task[]} All tasks.
+    */
+   getAllTasks()
+   {
+      return s_FLATTEN_TASKS(this.tasks);
+   }
+
+   /**
+    * Returns the status an active quest moves to from the completion rules when {@link Quest.autoComplete} is enabled.
+    * The quest completes when all required tasks complete and fails when any required task fails. Quests without
+    * required tasks are not moved.
+    *
+    * @returns {string|void} The completed or failed status or undefined when the status does not change.
+    */
+   getAutoStatus()
+   {
+      if (!this.autoComplete || this.status !== questStatus.active) { return void 0; }
+
+      const required = this.tasks.filter((task) => !task.optional);
+      if (required.length === 0) { return void 0; }
+
+      if (required.some((task) => task.failed)) { return questStatus.failed; }
+
+      return required.every((task) => task.completed) ? questStatus.completed : void 0;
+   }
+
+   /**
+    * Gets a task or child task by UUID v4.
     *
     * @param {string}   uuidv4 - The UUID v4 to find.
     *
@@ -319,8 +395,29 @@ export default class Quest
     */
    getTask(uuidv4)
    {
-      const index = this.tasks.findIndex((t) => t.uuidv4 === uuidv4);
-      return index >= 0 ? this.tasks[index] : null;
+      return this.getAllTasks().find((t) => t.uuidv4 === uuidv4) ?? null;
+   }
+
+   /**
+    * Gets the tasks visible to players including the visible child tasks in depth first order. The child tasks of a
+    * task hidden from players are also hidden; see {@link Task.isHiddenFromPlayers}.
+    *
+    * @returns {Task[]} The tasks visible to players.
+    */
+   getVisibleTasks()
+   {
+      return s_VISIBLE_TASKS(this.tasks);
+   }
+
+   /**
+    * Returns the change history of this quest stored in the JournalEntry flags. Entries are ordered oldest first.
+    *
+    * @returns {QuestHistoryData[]} The quest history.
+    */
+   getHistory()
+   {
+      const questHistory = this.entry?.getFlag(constants.moduleName, constants.flagHistory);
+      return Array.isArray(questHistory) ? questHistory : [];
    }
 
    /**
@@ -387,11 +484,24 @@ export default class Quest
        */
       this.location = data.location || null;
 
+      /**
+       * @type {QuestLocationData|null}
+       */
+      this.locationData = data.locationData || null;
+
       /**
        * @type {number}
        */
       this.priority = data.priority || 0;
 
+      /**
+       * Automatically moves an active quest to completed when all required tasks complete and to failed when any
+       * required task fails; see {@link Quest.getAutoStatus}.
+       *
+       * @type {boolean}
+       */
+      this.autoComplete = typeof data.autoComplete === 'boolean' ? data.autoComplete : false;
+
       /**
        * @type {string|null}
        */
@@ -417,46 +527,97 @@ export default class Quest
        */
       this.rewards = Array.isArray(data.rewards) ? data.rewards.map((reward) => new Reward(reward)) : [];
 
-      // Sanity check. If status is incorrect set it to inactive.
-      if (!questStatus[this.status]) { this.status = questStatus.inactive; }
+      /**
+       * Configures the automatic distribution of unlocked rewards when the quest completes; see
+       * {@link RewardDistribution}.
+       *
+       * @type {QuestRewardDistributionData}
+       */
+      this.rewardDistribution = {
+         mode: typeof data.rewardDistribution?.mode === 'string' ? data.rewardDistribution.mode : 'none',
+         actors: typeof data.rewardDistribution?.actors === 'string' ? data.rewardDistribution.actors : 'party'
+      };
+
+      /**
+       * An optional deadline in world time seconds; see {@link FQLHooks.updateWorldTime}.
+       *
+       * @type {number|null}
+       */
+      this.deadline = Number.isFinite(data.deadline) ? data.deadline : null;
+
+      /**
+       * An optional real-time countdown timer; see {@link QuestTimers}.
+       *
+       * @type {QuestTimerData|null}
+       */
+      this.timer = typeof data.timer === 'object' && data.timer !== null && Number.isFinite(data.timer.duration) ? {
+         duration: data.timer.duration,
+         remaining: Number.isFinite(data.timer.remaining) ? data.timer.remaining : data.timer.duration,
+         startTime: Number.isFinite(data.timer.startTime) ? data.timer.startTime : null,
+         action: typeof data.timer.action === 'string' ? data.timer.action : 'notify',
+         taskId: typeof data.timer.taskId === 'string' ? data.timer.taskId : null
+      } : null;
+
+      /**
+       * The UUIDs of the macros run when the quest becomes active, completed, or failed; see {@link QuestTriggers}.
+       *
+       * @type {QuestTriggersData}
+       */
+      this.triggers = {
+         active: typeof data.triggers?.active === 'string' ? data.triggers.active : null,
+         completed: typeof data.triggers?.completed === 'string' ? data.triggers.completed : null,
+         failed: typeof data.triggers?.failed === 'string' ? data.triggers.failed : null
+      };
+
+      // Sanity check. If status is incorrect or a removed custom status set it to inactive.
+      if (!QuestStatuses.has(this.status)) { this.status = questStatus.inactive; }
 
       if (typeof data.date === 'object')
       {
          /**
-          * Provides timestamps for quest create, start, end.
+          * Provides timestamps for quest create, start, end and the same dates in world time seconds.
           *
-          * @type {{start: (number|null), create: (number|null), end: (number|null)}}
+          * @type {QuestDateData}
           */
          this.date = {
             create: typeof data.date.create === 'number' ? data.date.create : null,
             start: typeof data.date.start === 'number' ? data.date.start : null,
-            end: typeof data.date.end === 'number' ? data.date.end : null
+            end: typeof data.date.end === 'number' ? data.date.end : null,
+            worldCreate: typeof data.date.worldCreate === 'number' ? data.date.worldCreate : null,
+            worldStart: typeof data.date.worldStart === 'number' ? data.date.worldStart : null,
+            worldEnd: typeof data.date.worldEnd === 'number' ? data.date.worldEnd : null
          };
       }
       else
       {
+         const worldTime = game.time.worldTime;
+
          this.date = {
             create: Date.now(),
+            worldCreate: worldTime
          };
 
-         switch (this.status)
+         switch (QuestStatuses.get(this.status).date)
          {
-            case questStatus.active:
+            case 'start':
                this.date.start = Date.now();
                this.date.end = null;
+               this.date.worldStart = worldTime;
+               this.date.worldEnd = null;
                break;
 
-            case questStatus.completed:
-            case questStatus.failed:
+            case 'end':
                this.date.start = Date.now();
                this.date.end = Date.now();
+               this.date.worldStart = worldTime;
+               this.date.worldEnd = worldTime;
                break;
 
-            case questStatus.inactive:
-            case questStatus.available:
             default:
                this.date.start = null;
                this.date.end = null;
+               this.date.worldStart = null;
+               this.date.worldEnd = null;
                break;
          }
       }
@@ -492,8 +653,11 @@ export default class Quest
     */
    removeTask(uuidv4)
    {
-      const index = this.tasks.findIndex((t) => t.uuidv4 === uuidv4);
-      if (index >= 0) { this.tasks.splice(index, 1); }
+      const tasks = s_FIND_TASK_LIST(this.tasks, uuidv4);
+      if (tasks) { tasks.splice(tasks.findIndex((t) => t.uuidv4 === uuidv4), 1); }
+
+      // Remove the task as a prerequisite of any remaining tasks.
+      for (const task of this.getAllTasks()) { task.prerequisites = task.prerequisites.filter((p) => p !== uuidv4); }
    }
 
    /**
@@ -507,6 +671,15 @@ export default class Quest
       this.giverName = 'actor';
    }
 
+   /**
+    * Resets the quest location.
+    */
+   resetLocation()
+   {
+      this.location = null;
+      this.locationData = null;
+   }
+
    /**
     * Saves Quest to JournalEntry's content, and if needed, moves JournalEntry to different folder.
     * Can also update JournalEntry's permissions.
@@ -520,15 +693,28 @@ export default class Quest
       // If the entry doesn't exist or the user can't modify the journal entry via ownership then early out.
       if (!entry || !entry.canUserModify(game.user, 'update')) { return; }
 
+      // Roll up the state of tasks with child tasks and re-evaluate any tasks with prerequisites in this quest.
+      for (const task of this.tasks) { task.updateRollup(); }
+      this.updateTaskLocks();
+
       // Save Quest JSON, but also potentially update the backing JournalEntry folder name.
+      const json = this.toJSON();
+
       const update = {
          name: typeof this._name === 'string' && this._name.length > 0 ? this._name :
           game.i18n.localize('ForienQuestLog.API.QuestDB.Labels.NewQuest'),
          flags: {
-            [constants.moduleName]: { json: this.toJSON() }
+            [constants.moduleName]: { json }
          }
       };
 
+      // Record any changes from the currently stored quest data in the quest history.
+      const changes = s_HISTORY_DIFF(entry.getFlag(constants.moduleName, constants.flagDB), json);
+      if (changes.length)
+      {
+         update.flags[constants.moduleName][constants.flagHistory] = s_HISTORY_APPEND(entry, changes);
+      }
+
       this.entry = await entry.update(update, { diff: false });
 
       return this._id;
@@ -542,36 +728,50 @@ export default class Quest
    static setSheet(NewSheetClass) { SheetClass = NewSheetClass; }
 
    /**
-    * Sets new status for the quest. Also updates any timestamp / date data depending on status set.
+    * Sets new status for the quest. Also updates any timestamp / date data depending on the date tracking of the status
+    * set as defined in {@link QuestStatuses}.
     *
     * @param {string}   target - The target status to set.
     *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {string}   [options.userId] - The ID of the user recorded in the quest history; default: current user.
+    *
     * @returns {Promise<void>}
     */
-   async setStatus(target)
+   async setStatus(target, { userId = game.user.id } = {})
    {
-      if (!this.entry || !questStatus[target]) { return; }
+      if (!this.entry || !QuestStatuses.has(target)) { return; }
+
+      const changes = this.status !== target ? [{ field: 'status', oldValue: this.status, newValue: target }] : [];
 
       this.status = target;
 
       // Update the tracked date data based on status.
-      switch (this.status)
+      switch (QuestStatuses.get(this.status).date)
       {
-         case questStatus.active:
+         case 'start':
             this.date.start = Date.now();
             this.date.end = null;
+            this.date.worldStart = game.time.worldTime;
+            this.date.worldEnd = null;
             break;
 
-         case questStatus.completed:
-         case questStatus.failed:
+         case 'end':
             this.date.end = Date.now();
+            this.date.worldEnd = game.time.worldTime;
             break;
 
-         case questStatus.inactive:
-         case questStatus.available:
-         default:
+         case 'reset':
             this.date.start = null;
             this.date.end = null;
+            this.date.worldStart = null;
+            this.date.worldEnd = null;
+            break;
+
+         // Custom statuses may leave the tracked date data unchanged.
+         case 'none':
+         default:
             break;
       }
 
@@ -587,7 +787,10 @@ export default class Quest
 
       await this.entry.update({
          flags: {
-            [constants.moduleName]: { json: this.toJSON() }
+            [constants.moduleName]: {
+               json: this.toJSON(),
+               [constants.flagHistory]: s_HISTORY_APPEND(this.entry, changes, userId)
+            }
          }
       });
 
@@ -614,7 +817,8 @@ export default class Quest
    }
 
    /**
-    * Locates and swaps the tasks indicated by the source and target UUIDv4s provided.
+    * Locates and swaps the tasks indicated by the source and target UUIDv4s provided. Tasks are only sorted when both
+    * tasks share the same parent task.
     *
     * @param {string}   sourceUuidv4 - The source UUIDv4
     *
@@ -625,13 +829,16 @@ export default class Quest
       // If there are sub quests in the objectives above tasks then an undefined targetUuidv4 can occur.
       if (!targetUuidv4) { return; }
 
-      const index = this.tasks.findIndex((t) => t.uuidv4 === sourceUuidv4);
-      const targetIdx = this.tasks.findIndex((t) => t.uuidv4 === targetUuidv4);
+      const tasks = s_FIND_TASK_LIST(this.tasks, sourceUuidv4);
+      if (!tasks) { return; }
+
+      const index = tasks.findIndex((t) => t.uuidv4 === sourceUuidv4);
+      const targetIdx = tasks.findIndex((t) => t.uuidv4 === targetUuidv4);
 
       if (index >= 0 && targetIdx >= 0)
       {
-         const entry = this.tasks.splice(index, 1)[0];
-         this.tasks.splice(targetIdx, 0, entry);
+         const entry = tasks.splice(index, 1)[0];
+         tasks.splice(targetIdx, 0, entry);
       }
    }
 
@@ -653,12 +860,18 @@ export default class Quest
          splashPos: this.splashPos,
          splashAsIcon: this.splashAsIcon,
          location: this.location,
+         locationData: this.locationData,
          priority: this.priority,
+         autoComplete: this.autoComplete,
          type: this.type,
          parent: this.parent,
          subquests: this.subquests,
          tasks: this.tasks,
          rewards: this.rewards,
+         rewardDistribution: this.rewardDistribution,
+         deadline: this.deadline,
+         timer: this.timer,
+         triggers: this.triggers,
          date: this.date
       };
    }
@@ -671,6 +884,58 @@ export default class Quest
       this.image = this.image === 'actor' ? 'token' : 'actor';
    }
 
+   /**
+    * Updates the locked state of all tasks with prerequisites. A task is locked while any prerequisite task is not
+    * completed and child tasks of a locked task are locked. By default only prerequisites in this quest are resolved
+    * and tasks with prerequisites that can not be resolved keep their current state. {@link QuestDB} resolves
+    * prerequisites across all quests for the active GM.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {Function} [options.findTask] - Finds a task by UUIDv4; default: tasks of this quest.
+    *
+    * @param {boolean}  [options.complete=false] - When true `findTask` can resolve all tasks, so missing prerequisite
+    *                                              tasks have been deleted and no longer lock a task.
+    *
+    * @returns {boolean} Whether any locked state changed.
+    */
+   updateTaskLocks({ findTask = (uuidv4) => this.getTask(uuidv4), complete = false } = {})
+   {
+      let changed = false;
+
+      const update = (task, parentLocked) =>
+      {
+         let locked = parentLocked;
+         let unresolved = false;
+
+         for (const uuidv4 of task.prerequisites)
+         {
+            const prerequisite = findTask(uuidv4);
+
+            if (!prerequisite)
+            {
+               if (!complete) { unresolved = true; }
+               continue;
+            }
+
+            if (!prerequisite.completed) { locked = true; }
+         }
+
+         // Keep the current state when a prerequisite can not be resolved and all others are completed.
+         if (!(unresolved && !locked) && task.locked !== locked)
+         {
+            task.locked = locked;
+            changed = true;
+         }
+
+         for (const child of task.tasks) { update(child, task.locked); }
+      };
+
+      for (const task of this.tasks) { update(task, false); }
+
+      return changed;
+   }
+
 // Document simulation -----------------------------------------------------------------------------------------------
 
    /**
@@ -729,6 +994,12 @@ export default class Quest
  * noted that FVTT item data will have a Foundry VTT UUID, but abstract rewards entered by the user will have a UUIDv4
  * generated for them. This UUID regardless of type is accessible in `this.uuid`.
  *
+ * Currency and experience rewards store structured amounts in `data.amounts` which are applied to actors by the game
+ * system adapters of {@link RewardSystems}.
+ *
+ * A reward has a quantity and a claim ledger recording which actor claimed how many and when. Item and currency /
+ * experience rewards are claimed until no quantity remains; fully claimed rewards remain in the reward list.
+ *
  */
 export class Reward
 {
@@ -757,12 +1028,41 @@ export class Reward
        */
       this.locked = typeof data.locked === 'boolean' ? data.locked : true;
 
+      /**
+       * The number of times the reward may be claimed.
+       *
+       * @type {number}
+       */
+      this.quantity = Number.isInteger(data.quantity) && data.quantity > 0 ? data.quantity : 1;
+
+      /**
+       * The claim ledger.
+       *
+       * @type {QuestRewardClaimData[]}
+       */
+      this.claims = Array.isArray(data.claims) ? data.claims.filter((claim) => typeof claim?.actorId === 'string') :
+       [];
+
       /**
        * @type {string}
        */
       this.uuidv4 = data.uuidv4 || Utils.uuidv4();
    }
 
+   /**
+    * Returns the amounts per denomination of a currency reward or the `xp` amount of an experience reward.
+    *
+    * @returns {{[key: string]: number}} Reward amounts.
+    */
+   get amounts() { return this.data.amounts ?? {}; }
+
+   /**
+    * Returns the total count claimed in the claim ledger.
+    *
+    * @returns {number} Claimed count.
+    */
+   get claimed() { return this.claims.reduce((total, claim) => total + claim.count, 0); }
+
    /**
     * Returns the name of the reward.
     *
@@ -770,6 +1070,13 @@ export class Reward
     */
    get name() { return this.data.name; }
 
+   /**
+    * Returns the count that may still be claimed.
+    *
+    * @returns {number} Remaining count.
+    */
+   get remaining() { return Math.max(0, this.quantity - this.claimed); }
+
    /**
     * Returns the Foundry UUID associated with this reward. Abstract rewards do not have a Foundry UUID.
     *
@@ -777,6 +1084,50 @@ export class Reward
     */
    get uuid() { return this.data.uuid; }
 
+   /**
+    * Records a claim in the claim ledger. A claim exceeding the remaining count is rejected unless forced.
+    *
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.actorId - The ID of the claiming actor.
+    *
+    * @param {string}   options.actorName - The name of the claiming actor.
+    *
+    * @param {string}   [options.userId] - The ID of the user claiming the reward.
+    *
+    * @param {number}   [options.count=1] - The claimed count.
+    *
+    * @param {boolean}  [options.force=false] - Record the claim even if it exceeds the remaining count.
+    *
+    * @returns {QuestRewardClaimData|null} The recorded claim or null if rejected.
+    */
+   addClaim({ actorId, actorName, userId = game.user.id, count = 1, force = false } = {})
+   {
+      if (typeof actorId !== 'string' || !Number.isInteger(count) || count <= 0) { return null; }
+      if (!force && count > this.remaining) { return null; }
+
+      const claim = { id: Utils.uuidv4(), actorId, actorName, userId, count, date: Date.now() };
+
+      this.claims.push(claim);
+
+      return claim;
+   }
+
+   /**
+    * Revokes a claim by removing it from the claim ledger.
+    *
+    * @param {string}   claimId - The claim ID.
+    *
+    * @returns {boolean} Whether a claim was revoked.
+    */
+   removeClaim(claimId)
+   {
+      const index = this.claims.findIndex((claim) => claim.id === claimId);
+      if (index >= 0) { this.claims.splice(index, 1); }
+
+      return index >= 0;
+   }
+
    /**
     * Serializes this reward.
     *
@@ -789,6 +1140,8 @@ export class Reward
          data: this.data,
          hidden: this.hidden,
          locked: this.locked,
+         quantity: this.quantity,
+         claims: this.claims,
          uuidv4: this.uuidv4
       }));
    }
@@ -846,12 +1199,111 @@ export class Task
        */
       this.hidden = data.hidden || false;
 
+      /**
+       * The UUIDv4 of prerequisite tasks in this quest or other quests that must be completed to unlock this task.
+       *
+       * @type {string[]}
+       */
+      this.prerequisites = Array.isArray(data.prerequisites) ?
+       data.prerequisites.filter((uuidv4) => typeof uuidv4 === 'string') : [];
+
+      /**
+       * Is the task locked as not all prerequisite tasks are completed; updated by {@link Quest.updateTaskLocks}.
+       *
+       * @type {boolean}
+       */
+      this.locked = typeof data.locked === 'boolean' ? data.locked : false;
+
+      /**
+       * Hides the task from players while it is locked.
+       *
+       * @type {boolean}
+       */
+      this.hideLocked = typeof data.hideLocked === 'boolean' ? data.hideLocked : false;
+
+      /**
+       * Optional tasks are not required to complete the quest or a parent task.
+       *
+       * @type {boolean}
+       */
+      this.optional = typeof data.optional === 'boolean' ? data.optional : false;
+
+      /**
+       * The ordered child tasks / sub-objectives. When child tasks exist the completed / failed state is rolled up from
+       * the child tasks by {@link Task.updateRollup}.
+       *
+       * @type {Task[]}
+       */
+      this.tasks = Array.isArray(data.tasks) ? data.tasks.map((task) => new Task(task)) : [];
+
+      /**
+       * The target value of a counter / progress objective; 0 for a regular objective. A counter objective completes
+       * when `current` reaches the target.
+       *
+       * @type {number}
+       */
+      this.target = Number.isInteger(data.target) && data.target > 0 ? data.target : 0;
+
+      /**
+       * The current value of a counter / progress objective.
+       *
+       * @type {number}
+       */
+      this.current = Number.isInteger(data.current) ? Math.max(0, Math.min(data.current, this.target)) : 0;
+
+      /**
+       * The UUID of a macro run when the task completes; see {@link QuestTriggers}.
+       *
+       * @type {string|null}
+       */
+      this.macro = typeof data.macro === 'string' ? data.macro : null;
+
+      /**
+       * Tracks when the task was created and when it was completed or failed; time ms since 1970 / Date.now().
+       *
+       * @type {QuestTaskDateData}
+       */
+      this.date = {
+         create: Number.isFinite(data.date?.create) ? data.date.create : null,
+         end: Number.isFinite(data.date?.end) ? data.date.end : null
+      };
+
+      /**
+       * Tracks the IDs of the users who created the task and who completed or failed it.
+       *
+       * @type {QuestTaskUserData}
+       */
+      this.user = {
+         create: typeof data.user?.create === 'string' ? data.user.create : null,
+         end: typeof data.user?.end === 'string' ? data.user.end : null
+      };
+
       /**
        * @type {string}
        */
       this.uuidv4 = data.uuidv4 || Utils.uuidv4();
    }
 
+   /**
+    * Returns whether this is a counter / progress objective.
+    *
+    * @returns {boolean} Is a counter objective.
+    */
+   get isCounter()
+   {
+      return this.target > 0;
+   }
+
+   /**
+    * Returns whether this task is hidden from players; a hidden task or a locked task that is hidden while locked.
+    *
+    * @returns {boolean} Is the task hidden from players.
+    */
+   get isHiddenFromPlayers()
+   {
+      return this.hidden || (this.locked && this.hideLocked);
+   }
+
    /**
     * Gets the current CSS class based on state.
     *
@@ -859,7 +1311,11 @@ export class Task
     */
    get state()
    {
-      if (this.completed)
+      if (this.locked)
+      {
+         return 'lock';
+      }
+      else if (this.completed)
       {
          return 'check-square';
       }
@@ -882,29 +1338,96 @@ export class Task
          completed: this.completed,
          failed: this.failed,
          hidden: this.hidden,
+         prerequisites: this.prerequisites,
+         locked: this.locked,
+         hideLocked: this.hideLocked,
+         optional: this.optional,
+         tasks: this.tasks,
+         target: this.target,
+         current: this.current,
+         macro: this.macro,
+         date: this.date,
+         user: this.user,
          state: this.state,
          uuidv4: this.uuidv4
       }));
    }
 
    /**
-    * Toggles the task state between completed, failed, incomplete.
+    * Sets the current value of a counter objective clamped between 0 and the target. The objective completes when the
+    * target is reached. A locked task can not progress.
+    *
+    * @param {number}   value - The new current value.
+    *
+    * @returns {boolean} Whether the current value changed.
+    */
+   setProgress(value)
+   {
+      if (this.locked || !this.isCounter || !Number.isFinite(value)) { return false; }
+
+      const current = Math.max(0, Math.min(Math.trunc(value), this.target));
+      if (current === this.current) { return false; }
+
+      this.current = current;
+      s_SET_TASK_STATE(this, current >= this.target, false);
+
+      return true;
+   }
+
+   /**
+    * Sets the target value making this a counter objective or a regular objective when the target is 0. The current
+    * value is clamped and the completed state updated.
+    *
+    * @param {number}   target - The new target value.
+    */
+   setTarget(target)
+   {
+      this.target = Number.isInteger(target) && target > 0 ? target : 0;
+      this.current = Math.min(this.current, this.target);
+
+      if (this.isCounter) { s_SET_TASK_STATE(this, this.current >= this.target, false); }
+   }
+
+   /**
+    * Toggles the task state between completed, failed, incomplete. A counter objective is incremented instead. A locked
+    * task or a task with child tasks can not be toggled. Any dependent tasks are re-evaluated by
+    * {@link Quest.updateTaskLocks} and the state of any parent task is rolled up by {@link Task.updateRollup} when the
+    * quest is saved.
+    *
+    * @returns {boolean} Whether the task state changed.
     */
    toggle()
    {
+      if (this.locked || this.tasks.length > 0) { return false; }
+
+      if (this.isCounter) { return this.setProgress(this.current + 1); }
+
       if (this.completed === false && this.failed === false)
       {
-         this.completed = true;
+         s_SET_TASK_STATE(this, true, false);
       }
       else if (this.completed === true)
       {
-         this.failed = true;
-         this.completed = false;
+         s_SET_TASK_STATE(this, false, true);
       }
       else
       {
-         this.failed = false;
+         s_SET_TASK_STATE(this, false, false);
       }
+
+      return true;
+   }
+
+   /**
+    * Toggles the optional state.
+    *
+    * @returns {boolean} Current optional state.
+    */
+   toggleOptional()
+   {
+      this.optional = !this.optional;
+
+      return this.optional;
    }
 
    /**
@@ -918,14 +1441,259 @@ export class Task
 
       return this.hidden;
    }
+
+   /**
+    * Rolls up the completed / failed state from any child tasks. The task completes when all required child tasks
+    * complete and fails when any required child task fails. When all child tasks are optional every child task is
+    * considered.
+    */
+   updateRollup()
+   {
+      if (this.tasks.length === 0) { return; }
+
+      for (const task of this.tasks) { task.updateRollup(); }
+
+      const required = this.tasks.filter((task) => !task.optional);
+      const tasks = required.length ? required : this.tasks;
+
+      const failed = tasks.some((task) => task.failed);
+      s_SET_TASK_STATE(this, !failed && tasks.every((task) => task.completed), failed);
+   }
 }
 
+/**
+ * Finds the task array containing the task with the given UUIDv4 from the tasks of a quest or the child tasks of any
+ * task.
+ *
+ * @param {Task[]}   tasks - The tasks to search.
+ *
+ * @param {string}   uuidv4 - The UUIDv4 of the task to find.
+ *
+ * @returns {Task[]|void} The task array containing the task.
+ */
+const s_FIND_TASK_LIST = (tasks, uuidv4) =>
+{
+   if (tasks.some((task) => task.uuidv4 === uuidv4)) { return tasks; }
+
+   for (const task of tasks)
+   {
+      const result = s_FIND_TASK_LIST(task.tasks, uuidv4);
+      if (result) { return result; }
+   }
+
+   return void 0;
+};
+
+/**
+ * Flattens tasks and any child tasks in depth first order. Accepts Task instances or serialized task data.
+ *
+ * @param {Task[]|QuestTaskData[]}  tasks - The tasks to flatten.
+ *
+ * @returns {Task[]|QuestTaskData[]} All tasks.
+ */
+const s_FLATTEN_TASKS = (tasks) =>
+{
+   return (Array.isArray(tasks) ? tasks : []).flatMap((task) => [task, ...s_FLATTEN_TASKS(task.tasks)]);
+};
+
+/**
+ * Appends changes to the quest history stored in the JournalEntry flags adding the user ID and timestamp. Only the last
+ * {@link s_HISTORY_MAX} entries are kept.
+ *
+ * @param {JournalEntry}   entry - The quest JournalEntry.
+ *
+ * @param {object[]}       changes - The changes to append.
+ *
+ * @param {string}         [userId] - The ID of the user making the changes; default: current user.
+ *
+ * @returns {QuestHistoryData[]} The updated quest history.
+ */
+const s_HISTORY_APPEND = (entry, changes, userId = game.user.id) =>
+{
+   const questHistory = entry.getFlag(constants.moduleName, constants.flagHistory);
+   const timestamp = Date.now();
+
+   return [
+      ...(Array.isArray(questHistory) ? questHistory : []),
+      ...changes.map((change) => ({ userId, timestamp, hidden: false, ...change }))
+   ].slice(-s_HISTORY_MAX);
+};
+
+/**
+ * Creates the history changes between the stored quest data and the quest data being saved. The fields in
+ * {@link s_HISTORY_FIELDS} are compared directly. Tasks including child tasks and rewards are compared per entry by
+ * UUIDv4 recording additions, removals, and changes to name, state, hidden, and locked. Changes to hidden tasks /
+ * rewards are marked as `hidden`, so that they are not shown to players.
+ *
+ * @param {QuestData|void} oldData - The stored quest data.
+ *
+ * @param {QuestData}      newData - The quest data being saved.
+ *
+ * @returns {object[]} The history changes without user ID and timestamp.
+ */
+const s_HISTORY_DIFF = (oldData, newData) =>
+{
+   const changes = [];
+
+   // A new quest has no stored data to compare against.
+   if (typeof oldData !== 'object' || oldData === null) { return changes; }
+
+   for (const [field, getValue] of Object.entries(s_HISTORY_FIELDS))
+   {
+      const oldValue = s_HISTORY_VALUE(getValue(oldData));
+      const newValue = s_HISTORY_VALUE(getValue(newData));
+
+      if (oldValue !== newValue) { changes.push({ field, oldValue, newValue }); }
+   }
+
+   const taskState = (task) => (task.completed ? 'completed' : task.failed ? 'failed' : 'incomplete');
+
+   s_HISTORY_DIFF_ITEMS(changes, 'task', s_FLATTEN_TASKS(oldData.tasks), s_FLATTEN_TASKS(newData.tasks),
+    (task) => task.name, [
+      ['taskState', taskState],
+      ['taskProgress', (task) => (task.target > 0 ? `${task.current}/${task.target}` : null)],
+      ['taskHidden', (task) => task.hidden]
+   ]);
+
+   s_HISTORY_DIFF_ITEMS(changes, 'reward', oldData.rewards, newData.rewards, (reward) => reward.data?.name, [
+      ['rewardHidden', (reward) => reward.hidden],
+      ['rewardLocked', (reward) => reward.locked]
+   ]);
+
+   return changes;
+};
+
+/**
+ * Compares tasks or rewards by UUIDv4 adding history changes for additions, removals, name changes, and any
+ * additional properties.
+ *
+ * @param {object[]}    changes - The history changes to add to.
+ *
+ * @param {string}      field - The history field for additions, removals, and name changes.
+ *
+ * @param {object[]}    oldItems - The stored tasks / rewards.
+ *
+ * @param {object[]}    newItems - The tasks / rewards being saved.
+ *
+ * @param {Function}    getName - Returns the name of a task / reward.
+ *
+ * @param {Array<[string, Function]>} properties - Additional history fields and the functions returning the value
+ *                                                  to compare.
+ */
+const s_HISTORY_DIFF_ITEMS = (changes, field, oldItems, newItems, getName, properties) =>
+{
+   const oldMap = new Map((Array.isArray(oldItems) ? oldItems : []).map((item) => [item.uuidv4, item]));
+   const newMap = new Map((Array.isArray(newItems) ? newItems : []).map((item) => [item.uuidv4, item]));
+
+   for (const [uuidv4, item] of newMap)
+   {
+      const oldItem = oldMap.get(uuidv4);
+      const name = s_HISTORY_VALUE(getName(item));
+      const hidden = item.hidden === true;
+
+      if (!oldItem)
+      {
+         changes.push({ field, oldValue: null, newValue: name, hidden });
+         continue;
+      }
+
+      const oldName = s_HISTORY_VALUE(getName(oldItem));
+      if (oldName !== name) { changes.push({ field, oldValue: oldName, newValue: name, hidden }); }
+
+      for (const [property, getValue] of properties)
+      {
+         const oldValue = getValue(oldItem);
+         const newValue = getValue(item);
+
+         if (oldValue !== newValue) { changes.push({ field: property, label: name, oldValue, newValue, hidden }); }
+      }
+   }
+
+   for (const [uuidv4, oldItem] of oldMap)
+   {
+      if (!newMap.has(uuidv4))
+      {
+         changes.push({
+            field,
+            oldValue: s_HISTORY_VALUE(getName(oldItem)),
+            newValue: null,
+            hidden: oldItem.hidden === true
+         });
+      }
+   }
+};
+
+/**
+ * Converts a quest value to the value stored in a history entry. HTML is removed from strings which are truncated to
+ * {@link s_HISTORY_VALUE_LENGTH} characters. Empty strings and undefined values are stored as null.
+ *
+ * @param {*}  value - A quest value.
+ *
+ * @returns {string|number|boolean|null} The history value.
+ */
+const s_HISTORY_VALUE = (value) =>
+{
+   if (typeof value === 'number' || typeof value === 'boolean') { return value; }
+   if (typeof value !== 'string') { return null; }
+
+   const text = value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+   if (!text.length) { return null; }
+
+   return text.length > s_HISTORY_VALUE_LENGTH ? `${text.slice(0, s_HISTORY_VALUE_LENGTH)}…` : text;
+};
+
+/**
+ * Sets the completed / failed state of a task. When the state changes the time and current user are recorded in
+ * {@link Task.date} / {@link Task.user} or cleared when the task becomes incomplete.
+ *
+ * @param {Task}     task - The task to update.
+ *
+ * @param {boolean}  completed - The completed state.
+ *
+ * @param {boolean}  failed - The failed state.
+ */
+const s_SET_TASK_STATE = (task, completed, failed) =>
+{
+   if (task.completed === completed && task.failed === failed) { return; }
+
+   task.completed = completed;
+   task.failed = failed;
+
+   const ended = completed || failed;
+
+   task.date.end = ended ? Date.now() : null;
+   task.user.end = ended ? game.user.id : null;
+};
+
+/**
+ * Returns the tasks visible to players in depth first order. Tasks hidden from players are excluded along with their
+ * child tasks.
+ *
+ * @param {Task[]}   tasks - The tasks.
+ *
+ * @returns {Task[]} The visible tasks.
+ */
+const s_VISIBLE_TASKS = (tasks) => tasks.filter((task) => !task.isHiddenFromPlayers).flatMap(
+ (task) => [task, ...s_VISIBLE_TASKS(task.tasks)]);
+
+/**
+ * @typedef {object} QuestCategoryData
+ *
+ * @property {string}            id - The category ID stored in {@link Quest.type}.
+ *
+ * @property {string}            name - The category name; may be an i18n key.
+ *
+ * @property {string}            color - The category color as a hex string.
+ *
+ * @property {string}            icon - The Font Awesome icon classes for the category.
+ */
+
 /**
  * @typedef {object} QuestData
  *
  * @property {string}            name - The quest name.
  *
- * @property {string}            status - The quest status; one of {@link questStatus}.
+ * @property {string}            status - The quest status; one of {@link questStatus} or a custom status ID.
  *
  * @property {string|null}       giver - The Foundry UUID or 'abstract' for a custom source.
  *
@@ -945,11 +1713,15 @@ export class Task
  *
  * @property {boolean}           splashAsIcon - Use the splash image as the quest icon.
  *
- * @property {string|null}       location - Unused / future use for quest location.
+ * @property {string|null}       location - The Foundry UUID of a Scene, Note, or JournalEntry for the quest location.
+ *
+ * @property {QuestLocationData|null} locationData - The location name / type data looked up by UUID.
+ *
+ * @property {number}            priority - Quest priority; higher values sort first w/ {@link SortFunctions.PRIORITY}.
  *
- * @property {number}            priority - Unused / future use for quest priority sorting.
+ * @property {boolean}           autoComplete - Automatically complete / fail the quest from required tasks.
  *
- * @property {string|null}       type - Unused / future use for sorting type of quest.
+ * @property {string|null}       type - The quest category ID / {@link QuestCategoryData.id}.
  *
  * @property {string|null}       parent - The parent quest ID.
  *
@@ -959,6 +1731,14 @@ export class Task
  *
  * @property {QuestRewardData[]} rewards - An array of rewards.
  *
+ * @property {QuestRewardDistributionData} rewardDistribution - The automatic reward distribution on completion.
+ *
+ * @property {number|null}       deadline - An optional deadline in world time seconds.
+ *
+ * @property {QuestTimerData|null} timer - An optional real-time countdown timer.
+ *
+ * @property {QuestTriggersData} triggers - The macros run when the quest status changes.
+ *
  * @property {QuestDateData}     date - The create, end, start dates of the quest.
  */
 
@@ -970,12 +1750,47 @@ export class Task
  * @property {number|null} end - Time ms since 1970 / Date.now() when quest ended (status: failed / complete).
  *
  * @property {number|null} start - Time ms since 1970 / Date.now() when quest was started (status: active).
+ *
+ * @property {number|null} worldCreate - World time seconds / `game.time.worldTime` when quest was created.
+ *
+ * @property {number|null} worldEnd - World time seconds when quest ended (status: failed / complete).
+ *
+ * @property {number|null} worldStart - World time seconds when quest was started (status: active).
+ */
+
+/**
+ * @typedef QuestHistoryData
+ *
+ * @property {string}   userId - The ID of the user who made the change.
+ *
+ * @property {number}   timestamp - Time ms since 1970 / Date.now() when the change was made.
+ *
+ * @property {string}   field - The changed field; a quest field or `task`, `taskState`, `taskProgress`, `taskHidden`,
+ *                              `reward`, `rewardHidden`, or `rewardLocked`.
+ *
+ * @property {string}   [label] - The task / reward name for task / reward property changes.
+ *
+ * @property {string|number|boolean|null} oldValue - The old value; null when a task / reward is added.
+ *
+ * @property {string|number|boolean|null} newValue - The new value; null when a task / reward is removed.
+ *
+ * @property {boolean}  hidden - Whether the change is to a hidden task / reward and not shown to players.
+ */
+
+/**
+ * @typedef QuestLocationData
+ *
+ * @property {string}   uuid - The Foundry UUID of the location document.
+ *
+ * @property {string}   name - The location name.
+ *
+ * @property {string}   type - The location document name: 'Scene', 'Note', or 'JournalEntry'.
  */
 
 /**
  * @typedef QuestRewardData
  *
- * @property {string}   type - Reward type.
+ * @property {string}   type - Reward type; `Item`, `Abstract`, `Currency`, or `Experience`.
  *
  * @property {QuestRewardAddData}   data - Reward add data.
  *
@@ -983,6 +1798,10 @@ export class Task
  *
  * @property {boolean}  locked - Reward locked.
  *
+ * @property {number}   quantity - The number of times the reward may be claimed.
+ *
+ * @property {QuestRewardClaimData[]} claims - The claim ledger.
+ *
  * @property {string}   uuidv4 - The FQL UUIDv4 / unique ID.
  *
  */
@@ -992,7 +1811,8 @@ export class Task
  *
  * @property {string}            type - Reward type.
  *
- * @property {QuestImgNameData}  data - Reward image / name from {@link Enrich.giverFromUUID}.
+ * @property {QuestImgNameData}  data - Reward image / name from {@link Enrich.giverFromUUID}; currency and experience
+ *                                       rewards also store `amounts`.
  *
  * @property {boolean}           hidden - Reward hidden.
  */
@@ -1008,8 +1828,87 @@ export class Task
  *
  * @property {boolean}  hidden - Task hidden.
  *
+ * @property {string[]} prerequisites - The UUIDv4 of prerequisite tasks.
+ *
+ * @property {boolean}  locked - Task locked by incomplete prerequisite tasks.
+ *
+ * @property {boolean}  hideLocked - Task hidden from players while locked.
+ *
+ * @property {boolean}  optional - Task is optional and not required for completion.
+ *
+ * @property {QuestTaskData[]} tasks - The child tasks / sub-objectives.
+ *
+ * @property {number}   target - The target value of a counter objective; 0 for a regular objective.
+ *
+ * @property {number}   current - The current value of a counter objective.
+ *
+ * @property {string|null} macro - The UUID of a macro run when the task completes.
+ *
+ * @property {QuestTaskDateData} date - The task created / completed or failed dates.
+ *
+ * @property {QuestTaskUserData} user - The user IDs who created / completed or failed the task.
+ *
  * @property {string}   state - Task state.
  *
  * @property {string}   uuidv4 - The FQL UUIDv4 / unique ID.
  */
 
+/**
+ * @typedef QuestTaskDateData
+ *
+ * @property {number|null} create - Time ms since 1970 / Date.now() when the task was created.
+ *
+ * @property {number|null} end - Time ms since 1970 / Date.now() when the task was completed or failed.
+ */
+
+/**
+ * @typedef QuestTaskUserData
+ *
+ * @property {string|null} create - The ID of the user who created the task.
+ *
+ * @property {string|null} end - The ID of the user who completed or failed the task.
+ */
+/**
+ * @typedef {object} QuestTimerData
+ *
+ * @property {number}      duration - The timer duration in milliseconds.
+ *
+ * @property {number}      remaining - The remaining time in milliseconds when the timer was started or paused.
+ *
+ * @property {number|null} startTime - Time ms since 1970 / Date.now() when the timer was started; null when paused.
+ *
+ * @property {string}      action - The action performed when the timer expires; one of {@link QuestTimerActions}.
+ *
+ * @property {string|null} taskId - The UUIDv4 of a hidden task revealed by the `reveal` action.
+ */
+/**
+ * @typedef {object} QuestRewardDistributionData
+ *
+ * @property {string}   mode - The distribution mode; one of {@link RewardDistributionModes}.
+ *
+ * @property {string}   actors - The receiving actors; one of {@link RewardDistributionTargets}.
+ */
+/**
+ * @typedef {object} QuestRewardClaimData
+ *
+ * @property {string}   id - The claim ID.
+ *
+ * @property {string}   actorId - The ID of the claiming actor.
+ *
+ * @property {string}   actorName - The name of the claiming actor when claimed.
+ *
+ * @property {string}   userId - The ID of the user who claimed the reward.
+ *
+ * @property {number}   count - The claimed count.
+ *
+ * @property {number}   date - The claim date in milliseconds.
+ */
+/**
+ * @typedef {object} QuestTriggersData
+ *
+ * @property {string|null} active - The UUID of a macro run when the quest becomes active.
+ *
+ * @property {string|null} completed - The UUID of a macro run when the quest is completed.
+ *
+ * @property {string|null} failed - The UUID of a macro run when the quest fails.
+ */
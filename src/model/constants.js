@@ -3,27 +3,32 @@ import ViewManager from '../control/ViewManager.js';
 /**
  * Defines the main FQL constants for module name and the DB flag.
  *
- * @type {{folderState: string, flagDB: string, moduleName: string, moduleLabel: string, primaryState: string}}
+ * @type {{folderState: string, flagDB: string, flagHistory: string, flagSchema: string, moduleName: string, moduleLabel: string, primaryState: string}}
  */
 const constants = {
    moduleName: 'forien-quest-log',
    moduleLabel: `Forien's Quest Log`,
-   flagDB: 'json'
+   flagDB: 'json',
+   flagHistory: 'history',
+   flagSchema: 'schemaVersion'
 };
 
 /**
  * Defines the {@link JQuery} events that are used in FQL.
  *
- * @type {{click: string, dblclick: string, dragstart: string, drop: string, focus: string, focusout: string, mousedown: string}}
+ * @type {{change: string, click: string, contextmenu: string, dblclick: string, dragstart: string, drop: string, focus: string, focusout: string, mousedown: string}}
  */
 const jquery = {
+   change: 'change',
    click: 'click',
+   contextmenu: 'contextmenu',
    dblclick: 'dblclick',
    dragenter: 'dragenter',
    dragstart: 'dragstart',
    drop: 'drop',
    focus: 'focus',
    focusout: 'focusout',
+   input: 'input',
    keydown: 'keydown',
    mousedown: 'mousedown'
 };
@@ -78,20 +83,6 @@ const questStatusI18n = {
    inactive: 'ForienQuestLog.QuestTypes.Labels.InActive'
 };
 
-/**
- * Stores the QuestLog tab indexes. This is used by QuestLog.setPosition to select the current table based on status
- * name.
- *
- * @type {{inactive: number, available: number, active: number, completed: number, failed: number}}
- */
-const questTabIndex = {
-   active: 1,
-   available: 0,
-   completed: 2,
-   failed: 3,
-   inactive: 4
-};
-
 /**
  * Stores the keys used with session storage.
  *
@@ -99,6 +90,8 @@ const questTabIndex = {
  */
 const sessionConstants = {
    currentPrimaryQuest: 'forien.questlog.currentPrimaryQuest',
+   questLogCategory: 'forien.questlog.category',
+   questLogSearch: 'forien.questlog.search',
    trackerFolderState: 'forien.questtracker.folderState-',
    trackerShowBackground: 'forien.questtracker.showBackground',
    trackerShowPrimary: 'forien.questtracker.showPrimary'
@@ -111,7 +104,10 @@ const settings = {
    allowPlayersAccept: 'allowPlayersAccept',
    allowPlayersCreate: 'allowPlayersCreate',
    allowPlayersDrag: 'allowPlayersDrag',
+   chatAnnounceStatus: 'chatAnnounceStatus',
    countHidden: 'countHidden',
+   customStatuses: 'customStatuses',
+   deadlineAction: 'deadlineAction',
    defaultAbstractRewardImage: 'defaultAbstractRewardImage',
    defaultPermission: 'defaultPermission',
    dynamicBookmarkBackground: 'dynamicBookmarkBackground',
@@ -119,22 +115,30 @@ const settings = {
    navStyle: 'navStyle',
    notifyRewardDrop: 'notifyRewardDrop',
    primaryQuest: 'primaryQuest',
+   questCategories: 'questCategories',
+   questTemplates: 'questTemplates',
    questTrackerEnable: 'questTrackerEnable',
    questTrackerPinned: 'questTrackerPinned',
    questTrackerPosition: 'questTrackerPosition',
    questTrackerResizable: 'questTrackerResizable',
+   rewardParty: 'rewardParty',
    showFolder: 'showFolder',
    showTasks: 'showTasks',
+   statusTransitions: 'statusTransitions',
    trustedPlayerEdit: 'trustedPlayerEdit'
 };
 
-export { constants, jquery, noteControls, questStatus, questStatusI18n, questTabIndex, sessionConstants, settings };
+export { constants, jquery, noteControls, questStatus, questStatusI18n, sessionConstants, settings };
 
 /**
  * @typedef {object} FQLSessionConstants
  *
  * @property {string}   currentPrimaryQuest - Stores current primary quest set from {@link FQLSettings.primaryQuest}.
  *
+ * @property {string}   questLogCategory - Stores the quest category ID that the QuestLog is currently filtered by.
+ *
+ * @property {string}   questLogSearch - Stores the search query that the QuestLog is currently filtered by.
+ *
  * @property {string}   trackerFolderState - Stores a boolean with tacked on quest ID for whether objectives are shown.
  *
  * @property {string}   trackerShowBackground - Shows / hides the quest tracker background.
@@ -151,8 +155,15 @@ export { constants, jquery, noteControls, questStatus, questStatusI18n, questTab
  *
  * @property {string}   allowPlayersDrag - Allow players to drag reward items to actor sheet.
  *
+ * @property {string}   chatAnnounceStatus - Post a quest card to chat when a quest becomes active, completed, or failed.
+ *
  * @property {string}   countHidden - Count hidden objectives / subquests.
  *
+ * @property {string}   customStatuses - Hidden setting storing the custom quest statuses edited in
+ *                                       {@link QuestStatusConfig}.
+ *
+ * @property {string}   deadlineAction - The action when an active quest passes its deadline ('none', 'warn', 'fail').
+ *
  * @property {string}   defaultAbstractRewardImage - Sets the default abstract reward image path.
  *
  * @property {string}   defaultPermission - Sets the default permission level for new quests.
@@ -167,6 +178,12 @@ export { constants, jquery, noteControls, questStatus, questStatusI18n, questTab
  *
  * @property {string}   primaryQuest - Stores the quest ID of a quest that is the current primary quest.
  *
+ * @property {string}   questCategories - Hidden setting storing the world quest categories edited in
+ *                                        {@link QuestCategoryConfig}.
+ *
+ * @property {string}   questTemplates - Hidden setting storing the quest templates saved from {@link QuestPreview} and
+ *                                       edited in {@link QuestTemplateConfig}.
+ *
  * @property {string}   questTrackerEnable - Enables the quest tracker.
  *
  * @property {string}   questTrackerPinned - Is the QuestTracker pinned to the side bar.
@@ -175,9 +192,15 @@ export { constants, jquery, noteControls, questStatus, questStatusI18n, questTab
  *
  * @property {string}   questTrackerResizable - Stores the current window handling mode ('auto' or 'resize').
  *
+ * @property {string}   rewardParty - Hidden setting storing the party actor IDs for reward distribution edited in
+ *                                    {@link RewardPartyConfig}.
+ *
  * @property {string}   showFolder - Shows the `_fql_quests` directory in the journal entries sidebar.
  *
  * @property {string}   showTasks - Determines if objective counts are rendered.
  *
+ * @property {string}   statusTransitions - Hidden setting storing the minimum role for each status transition edited in
+ *                                          {@link QuestTransitionConfig}.
+ *
  * @property {string}   trustedPlayerEdit - Allows trusted players to have full quest editing capabilities.
  */
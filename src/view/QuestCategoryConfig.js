@@ -0,0 +1,134 @@
+import Utils            from '../control/Utils.js';
+
+import { constants, jquery, settings } from '../model/constants.js';
+
+/**
+ * Provides the settings menu app for GMs to edit the world quest categories stored in
+ * {@link FQLSettings.questCategories}. Each category has a name, color, and Font Awesome icon class. The category ID is
+ * stored in {@link Quest.type} when a category is assigned to a quest in {@link QuestPreview}.
+ *
+ * Categories are edited locally in {@link QuestCategoryConfig._categories} and only saved to the module setting when
+ * the form is submitted.
+ */
+export default class QuestCategoryConfig extends FormApplication
+{
+   /**
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html
+    */
+   constructor(object = {}, options = {})
+   {
+      super(object, options);
+
+      /**
+       * Stores the working copy of the quest categories being edited.
+       *
+       * @type {QuestCategoryData[]}
+       * @private
+       */
+      this._categories = Utils.getQuestCategories().map((category) => ({
+         ...category,
+         name: game.i18n.localize(category.name)
+      }));
+   }
+
+   /**
+    * Default Application options
+    *
+    * @returns {object} options - Application options.
+    * @see https://foundryvtt.com/api/Application.html#options
+    */
+   static get defaultOptions()
+   {
+      return foundry.utils.mergeObject(super.defaultOptions, {
+         id: 'forien-quest-log-category-config',
+         classes: ['fql-category-config'],
+         template: 'modules/forien-quest-log/templates/quest-category-config.html',
+         width: 480,
+         height: 'auto',
+         closeOnSubmit: true,
+         submitOnChange: false,
+         submitOnClose: false,
+         title: game.i18n.localize('ForienQuestLog.QuestCategories.Title')
+      });
+   }
+
+   /**
+    * Defines all jQuery control callbacks for adding and deleting categories.
+    *
+    * @param {JQuery}  html - The jQuery instance for the window content of this Application.
+    *
+    * @see https://foundryvtt.com/api/FormApplication.html#activateListeners
+    */
+   activateListeners(html)
+   {
+      super.activateListeners(html);
+
+      html.on(jquery.click, '.add-category', () =>
+      {
+         this._syncCategories();
+         this._categories.push({ id: Utils.uuidv4(), name: '', color: '#ffffff', icon: 'fas fa-tag' });
+         this.render();
+      });
+
+      html.on(jquery.click, '.delete-category', (event) =>
+      {
+         this._syncCategories();
+         this._categories.splice($(event.currentTarget).data('index'), 1);
+         this.render();
+      });
+   }
+
+   /**
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#getData
+    */
+   async getData(options = {}) // eslint-disable-line no-unused-vars
+   {
+      return { categories: this._categories };
+   }
+
+   /**
+    * Parses the category rows from the form data.
+    *
+    * @param {object}   formData - The flattened form data.
+    *
+    * @returns {QuestCategoryData[]} The quest categories.
+    * @private
+    */
+   _parseCategories(formData)
+   {
+      const data = foundry.utils.expandObject(formData);
+
+      return Object.values(data.categories ?? {}).map((category) => ({
+         id: category.id || Utils.uuidv4(),
+         name: typeof category.name === 'string' ? category.name.trim() : '',
+         color: category.color || '#ffffff',
+         icon: typeof category.icon === 'string' ? category.icon.trim() : ''
+      }));
+   }
+
+   /**
+    * Stores the current form state in {@link QuestCategoryConfig._categories} before rows are added or removed.
+    *
+    * @private
+    */
+   _syncCategories()
+   {
+      this._categories = this._parseCategories(this._getSubmitData());
+   }
+
+   /**
+    * Saves the quest categories to module settings. Categories without a name are removed.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#_updateObject
+    */
+   async _updateObject(event, formData)
+   {
+      const categories = this._parseCategories(formData).filter((category) => category.name.length);
+      await game.settings.set(constants.moduleName, settings.questCategories, categories);
+   }
+}
@@ -0,0 +1,171 @@
+import QuestTransfer      from '../control/QuestTransfer.js';
+
+import { jquery }         from '../model/constants.js';
+
+/**
+ * Provides a dialog for GMs to browse the quests stored in JournalEntry compendiums. Selected compendium quests are
+ * imported into the world with {@link QuestTransfer.importCompendium} and all world quests may be exported to an
+ * unlocked compendium with {@link QuestTransfer.exportToCompendium}.
+ *
+ * Opened from the QuestLog header button.
+ */
+export default class QuestCompendiumBrowser extends FormApplication
+{
+   /**
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html
+    */
+   constructor(object = {}, options = {})
+   {
+      super(object, options);
+
+      /**
+       * Stores the collection ID of the selected compendium.
+       *
+       * @type {string|void}
+       * @private
+       */
+      this._packId = QuestTransfer.getCompendiumPacks()[0]?.collection;
+   }
+
+   /**
+    * Default Application options
+    *
+    * @returns {object} options - Application options.
+    * @see https://foundryvtt.com/api/Application.html#options
+    */
+   static get defaultOptions()
+   {
+      return foundry.utils.mergeObject(super.defaultOptions, {
+         id: 'forien-quest-log-compendium-browser',
+         classes: ['fql-compendium-browser'],
+         template: 'modules/forien-quest-log/templates/quest-compendium-browser.html',
+         width: 480,
+         height: 'auto',
+         closeOnSubmit: false,
+         submitOnChange: false,
+         submitOnClose: false,
+         title: game.i18n.localize('ForienQuestLog.QuestCompendium.Title')
+      });
+   }
+
+   /**
+    * Defines all jQuery control callbacks for selecting a compendium and exporting world quests.
+    *
+    * @param {JQuery}  html - The jQuery instance for the window content of this Application.
+    *
+    * @see https://foundryvtt.com/api/FormApplication.html#activateListeners
+    */
+   activateListeners(html)
+   {
+      super.activateListeners(html);
+
+      html.on(jquery.change, 'select[name="packId"]', (event) =>
+      {
+         this._packId = $(event.currentTarget).val();
+         this.render();
+      });
+
+      html.on(jquery.click, '.export-quests', async () =>
+      {
+         try
+         {
+            const count = await QuestTransfer.exportToCompendium({ packId: this._packId });
+
+            ui.notifications.info(game.i18n.format('ForienQuestLog.QuestCompendium.Notifications.Exported',
+             { count }));
+
+            this.render();
+         }
+         catch (err)
+         {
+            console.error(err);
+            ui.notifications.error(err.message);
+         }
+      });
+   }
+
+   /**
+    * Provides the JournalEntry compendiums and the quest trees stored in the selected compendium.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#getData
+    */
+   async getData(options = {}) // eslint-disable-line no-unused-vars
+   {
+      const packs = QuestTransfer.getCompendiumPacks().map((pack) => ({
+         id: pack.collection,
+         label: pack.metadata.label,
+         locked: pack.locked,
+         selected: pack.collection === this._packId
+      }));
+
+      const selected = packs.find((p) => p.selected);
+
+      const entries = selected ? await QuestTransfer.getCompendiumQuests(selected.id) : [];
+      const ids = new Set(entries.map((entry) => entry.id));
+
+      const quests = [];
+
+      // Flatten the quest trees into rows with the subquest depth.
+      const addQuest = (entry, depth) =>
+      {
+         if (quests.some((quest) => quest.id === entry.id)) { return; }
+
+         quests.push({ id: entry.id, name: entry.data.name, depth });
+
+         for (const subquestId of Array.isArray(entry.data.subquests) ? entry.data.subquests : [])
+         {
+            const child = entries.find((e) => e.id === subquestId);
+            if (child) { addQuest(child, depth + 1); }
+         }
+      };
+
+      for (const entry of entries)
+      {
+         if (!ids.has(entry.data.parent)) { addQuest(entry, 0); }
+      }
+
+      return { packs, pack: selected, quests };
+   }
+
+   /**
+    * Imports the selected compendium quests.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#_updateObject
+    */
+   async _updateObject(event, formData)
+   {
+      const data = foundry.utils.expandObject(formData);
+
+      const questIds = Object.entries(data.quests ?? {}).filter(([, selected]) => selected).map(([id]) => id);
+
+      if (questIds.length === 0)
+      {
+         ui.notifications.warn(game.i18n.localize('ForienQuestLog.QuestCompendium.Notifications.NoSelection'));
+         return;
+      }
+
+      try
+      {
+         const quests = await QuestTransfer.importCompendium({
+            packId: this._packId,
+            questIds,
+            includeSubquests: data.includeSubquests
+         });
+
+         ui.notifications.info(game.i18n.format('ForienQuestLog.Transfer.Notifications.Imported',
+          { count: quests.length }));
+
+         this.close();
+      }
+      catch (err)
+      {
+         console.error(err);
+         ui.notifications.error(err.message);
+      }
+   }
+}
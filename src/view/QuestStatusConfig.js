@@ -0,0 +1,174 @@
+import QuestStatuses      from '../control/QuestStatuses.js';
+import Utils              from '../control/Utils.js';
+
+import { constants, jquery, questStatus, settings } from '../model/constants.js';
+
+/**
+ * Provides the settings menu app for GMs to edit the custom quest statuses stored in
+ * {@link FQLSettings.customStatuses}. Each custom status has a label, Font Awesome icon class, date tracking behaviour,
+ * and the statuses that a quest may be moved from and to. Each custom status receives its own tab in the
+ * {@link QuestLog}.
+ *
+ * Statuses are edited locally in {@link QuestStatusConfig._statuses} and only saved to the module setting when the form
+ * is submitted.
+ */
+export default class QuestStatusConfig extends FormApplication
+{
+   /**
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html
+    */
+   constructor(object = {}, options = {})
+   {
+      super(object, options);
+
+      /**
+       * Stores the working copy of the custom statuses being edited.
+       *
+       * @type {QuestCustomStatusData[]}
+       * @private
+       */
+      this._statuses = QuestStatuses.custom;
+   }
+
+   /**
+    * Default Application options
+    *
+    * @returns {object} options - Application options.
+    * @see https://foundryvtt.com/api/Application.html#options
+    */
+   static get defaultOptions()
+   {
+      return foundry.utils.mergeObject(super.defaultOptions, {
+         id: 'forien-quest-log-status-config',
+         classes: ['fql-status-config'],
+         template: 'modules/forien-quest-log/templates/quest-status-config.html',
+         width: 640,
+         height: 'auto',
+         closeOnSubmit: true,
+         submitOnChange: false,
+         submitOnClose: false,
+         title: game.i18n.localize('ForienQuestLog.QuestStatuses.Title')
+      });
+   }
+
+   /**
+    * Defines all jQuery control callbacks for adding and deleting custom statuses.
+    *
+    * @param {JQuery}  html - The jQuery instance for the window content of this Application.
+    *
+    * @see https://foundryvtt.com/api/FormApplication.html#activateListeners
+    */
+   activateListeners(html)
+   {
+      super.activateListeners(html);
+
+      html.on(jquery.click, '.add-status', () =>
+      {
+         this._syncStatuses();
+         this._statuses.push({ id: Utils.uuidv4(), label: '', icon: 'fas fa-circle', date: 'none', from: [], to: [] });
+         this.render();
+      });
+
+      html.on(jquery.click, '.delete-status', (event) =>
+      {
+         this._syncStatuses();
+         this._statuses.splice($(event.currentTarget).data('index'), 1);
+         this.render();
+      });
+   }
+
+   /**
+    * Provides the custom statuses along with all statuses that may be selected as a source or target.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#getData
+    */
+   async getData(options = {}) // eslint-disable-line no-unused-vars
+   {
+      const core = QuestStatuses.all.filter((s) => !s.custom).map((s) => ({
+         id: s.id,
+         label: game.i18n.localize(s.label)
+      }));
+
+      const dates = ['none', 'start', 'end', 'reset'].map((id) => ({
+         id,
+         label: game.i18n.localize(`ForienQuestLog.QuestStatuses.Dates.${id}`)
+      }));
+
+      const statuses = this._statuses.map((status) =>
+      {
+         // All statuses except this status; custom statuses without a label use a placeholder.
+         const choices = [...core, ...this._statuses.map((s) => ({
+            id: s.id,
+            label: s.label.length ? s.label : game.i18n.localize('ForienQuestLog.QuestStatuses.Labels.Unnamed')
+         }))].filter((s) => s.id !== status.id);
+
+         return {
+            ...status,
+            from: choices.map((s) => ({ ...s, selected: status.from.includes(s.id) })),
+            to: choices.map((s) => ({ ...s, selected: status.to.includes(s.id) }))
+         };
+      });
+
+      return { dates, statuses };
+   }
+
+   /**
+    * Parses the custom status rows from the form data.
+    *
+    * @param {object}   formData - The flattened form data.
+    *
+    * @returns {QuestCustomStatusData[]} The custom statuses.
+    * @private
+    */
+   _parseStatuses(formData)
+   {
+      const data = foundry.utils.expandObject(formData);
+
+      const toArray = (value) => (Array.isArray(value) ? value : typeof value === 'string' && value.length ? [value] :
+       []).filter((id) => typeof id === 'string' && id.length);
+
+      return Object.values(data.statuses ?? {}).map((status) => ({
+         id: status.id || Utils.uuidv4(),
+         label: typeof status.label === 'string' ? status.label.trim() : '',
+         icon: typeof status.icon === 'string' ? status.icon.trim() : '',
+         date: status.date || 'none',
+         from: toArray(status.from),
+         to: toArray(status.to)
+      }));
+   }
+
+   /**
+    * Stores the current form state in {@link QuestStatusConfig._statuses} before rows are added or removed.
+    *
+    * @private
+    */
+   _syncStatuses()
+   {
+      this._statuses = this._parseStatuses(this._getSubmitData());
+   }
+
+   /**
+    * Saves the custom statuses to module settings. Statuses without a label are removed along with any references to
+    * removed statuses.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#_updateObject
+    */
+   async _updateObject(event, formData)
+   {
+      const statuses = this._parseStatuses(formData).filter((status) => status.label.length);
+      const ids = statuses.map((status) => status.id);
+
+      for (const status of statuses)
+      {
+         status.from = status.from.filter((id) => id in questStatus || ids.includes(id));
+         status.to = status.to.filter((id) => id in questStatus || ids.includes(id));
+      }
+
+      await game.settings.set(constants.moduleName, settings.customStatuses, statuses);
+   }
+}
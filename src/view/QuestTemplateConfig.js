@@ -0,0 +1,129 @@
+import QuestTemplates     from '../control/QuestTemplates.js';
+
+import { constants, jquery, settings } from '../model/constants.js';
+
+/**
+ * Provides the settings menu app for GMs to rename and delete the quest templates stored in
+ * {@link FQLSettings.questTemplates}. Templates are created from the {@link QuestPreview} header.
+ *
+ * Templates are edited locally in {@link QuestTemplateConfig._templates} and only saved to the module setting when the
+ * form is submitted.
+ */
+export default class QuestTemplateConfig extends FormApplication
+{
+   /**
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html
+    */
+   constructor(object = {}, options = {})
+   {
+      super(object, options);
+
+      /**
+       * Stores the working copy of the quest templates being edited.
+       *
+       * @type {QuestTemplateData[]}
+       * @private
+       */
+      this._templates = QuestTemplates.all;
+   }
+
+   /**
+    * Default Application options
+    *
+    * @returns {object} options - Application options.
+    * @see https://foundryvtt.com/api/Application.html#options
+    */
+   static get defaultOptions()
+   {
+      return foundry.utils.mergeObject(super.defaultOptions, {
+         id: 'forien-quest-log-template-config',
+         classes: ['fql-template-config'],
+         template: 'modules/forien-quest-log/templates/quest-template-config.html',
+         width: 400,
+         height: 'auto',
+         closeOnSubmit: true,
+         submitOnChange: false,
+         submitOnClose: false,
+         title: game.i18n.localize('ForienQuestLog.QuestTemplates.Title')
+      });
+   }
+
+   /**
+    * Defines the jQuery control callback for deleting templates.
+    *
+    * @param {JQuery}  html - The jQuery instance for the window content of this Application.
+    *
+    * @see https://foundryvtt.com/api/FormApplication.html#activateListeners
+    */
+   activateListeners(html)
+   {
+      super.activateListeners(html);
+
+      html.on(jquery.click, '.delete-template', (event) =>
+      {
+         this._syncTemplates();
+         this._templates.splice($(event.currentTarget).data('index'), 1);
+         this.render();
+      });
+   }
+
+   /**
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#getData
+    */
+   async getData(options = {}) // eslint-disable-line no-unused-vars
+   {
+      return {
+         templates: this._templates.map((template) => ({
+            id: template.id,
+            name: template.name,
+            tasks: template.data.tasks?.length ?? 0,
+            rewards: template.data.rewards?.length ?? 0
+         }))
+      };
+   }
+
+   /**
+    * Applies the template names from the form data to the working copy of the templates.
+    *
+    * @param {object}   formData - The flattened form data.
+    *
+    * @returns {QuestTemplateData[]} The quest templates.
+    * @private
+    */
+   _parseTemplates(formData)
+   {
+      const data = foundry.utils.expandObject(formData);
+
+      return Object.values(data.templates ?? {}).map((entry) =>
+      {
+         const template = this._templates.find((t) => t.id === entry.id);
+         return template ? { ...template, name: typeof entry.name === 'string' ? entry.name.trim() : '' } : void 0;
+      }).filter((template) => template !== void 0);
+   }
+
+   /**
+    * Stores the current form state in {@link QuestTemplateConfig._templates} before rows are removed.
+    *
+    * @private
+    */
+   _syncTemplates()
+   {
+      this._templates = this._parseTemplates(this._getSubmitData());
+   }
+
+   /**
+    * Saves the quest templates to module settings. Templates without a name are removed.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#_updateObject
+    */
+   async _updateObject(event, formData)
+   {
+      const templates = this._parseTemplates(formData).filter((template) => template.name.length);
+      await game.settings.set(constants.moduleName, settings.questTemplates, templates);
+   }
+}
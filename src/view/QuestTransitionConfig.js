@@ -0,0 +1,110 @@
+import QuestStatuses      from '../control/QuestStatuses.js';
+
+import { constants, jquery, settings } from '../model/constants.js';
+
+/**
+ * Provides the settings menu app for GMs to edit the status transition matrix stored in
+ * {@link FQLSettings.statusTransitions}. For each status transition defined by {@link QuestStatuses} the GM selects the
+ * minimum role that may perform it: GM, trusted player, owner, or any observer.
+ *
+ * Only transitions that differ from {@link QuestStatuses.getDefaultTransitionRole} are saved, so unchanged transitions
+ * continue to follow {@link FQLSettings.allowPlayersAccept}.
+ */
+export default class QuestTransitionConfig extends FormApplication
+{
+   /**
+    * Default Application options
+    *
+    * @returns {object} options - Application options.
+    * @see https://foundryvtt.com/api/Application.html#options
+    */
+   static get defaultOptions()
+   {
+      return foundry.utils.mergeObject(super.defaultOptions, {
+         id: 'forien-quest-log-transition-config',
+         classes: ['fql-transition-config'],
+         template: 'modules/forien-quest-log/templates/quest-transition-config.html',
+         width: 480,
+         height: 'auto',
+         closeOnSubmit: true,
+         submitOnChange: false,
+         submitOnClose: false,
+         title: game.i18n.localize('ForienQuestLog.QuestTransitions.Title')
+      });
+   }
+
+   /**
+    * Defines the jQuery control callback for resetting all transitions to the default roles.
+    *
+    * @param {JQuery}  html - The jQuery instance for the window content of this Application.
+    *
+    * @see https://foundryvtt.com/api/FormApplication.html#activateListeners
+    */
+   activateListeners(html)
+   {
+      super.activateListeners(html);
+
+      html.on(jquery.click, '.reset-transitions', async () =>
+      {
+         await game.settings.set(constants.moduleName, settings.statusTransitions, {});
+         this.render();
+      });
+   }
+
+   /**
+    * Provides each status with the transitions to its target statuses and the current minimum role.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#getData
+    */
+   async getData(options = {}) // eslint-disable-line no-unused-vars
+   {
+      const Role = QuestStatuses.Role;
+
+      const roles = Object.values(Role).map((id) => ({
+         id,
+         label: game.i18n.localize(`ForienQuestLog.QuestTransitions.Roles.${id}`)
+      }));
+
+      const statuses = QuestStatuses.all.filter((status) => status.targets.length).map((status) => ({
+         id: status.id,
+         label: game.i18n.localize(status.label),
+         transitions: status.targets.map((target) => ({
+            id: target,
+            label: QuestStatuses.label(target),
+            role: QuestStatuses.getTransitionRole(status.id, target)
+         }))
+      }));
+
+      return { roles, statuses };
+   }
+
+   /**
+    * Saves the transitions that differ from the default roles to module settings.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#_updateObject
+    */
+   async _updateObject(event, formData)
+   {
+      const data = foundry.utils.expandObject(formData);
+      const roles = Object.values(QuestStatuses.Role);
+
+      const transitions = {};
+
+      for (const [from, targets] of Object.entries(data.transitions ?? {}))
+      {
+         for (const [to, role] of Object.entries(targets))
+         {
+            if (!roles.includes(role) || role === QuestStatuses.getDefaultTransitionRole(from, to)) { continue; }
+
+            if (!transitions[from]) { transitions[from] = {}; }
+            transitions[from][to] = role;
+         }
+      }
+
+      await game.settings.set(constants.moduleName, settings.statusTransitions, transitions);
+   }
+}
@@ -0,0 +1,66 @@
+import { constants, settings } from '../model/constants.js';
+
+/**
+ * Provides the settings menu app for GMs to select the party actors stored in {@link FQLSettings.rewardParty} that
+ * receive quest rewards distributed by {@link RewardDistribution}. Actors owned by players and any actors already in
+ * the party are listed. When no actors are selected the assigned characters of all players form the party.
+ */
+export default class RewardPartyConfig extends FormApplication
+{
+   /**
+    * Default Application options
+    *
+    * @returns {object} options - Application options.
+    * @see https://foundryvtt.com/api/Application.html#options
+    */
+   static get defaultOptions()
+   {
+      return foundry.utils.mergeObject(super.defaultOptions, {
+         id: 'forien-quest-log-reward-party-config',
+         classes: ['fql-reward-party-config'],
+         template: 'modules/forien-quest-log/templates/reward-party-config.html',
+         width: 360,
+         height: 'auto',
+         closeOnSubmit: true,
+         submitOnChange: false,
+         submitOnClose: false,
+         title: game.i18n.localize('ForienQuestLog.RewardDistribution.Party.Title')
+      });
+   }
+
+   /**
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#getData
+    */
+   async getData(options = {}) // eslint-disable-line no-unused-vars
+   {
+      const party = game.settings.get(constants.moduleName, settings.rewardParty);
+      const selected = new Set(Array.isArray(party) ? party : []);
+
+      const actors = game.actors.filter((actor) => actor.hasPlayerOwner || selected.has(actor.id)).map((actor) => ({
+         id: actor.id,
+         name: actor.name,
+         img: actor.img,
+         selected: selected.has(actor.id)
+      })).sort((a, b) => a.name.localeCompare(b.name));
+
+      return { actors };
+   }
+
+   /**
+    * Saves the selected party actor IDs to module settings.
+    *
+    * @override
+    * @inheritDoc
+    * @see https://foundryvtt.com/api/FormApplication.html#_updateObject
+    */
+   async _updateObject(event, formData)
+   {
+      const data = foundry.utils.expandObject(formData);
+
+      const party = Object.entries(data.actors ?? {}).filter(([, selected]) => selected).map(([id]) => id);
+
+      await game.settings.set(constants.moduleName, settings.rewardParty, party);
+   }
+}
@@ -1,8 +1,11 @@
-import QuestAPI      from '../../control/public/QuestAPI.js';
-import QuestDB       from '../../control/QuestDB.js';
-import ViewManager   from '../../control/ViewManager.js';
-import Socket        from '../../control/Socket.js';
-import FQLDialog     from '../FQLDialog.js';
+import QuestAPI       from '../../control/public/QuestAPI.js';
+import QuestDB        from '../../control/QuestDB.js';
+import QuestTemplates from '../../control/QuestTemplates.js';
+import ViewManager    from '../../control/ViewManager.js';
+import Socket         from '../../control/Socket.js';
+import FQLDialog      from '../FQLDialog.js';
+
+import { sessionConstants } from '../../model/constants.js';
 
 /**
  * Provides all {@link JQuery} callbacks for the {@link QuestLog}.
@@ -10,7 +13,23 @@ import FQLDialog     from '../FQLDialog.js';
 export default class HandlerLog
 {
    /**
-    * Handles the quest add button.
+    * Handles selecting a quest category in the filter bar. The category ID is stored in session storage and the
+    * {@link QuestLog} is rendered. Selecting the current category again or 'all' clears the filter.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    */
+   static categoryFilter(event)
+   {
+      const categoryId = $(event.currentTarget).attr('data-category-id') ?? '';
+      const currentId = sessionStorage.getItem(sessionConstants.questLogCategory) ?? '';
+
+      sessionStorage.setItem(sessionConstants.questLogCategory, categoryId === currentId ? '' : categoryId);
+
+      ViewManager.questLog.render();
+   }
+
+   /**
+    * Handles the quest add button. If any quest templates exist a template picker is shown first.
     *
     * @returns {Promise<void>}
     */
@@ -18,7 +37,17 @@ export default class HandlerLog
    {
       if (ViewManager.verifyQuestCanAdd())
       {
-         const quest = await QuestDB.createQuest();
+         let templateId = null;
+
+         if (QuestTemplates.all.length)
+         {
+            templateId = await QuestTemplates.selectTemplate();
+
+            // The template picker was cancelled.
+            if (templateId === void 0) { return; }
+         }
+
+         const quest = templateId ? await QuestTemplates.createQuest({ templateId }) : await QuestDB.createQuest();
          ViewManager.questAdded({ quest });
       }
    }
@@ -83,4 +112,22 @@ export default class HandlerLog
       const quest = QuestDB.getQuest(questId);
       if (quest) { await Socket.setQuestStatus({ quest, target }); }
    }
+
+   /**
+    * Handles the search input. The query is stored in session storage and the {@link QuestLog} is rendered with the
+    * quests of all status tabs filtered by {@link QuestDB.search}. This handler is debounced, so the event target is
+    * used as the current target is no longer set.
+    *
+    * @param {JQuery.TriggeredEvent} event - JQuery.TriggeredEvent
+    */
+   static search(event)
+   {
+      const query = $(event.target).val() ?? '';
+
+      if (query === (sessionStorage.getItem(sessionConstants.questLogSearch) ?? '')) { return; }
+
+      sessionStorage.setItem(sessionConstants.questLogSearch, query);
+
+      ViewManager.questLog.render(false, { focusSearch: true });
+   }
 }
\ No newline at end of file
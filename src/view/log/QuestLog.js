@@ -1,19 +1,24 @@
-import QuestDB          from '../../control/QuestDB.js';
-import Socket           from '../../control/Socket.js';
-import Utils            from '../../control/Utils.js';
-import FQLContextMenu   from '../FQLContextMenu.js';
-import FQLDialog        from '../FQLDialog.js';
+import QuestAPI               from '../../control/public/QuestAPI.js';
+import QuestDB                from '../../control/QuestDB.js';
+import QuestStatuses          from '../../control/QuestStatuses.js';
+import Socket                 from '../../control/Socket.js';
+import Utils                  from '../../control/Utils.js';
+import FQLContextMenu         from '../FQLContextMenu.js';
+import FQLDialog              from '../FQLDialog.js';
+import QuestCompendiumBrowser from '../QuestCompendiumBrowser.js';
 
 import HandlerLog    from './HandlerLog.js';
 
-import { constants, jquery, questStatus, questStatusI18n, questTabIndex, settings } from '../../model/constants.js';
+import { constants, jquery, questStatus, sessionConstants, settings } from '../../model/constants.js';
 
 /**
  * Provides the main quest log app which shows the quests separated by status either with bookmark or classic tabs.
  *
  * In {@link QuestLog.getData} the {@link QuestsCollect} data is retrieved from {@link QuestDB.sortCollect} which
- * provides automatic sorting of each quest status category by either {@link SortFunctions.ALPHA} or
+ * provides automatic sorting of each quest status category by either {@link SortFunctions.PRIORITY} or
  * {@link SortFunctions.DATE_END} for status categories {@link questStatus.completed} and {@link questStatus.failed}.
+ * A tab is rendered for each status defined in {@link QuestStatuses} including any custom statuses. The search box
+ * filters all status tabs by {@link QuestDB.search} and highlights the matches.
  * Several module settings and whether the current user is a GM is also passed back as data to be used in rendering the
  * {@link Handlebars} template.
  *
@@ -56,8 +61,10 @@ export default class QuestLog extends Application
     * Specify the set of config buttons which should appear in the Application header. Buttons should be returned as an
     * Array of objects.
     *
-    * Provides an explicit override of Application._getHeaderButtons to add one additional buttons for the app header
-    * for showing the quest log to users via {@link Socket.showQuestLog}
+    * Provides an explicit override of Application._getHeaderButtons to add additional buttons for the app header for
+    * showing the quest log to users via {@link Socket.showQuestLog}, exporting / importing quests via
+    * {@link QuestAPI.exportQuests} / {@link QuestAPI.importQuests}, and browsing compendium quests via
+    * {@link QuestCompendiumBrowser}.
     *
     * @returns {ApplicationHeaderButton[]} The app header buttons.
     * @override
@@ -78,6 +85,27 @@ export default class QuestLog extends Application
                Socket.showQuestLog(this._tabs[0].active);
             }
          });
+
+         buttons.unshift({
+            label: game.i18n.localize('ForienQuestLog.Labels.AppHeader.Compendium'),
+            class: 'compendium-quests',
+            icon: 'fas fa-atlas',
+            onclick: () => new QuestCompendiumBrowser().render(true, { focus: true })
+         });
+
+         buttons.unshift({
+            label: game.i18n.localize('ForienQuestLog.Labels.AppHeader.Import'),
+            class: 'import-quests',
+            icon: 'fas fa-file-import',
+            onclick: () => QuestAPI.importQuests()
+         });
+
+         buttons.unshift({
+            label: game.i18n.localize('ForienQuestLog.Labels.AppHeader.Export'),
+            class: 'export-quests',
+            icon: 'fas fa-file-export',
+            onclick: () => QuestAPI.exportQuests()
+         });
       }
 
       return buttons;
@@ -115,6 +143,8 @@ export default class QuestLog extends Application
          fqlBookmarkItem.css('background-blend-mode', backBlendMode);
       }
 
+      html.on(jquery.click, '.category-filter .item', HandlerLog.categoryFilter);
+
       html.on(jquery.click, '.new-quest-btn', HandlerLog.questAdd);
 
       html.on(jquery.click, '.actions.quest-status i.delete', HandlerLog.questDelete);
@@ -128,6 +158,9 @@ export default class QuestLog extends Application
 
       html.on(jquery.click, '.actions.quest-status i.move', HandlerLog.questStatusSet);
 
+      // Debounce the search as each search renders the QuestLog.
+      html.on(jquery.input, '.log-search input', foundry.utils.debounce(HandlerLog.search, 300));
+
       this._contextMenu(html);
    }
 
@@ -218,7 +251,8 @@ export default class QuestLog extends Application
    /**
     * Retrieves the sorted quest collection from the {@link QuestDB.sortCollect} and sets several state parameters for
     * GM / player / trusted player edit along with several module settings: {@link FQLSettings.allowPlayersAccept},
-    * {@link FQLSettings.allowPlayersCreate}, {@link FQLSettings.showTasks} and {@link FQLSettings.navStyle}.
+    * {@link FQLSettings.allowPlayersCreate}, {@link FQLSettings.showTasks} and {@link FQLSettings.navStyle}. The quests
+    * are filtered by the selected quest category and any search query stored in session storage.
     *
     * @override
     * @inheritDoc
@@ -226,35 +260,101 @@ export default class QuestLog extends Application
     */
    async getData(options = {})
    {
+      const categories = Utils.getQuestCategories().map((category) => ({
+         ...category,
+         name: game.i18n.localize(category.name)
+      }));
+
+      const quests = QuestDB.sortCollect({
+         sortActive: QuestDB.Sort.PRIORITY,
+         sortAvailable: QuestDB.Sort.PRIORITY,
+         sortInactive: QuestDB.Sort.PRIORITY,
+         sortCustom: QuestDB.Sort.PRIORITY
+      });
+
+      const isTrustedPlayerEdit = Utils.isTrustedPlayerEdit();
+
+      // The inactive tab is only shown to GMs and trusted players w/ edit.
+      const statuses = QuestStatuses.all.filter((status) => questStatus.inactive !== status.id || game.user.isGM ||
+       isTrustedPlayerEdit).map((status) => ({ id: status.id, label: game.i18n.localize(status.label) }));
+
+      // Filter all status categories by any selected quest category that still exists.
+      let categoryFilter = sessionStorage.getItem(sessionConstants.questLogCategory) ?? '';
+      if (categoryFilter.length && Utils.getQuestCategory(categoryFilter))
+      {
+         for (const status of Object.keys(quests))
+         {
+            quests[status] = quests[status].filter(QuestDB.Filter.CATEGORY(categoryFilter));
+         }
+      }
+      else
+      {
+         categoryFilter = '';
+      }
+
+      // Filter all status categories by any search query and provide the highlighted results by quest ID.
+      const search = sessionStorage.getItem(sessionConstants.questLogSearch) ?? '';
+      let searchResults = void 0;
+
+      if (search.trim().length)
+      {
+         const results = QuestDB.search(search);
+
+         for (const status of Object.keys(quests))
+         {
+            quests[status] = quests[status].filter((entry) => results.has(entry.id));
+         }
+
+         for (const status of statuses) { status.count = quests[status.id]?.count() ?? 0; }
+
+         searchResults = Object.fromEntries(results);
+      }
+
       return foundry.utils.mergeObject(super.getData(), {
          options,
          isGM: game.user.isGM,
          isPlayer: !game.user.isGM,
-         isTrustedPlayerEdit: Utils.isTrustedPlayerEdit(),
+         isTrustedPlayerEdit,
          canAccept: game.settings.get(constants.moduleName, settings.allowPlayersAccept),
          canCreate: game.settings.get(constants.moduleName, settings.allowPlayersCreate),
          showTasks: game.settings.get(constants.moduleName, settings.showTasks),
          style: game.settings.get(constants.moduleName, settings.navStyle),
-         questStatusI18n,
-         quests: QuestDB.sortCollect()
+         statuses,
+         categories,
+         categoryFilter,
+         search,
+         searchResults,
+         quests
       });
    }
 
    /**
     * Overrides the internal Application._render method to select the tab if the quest log is rendered with optional:
-    * `tabId` data that matches an entry in `constants.questStatus`. This comes into play as when a GM uses the
+    * `tabId` data that matches a status defined in {@link QuestStatuses}. This comes into play as when a GM uses the
     * `show to players` button in the app header as not only will the quest log open for players, but the specific tab
     * selected by the GM will show. It is also possible to add `tabId` to the `ForienQuestLog.Open.QuestLog` hook to
     * open a specific tab.
     *
+    * When rendered from {@link HandlerLog.search} with optional `focusSearch` data the search input is focused again
+    * with the caret at the end of the query.
+    *
     * @inheritDoc
     */
    async _render(force = false, options = {})
    {
       await super._render(force, options);
 
-      if (this._state === Application.RENDER_STATES.RENDERED && typeof options.tabId === 'string' &&
-       options.tabId in questStatus)
+      if (this._state === Application.RENDER_STATES.RENDERED && options.focusSearch)
+      {
+         const input = this.element.find('.log-search input')[0];
+         if (input)
+         {
+            input.focus();
+            input.setSelectionRange(input.value.length, input.value.length);
+         }
+      }
+
+      if (this._state === Application.RENDER_STATES.RENDERED && QuestStatuses.has(options.tabId))
       {
          if (options.tabId === questStatus.inactive)
          {
@@ -296,8 +396,7 @@ export default class QuestLog extends Application
       const tableElements = $('#forien-quest-log .table');
 
       // Retrieve the active table.
-      const tabIndex = questTabIndex[this?._tabs[0]?.active];
-      const table = tableElements[tabIndex];
+      const table = $(`#forien-quest-log .tab[data-tab="${this?._tabs[0]?.active}"] .table`)[0];
 
       if (table)
       {
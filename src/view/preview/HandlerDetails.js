@@ -1,9 +1,13 @@
-import Enrich        from '../../control/Enrich.js';
-import Socket        from '../../control/Socket.js';
-import Utils         from '../../control/Utils.js';
-import FQLDialog     from '../FQLDialog.js';
+import Enrich             from '../../control/Enrich.js';
+import QuestDB            from '../../control/QuestDB.js';
+import QuestTriggers      from '../../control/QuestTriggers.js';
+import RewardDistribution from '../../control/RewardDistribution.js';
+import RewardSystems      from '../../control/RewardSystems.js';
+import Socket             from '../../control/Socket.js';
+import Utils              from '../../control/Utils.js';
+import FQLDialog          from '../FQLDialog.js';
 
-import { FVTTCompat } from '../../FVTTCompat.js';
+import { FVTTCompat }     from '../../FVTTCompat.js';
 
 import { constants, jquery, settings } from '../../model/constants.js';
 
@@ -291,6 +295,96 @@ export default class HandlerDetails
       }
    }
 
+   /**
+    * @param {Quest}          quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}   questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async questLocationDelete(quest, questPreview)
+   {
+      quest.resetLocation();
+      return questPreview.saveQuest();
+   }
+
+   /**
+    * @param {JQuery.DropEvent}  event - JQuery.DropEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async questLocationDropDocument(event, quest, questPreview)
+   {
+      event.preventDefault();
+      event.stopPropagation();
+
+      let data;
+
+      try
+      {
+         data = JSON.parse(event.originalEvent.dataTransfer.getData('text/plain'));
+      }
+      catch (err)
+      {
+         console.warn(`ForienQuestLog HandlerDetails.questLocationDropDocument warning: failed to parse data transfer`);
+      }
+
+      // Notes are embedded in scenes, so on v10 the UUID is used as is.
+      const uuid = data?.type === 'Note' && typeof data?.uuid === 'string' ? data.uuid :
+       Utils.getUUID(data, ['Scene', 'JournalEntry']);
+
+      if (typeof uuid === 'string')
+      {
+         const locationData = await Enrich.locationFromUUID(uuid);
+         if (locationData)
+         {
+            quest.location = uuid;
+            quest.locationData = locationData;
+            await questPreview.saveQuest();
+         }
+         else
+         {
+            ui.notifications.warn(game.i18n.format('ForienQuestLog.QuestPreview.Notifications.BadUUID', { uuid }));
+         }
+      }
+      else if (data?.type)
+      {
+         ui.notifications.warn(game.i18n.localize('ForienQuestLog.QuestPreview.Notifications.WrongLocationType'));
+      }
+   }
+
+   /**
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @returns {Promise<void>}
+    */
+   static async questLocationShow(event)
+   {
+      const uuid = $(event.currentTarget).data('location-uuid');
+
+      if (typeof uuid === 'string' && uuid.length) { await Utils.showLocationFromUUID(uuid); }
+   }
+
+   /**
+    * @param {JQuery.ChangeEvent} event - JQuery.ChangeEvent
+    *
+    * @param {Quest}              quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}       questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async questSetCategory(event, quest, questPreview)
+   {
+      const categoryId = $(event.target).val();
+      quest.type = Utils.getQuestCategory(categoryId) ? categoryId : null;
+      await questPreview.saveQuest();
+   }
+
    /**
     * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
     *
@@ -432,6 +526,41 @@ export default class HandlerDetails
       });
    }
 
+   /**
+    * Shows a dialog to enter the amounts and creates a new currency or experience reward; see {@link RewardSystems}.
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @param {string}            type - The reward type; `Currency` or `Experience`.
+    *
+    * @returns {Promise<void>}
+    */
+   static async rewardAddAmounts(quest, questPreview, type)
+   {
+      const amounts = await RewardSystems.editAmounts(type);
+      if (!RewardSystems.hasAmounts(amounts)) { return; }
+
+      quest.addReward(RewardSystems.createRewardData(type, amounts));
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Claims an unlocked currency or experience reward; see {@link RewardDistribution.claim}.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async rewardClaim(event, quest)
+   {
+      const reward = quest.getReward($(event.target).data('uuidv4'));
+      if (reward) { await RewardDistribution.claim(quest, reward); }
+   }
+
    /**
     * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
     *
@@ -466,6 +595,15 @@ export default class HandlerDetails
    {
       const data = $(event.target).data('transfer');
 
+      // Fully claimed rewards can not be dragged again.
+      if (quest.getReward(data.uuidv4)?.remaining === 0)
+      {
+         event.preventDefault();
+         ui.notifications.warn(game.i18n.format('ForienQuestLog.RewardClaims.Notifications.NoneRemaining',
+          { name: data.name }));
+         return;
+      }
+
       const document = await Utils.getDocumentFromUUID(data, { permissionCheck: false });
       if (document)
       {
@@ -480,6 +618,7 @@ export default class HandlerDetails
                questId: quest.id,
                uuidv4: data.uuidv4,
                itemName: data.name,
+               userId: game.user.id,
                userName: game.user.name,
             },
             type: 'Item',
@@ -589,6 +728,92 @@ export default class HandlerDetails
       }
    }
 
+   /**
+    * Shows a dialog to edit the quantity of an item reward; the number of times the reward may be claimed.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async rewardEditQuantity(event, quest, questPreview)
+   {
+      const uuidv4 = $(event.target).data('uuidv4');
+
+      let reward = quest.getReward(uuidv4);
+      if (!reward) { return; }
+
+      const content = `<form autocomplete="off"><p class="notes">${game.i18n.localize(
+       'ForienQuestLog.RewardClaims.Dialog.QuantityHint')}</p><div class="form-group"><label>${game.i18n.localize(
+        'ForienQuestLog.RewardClaims.Dialog.Quantity')}</label><input type="number" name="quantity" min="1" step="1" ` +
+         `value="${reward.quantity}"></div></form>`;
+
+      const quantity = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.format('ForienQuestLog.RewardClaims.Dialog.QuantityTitle', { name: reward.name }),
+            content,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: game.i18n.localize('ForienQuestLog.RewardClaims.Dialog.Save'),
+                  callback: (html) => resolve(parseInt(html.find('input[name="quantity"]').val()))
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.RewardClaims.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { width: 320 }).render(true);
+      });
+
+      if (!Number.isInteger(quantity) || quantity < 1) { return; }
+
+      // The quest may have been updated while the dialog is open.
+      reward = quest.getReward(uuidv4);
+      if (!reward) { return; }
+
+      reward.quantity = quantity;
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Shows a dialog to edit the amounts of a currency or experience reward. The reward name is updated from the amounts.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async rewardEditAmounts(event, quest, questPreview)
+   {
+      const uuidv4 = $(event.target).data('uuidv4');
+
+      let reward = quest.getReward(uuidv4);
+      if (!reward) { return; }
+
+      const amounts = await RewardSystems.editAmounts(reward.type, reward.amounts);
+      if (!RewardSystems.hasAmounts(amounts)) { return; }
+
+      // The quest may have been updated while the dialog is open.
+      reward = quest.getReward(uuidv4);
+      if (!reward) { return; }
+
+      reward.data.amounts = amounts;
+      reward.data.name = RewardSystems.format(reward.type, amounts);
+
+      await questPreview.saveQuest();
+   }
+
    /**
     * @param {Quest}          quest - The current quest being manipulated.
     *
@@ -615,6 +840,66 @@ export default class HandlerDetails
       if (quest.rewards.length) { await questPreview.saveQuest(); }
    }
 
+   /**
+    * Shows a dialog listing the claim ledger of a reward and revokes the selected claims. Revoking a claim makes the
+    * quantity available again; items already created on actors are not removed.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async rewardRevokeClaims(event, quest, questPreview)
+   {
+      const uuidv4 = $(event.target).data('uuidv4');
+
+      let reward = quest.getReward(uuidv4);
+      if (!reward?.claims.length) { return; }
+
+      const lines = Enrich.rewardClaims(reward.claims).split('\n');
+
+      const content = `<form autocomplete="off"><p class="notes">${game.i18n.localize(
+       'ForienQuestLog.RewardClaims.Dialog.RevokeHint')}</p>${reward.claims.map((claim, index) =>
+        `<div class="form-group"><label><input type="checkbox" name="claimId" value="${claim.id}"> ${
+         Handlebars.escapeExpression(lines[index])}</label></div>`).join('')}</form>`;
+
+      const claimIds = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.format('ForienQuestLog.RewardClaims.Dialog.RevokeTitle', { name: reward.name }),
+            content,
+            buttons: {
+               revoke: {
+                  icon: '<i class="fas fa-user-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.RewardClaims.Dialog.Revoke'),
+                  callback: (html) => resolve(html.find('input[name="claimId"]:checked').map(
+                   (index, element) => element.value).get())
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.RewardClaims.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'revoke',
+            close: () => resolve()
+         }, { width: 400 }).render(true);
+      });
+
+      if (!Array.isArray(claimIds) || claimIds.length === 0) { return; }
+
+      // The quest may have been updated while the dialog is open.
+      reward = quest.getReward(uuidv4);
+      if (!reward) { return; }
+
+      for (const claimId of claimIds) { reward.removeClaim(claimId); }
+
+      await questPreview.saveQuest();
+   }
+
    /**
     * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
     *
@@ -812,17 +1097,29 @@ export default class HandlerDetails
    {
       event.preventDefault();
 
-      const li = $('<li class="task"></li>');
+      // Defined when adding a sub-objective to a parent task.
+      const parentUuidv4 = $(event.target).data('uuidv4');
+
+      const li = $(`<li class="task${parentUuidv4 !== void 0 ? ' subtask' : ''}"></li>`);
 
       const placeholder = $('<span><i class="fas fa-check hidden"></i></span>');
 
       const input = $(`<input type="text" class="editable-input" value="" placeholder="" />`);
 
-      const box = $(event.target).closest('.quest-tasks').find('.tasks-box ul');
-
       li.append(placeholder);
       li.append(input);
-      box.append(li);
+
+      if (parentUuidv4 !== void 0)
+      {
+         // Insert the new sub-objective after the parent task and any existing sub-objectives.
+         const parentLi = $(event.target).closest('li.task');
+         const subtasks = parentLi.nextUntil('li.task:not(.subtask)', 'li.subtask');
+         li.insertAfter(subtasks.length ? subtasks.last() : parentLi);
+      }
+      else
+      {
+         $(event.target).closest('.quest-tasks').find('.tasks-box ul').append(li);
+      }
 
       input.trigger(jquery.focus);
 
@@ -831,7 +1128,7 @@ export default class HandlerDetails
          const value = $(event.target).val();
          if (value !== void 0 && value.length)
          {
-            quest.addTask({ name: value, hidden: questPreview.canEdit });
+            quest.addTask({ name: value, hidden: questPreview.canEdit }, parentUuidv4);
          }
          await questPreview.saveQuest();
       });
@@ -846,6 +1143,30 @@ export default class HandlerDetails
       });
    }
 
+   /**
+    * Increments or decrements a counter objective.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @param {number}            delta - The amount to change the current value by.
+    *
+    * @returns {Promise<void>}
+    */
+   static async taskChangeProgress(event, quest, questPreview, delta)
+   {
+      const uuidv4 = $(event.target).data('uuidv4');
+
+      const task = quest.getTask(uuidv4);
+      if (task && task.setProgress(task.current + delta))
+      {
+         await questPreview.saveQuest();
+      }
+   }
+
    /**
     * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
     *
@@ -999,6 +1320,184 @@ export default class HandlerDetails
       });
    }
 
+   /**
+    * Shows a dialog to select the macro run when a task completes; see {@link QuestTriggers}. Only GMs select trigger
+    * macros.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async taskEditMacro(event, quest, questPreview)
+   {
+      if (!game.user.isGM) { return; }
+
+      const task = quest.getTask($(event.target).data('uuidv4'));
+      if (!task) { return; }
+
+      const result = await QuestTriggers.selectMacros({
+         title: game.i18n.format('ForienQuestLog.QuestTriggers.Dialog.Title', { name: task.name }),
+         triggers: {
+            macro: { label: game.i18n.localize('ForienQuestLog.QuestTriggers.Dialog.TaskCompleted'), uuid: task.macro }
+         }
+      });
+
+      if (!result) { return; }
+
+      task.macro = result.macro;
+
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Shows a dialog to select the prerequisite tasks of a task from this quest or any other quest. Tasks which already
+    * depend on the task are not selectable as this would lock both tasks permanently.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async taskEditPrerequisites(event, quest, questPreview)
+   {
+      const uuidv4 = $(event.target).data('uuidv4');
+
+      const task = quest.getTask(uuidv4);
+      if (!task) { return; }
+
+      const quests = [quest, ...QuestDB.getAllQuests().filter((q) => q.id !== quest.id)];
+
+      // Collect the task and all tasks that directly or indirectly depend on it. A parent task depends on its child
+      // tasks.
+      const dependents = new Set([uuidv4]);
+      let added = true;
+      while (added)
+      {
+         added = false;
+         for (const t of quests.flatMap((q) => q.getAllTasks()))
+         {
+            if (!dependents.has(t.uuidv4) && (t.prerequisites.some((p) => dependents.has(p)) ||
+             t.tasks.some((child) => dependents.has(child.uuidv4))))
+            {
+               dependents.add(t.uuidv4);
+               added = true;
+            }
+         }
+      }
+
+      let tasksContent = '';
+      for (const q of quests)
+      {
+         const tasks = q.getAllTasks().filter((t) => !dependents.has(t.uuidv4));
+         if (tasks.length === 0) { continue; }
+
+         tasksContent += `<h3>${Handlebars.escapeExpression(q.name)}</h3>${tasks.map((t) =>
+          `<div class="form-group"><label class="checkbox"><input type="checkbox" name="prerequisites" value="${
+          t.uuidv4}" ${task.prerequisites.includes(t.uuidv4) ? 'checked' : ''}> ${
+          Handlebars.escapeExpression(t.name)}</label></div>`).join('')}`;
+      }
+
+      const content = `<form autocomplete="off"><p class="notes">${game.i18n.localize(
+       'ForienQuestLog.QuestPreview.Prerequisites.Hint')}</p><div class="prerequisites">${tasksContent}</div>` +
+       `<div class="form-group"><label class="checkbox"><input type="checkbox" name="hideLocked" ${
+       task.hideLocked ? 'checked' : ''}> ${game.i18n.localize('ForienQuestLog.QuestPreview.Prerequisites.HideLocked')
+       }</label></div></form>`;
+
+      const result = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.format('ForienQuestLog.QuestPreview.Prerequisites.Title', { name: task.name }),
+            content,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestPreview.Prerequisites.Save'),
+                  callback: (html) => resolve({
+                     prerequisites: html.find('input[name="prerequisites"]:checked').map((i, el) => el.value).get(),
+                     hideLocked: html.find('input[name="hideLocked"]').is(':checked')
+                  })
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestPreview.Prerequisites.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { classes: ['dialog', 'fql-task-prerequisites'], width: 400 }).render(true);
+      });
+
+      if (!result) { return; }
+
+      task.prerequisites = result.prerequisites;
+      task.hideLocked = result.hideLocked;
+
+      // Resolve prerequisites across all quests available to the current user; the active GM resolves the rest.
+      quest.updateTaskLocks({ findTask: (id) => quest.getTask(id) ?? QuestDB.findTask(id)?.task });
+
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Shows a dialog to set the target value of a counter objective. A target of 0 makes it a regular objective.
+    *
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async taskEditTarget(event, quest, questPreview)
+   {
+      const uuidv4 = $(event.target).data('uuidv4');
+
+      const task = quest.getTask(uuidv4);
+      if (!task) { return; }
+
+      const content = `<form autocomplete="off"><p class="notes">${game.i18n.localize(
+       'ForienQuestLog.QuestPreview.Counter.Hint')}</p><div class="form-group"><label>${game.i18n.localize(
+       'ForienQuestLog.QuestPreview.Counter.Target')}</label><input type="number" name="target" min="0" step="1" ` +
+       `value="${task.target}"></div></form>`;
+
+      const target = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.format('ForienQuestLog.QuestPreview.Counter.Title', { name: task.name }),
+            content,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestPreview.Counter.Save'),
+                  callback: (html) => resolve(parseInt(html.find('input[name="target"]').val()))
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.QuestPreview.Counter.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { width: 320 }).render(true);
+      });
+
+      if (target === void 0 || Number.isNaN(target)) { return; }
+
+      task.setTarget(target);
+
+      await questPreview.saveQuest();
+   }
+
    /**
     * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
     *
@@ -1020,6 +1519,8 @@ export default class HandlerDetails
    }
 
    /**
+    * Toggles whether a task is optional or required for the completion rules.
+    *
     * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
     *
     * @param {Quest}             quest - The current quest being manipulated.
@@ -1028,14 +1529,35 @@ export default class HandlerDetails
     *
     * @returns {Promise<void>}
     */
-   static async taskToggleState(event, quest, questPreview)
+   static async taskToggleOptional(event, quest, questPreview)
    {
       const uuidv4 = $(event.target).data('uuidv4');
 
       const task = quest.getTask(uuidv4);
       if (task)
       {
-         task.toggle();
+         task.toggleOptional();
+         await questPreview.saveQuest();
+      }
+   }
+
+   /**
+    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    *
+    * @param {Quest}             quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}      questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async taskToggleState(event, quest, questPreview)
+   {
+      const uuidv4 = $(event.target).data('uuidv4');
+
+      const task = quest.getTask(uuidv4);
+      // Locked tasks can not be toggled.
+      if (task && task.toggle())
+      {
          await questPreview.saveQuest();
       }
    }
@@ -1053,6 +1575,8 @@ export default class HandlerDetails
  *
  * @property {string} itemName - The reward item name.
  *
+ * @property {string} userId - The ID of the user who is dropping the item.
+ *
  * @property {string} userName - The user name who is dropping the item.
  */
 
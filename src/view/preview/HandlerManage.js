@@ -1,5 +1,9 @@
 import QuestDB                      from '../../control/QuestDB.js';
+import QuestStatuses                from '../../control/QuestStatuses.js';
+import QuestTimers                  from '../../control/QuestTimers.js';
+import QuestTriggers                from '../../control/QuestTriggers.js';
 import ViewManager                  from '../../control/ViewManager.js';
+import WorldCalendar                from '../../control/WorldCalendar.js';
 import FQLDocumentOwnershipConfig   from '../FQLDocumentOwnershipConfig.js';
 
 /**
@@ -57,6 +61,21 @@ export default class HandlerManage
       }
    }
 
+   /**
+    * Clears the quest deadline.
+    *
+    * @param {Quest}          quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}   questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async deleteDeadline(quest, questPreview)
+   {
+      quest.deadline = null;
+      await questPreview.saveQuest();
+   }
+
    /**
     * @param {Quest}          quest - The current quest being manipulated.
     *
@@ -70,6 +89,216 @@ export default class HandlerManage
       await questPreview.saveQuest();
    }
 
+   /**
+    * Sets whether the quest status automatically changes from the required tasks; see {@link Quest.getAutoStatus}.
+    *
+    * @param {JQuery.ChangeEvent} event - JQuery.ChangeEvent
+    *
+    * @param {Quest}              quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}       questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async setAutoComplete(event, quest, questPreview)
+   {
+      quest.autoComplete = $(event.target).is(':checked');
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Shows a dialog to set the quest deadline as days, hours, and minutes of world time from now. Any remaining time of
+    * a current deadline is the initial value.
+    *
+    * @param {Quest}          quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}   questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async setDeadline(quest, questPreview)
+   {
+      const remaining = Number.isFinite(quest.deadline) ? Math.max(0, quest.deadline - WorldCalendar.now) : 0;
+
+      const values = {
+         days: Math.floor(remaining / 86400),
+         hours: Math.floor((remaining % 86400) / 3600),
+         minutes: Math.floor((remaining % 3600) / 60)
+      };
+
+      const content = `<form autocomplete="off"><p class="notes">${game.i18n.localize(
+       'ForienQuestLog.Deadline.Dialog.Hint')}</p>${Object.entries(values).map(([unit, value]) =>
+        `<div class="form-group"><label>${game.i18n.localize(`ForienQuestLog.Deadline.Dialog.${unit}`)}</label>` +
+         `<input type="number" name="${unit}" min="0" step="1" value="${value}"></div>`).join('')}</form>`;
+
+      const seconds = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.format('ForienQuestLog.Deadline.Dialog.Title', { name: quest.name }),
+            content,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: game.i18n.localize('ForienQuestLog.Deadline.Dialog.Save'),
+                  callback: (html) =>
+                  {
+                     const value = (name) => Math.max(0, parseInt(html.find(`input[name="${name}"]`).val()) || 0);
+                     resolve((value('days') * 86400) + (value('hours') * 3600) + (value('minutes') * 60));
+                  }
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: game.i18n.localize('ForienQuestLog.Deadline.Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { width: 320 }).render(true);
+      });
+
+      if (seconds === void 0) { return; }
+
+      quest.deadline = seconds > 0 ? WorldCalendar.now + seconds : null;
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Sets the automatic reward distribution mode or receiving actors from the select inputs; see
+    * {@link RewardDistribution}.
+    *
+    * @param {JQuery.ChangeEvent} event - JQuery.ChangeEvent
+    *
+    * @param {Quest}              quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}       questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async setRewardDistribution(event, quest, questPreview)
+   {
+      const target = $(event.target);
+
+      if (target.hasClass('quest-reward-mode')) { quest.rewardDistribution.mode = target.val(); }
+      else { quest.rewardDistribution.actors = target.val(); }
+
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Shows a dialog to set the real-time countdown timer of the quest and the action performed when it expires; see
+    * {@link QuestTimers}.
+    *
+    * @param {Quest}          quest - The current quest being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async setTimer(quest)
+   {
+      const duration = Math.round((quest.timer?.duration ?? 0) / 1000);
+      const currentAction = quest.timer?.action ?? QuestTimers.Action.NOTIFY;
+
+      const localize = (key) => game.i18n.localize(`ForienQuestLog.QuestTimer.${key}`);
+
+      const actions = Object.values(QuestTimers.Action).map((action) => `<option value="${action}"${
+       action === currentAction ? ' selected' : ''}>${localize(`Actions.${action}`)}</option>`).join('');
+
+      const tasks = quest.getAllTasks().map((task) => `<option value="${task.uuidv4}"${
+       task.uuidv4 === quest.timer?.taskId ? ' selected' : ''}>${Handlebars.escapeExpression(task.name)}${
+        task.hidden ? ` (${localize('Dialog.Hidden')})` : ''}</option>`).join('');
+
+      const content = `<form autocomplete="off"><div class="form-group"><label>${localize('Dialog.Minutes')}</label>` +
+       `<input type="number" name="minutes" min="0" step="1" value="${Math.floor(duration / 60)}"></div>` +
+        `<div class="form-group"><label>${localize('Dialog.Seconds')}</label><input type="number" name="seconds" ` +
+         `min="0" max="59" step="1" value="${duration % 60}"></div><div class="form-group"><label>${
+          localize('Dialog.Action')}</label><select name="action">${actions}</select></div><div class="form-group">` +
+           `<label>${localize('Dialog.Task')}</label><select name="taskId">${tasks}</select></div></form>`;
+
+      const data = await new Promise((resolve) =>
+      {
+         new Dialog({
+            title: game.i18n.format('ForienQuestLog.QuestTimer.Dialog.Title', { name: quest.name }),
+            content,
+            buttons: {
+               save: {
+                  icon: '<i class="far fa-save"></i>',
+                  label: localize('Dialog.Save'),
+                  callback: (html) =>
+                  {
+                     const value = (name) => Math.max(0, parseInt(html.find(`input[name="${name}"]`).val()) || 0);
+
+                     resolve({
+                        duration: ((value('minutes') * 60) + value('seconds')) * 1000,
+                        action: html.find('select[name="action"]').val(),
+                        taskId: html.find('select[name="taskId"]').val() || null
+                     });
+                  }
+               },
+               no: {
+                  icon: '<i class="fas fa-times"></i>',
+                  label: localize('Dialog.Cancel'),
+                  callback: () => resolve()
+               }
+            },
+            default: 'save',
+            close: () => resolve()
+         }, { width: 320 }).render(true);
+      });
+
+      if (!data) { return; }
+
+      if (data.duration > 0) { await QuestTimers.set(quest, data); }
+      else { await QuestTimers.remove(quest); }
+   }
+
+   /**
+    * Shows a dialog to select the macros run when the quest becomes active, completed, or failed; see
+    * {@link QuestTriggers}. Only GMs select trigger macros.
+    *
+    * @param {Quest}          quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}   questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async setTriggers(quest, questPreview)
+   {
+      if (!game.user.isGM) { return; }
+
+      const triggers = await QuestTriggers.selectMacros({
+         title: game.i18n.format('ForienQuestLog.QuestTriggers.Dialog.Title', { name: quest.name }),
+         triggers: Object.fromEntries(QuestTriggers.statuses.map((status) => [status, {
+            label: game.i18n.format('ForienQuestLog.QuestTriggers.Dialog.Status',
+             { status: QuestStatuses.label(status) }),
+            uuid: quest.triggers[status]
+         }]))
+      });
+
+      if (!triggers) { return; }
+
+      Object.assign(quest.triggers, triggers);
+
+      await questPreview.saveQuest();
+   }
+
+   /**
+    * Sets the quest priority from the number input; any invalid or negative value clears the priority.
+    *
+    * @param {JQuery.ChangeEvent} event - JQuery.ChangeEvent
+    *
+    * @param {Quest}              quest - The current quest being manipulated.
+    *
+    * @param {QuestPreview}       questPreview - The QuestPreview being manipulated.
+    *
+    * @returns {Promise<void>}
+    */
+   static async setPriority(event, quest, questPreview)
+   {
+      const priority = Number.parseInt($(event.target).val());
+      quest.priority = Number.isInteger(priority) && priority > 0 ? priority : 0;
+      await questPreview.saveQuest();
+   }
+
    /**
     * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
     *
@@ -1,5 +1,9 @@
 import FQLDialog              from '../FQLDialog.js';
+import Enrich                 from '../../control/Enrich.js';
+import QuestChat              from '../../control/QuestChat.js';
 import QuestDB                from '../../control/QuestDB.js';
+import QuestTemplates         from '../../control/QuestTemplates.js';
+import QuestTimers            from '../../control/QuestTimers.js';
 import Socket                 from '../../control/Socket.js';
 import TinyMCE                from '../../control/TinyMCE.js';
 import Utils                  from '../../control/Utils.js';
@@ -12,6 +16,22 @@ import { FVTTCompat }          from '../../FVTTCompat.js';
 
 import { constants, jquery, settings }  from '../../model/constants.js';
 
+/**
+ * The maximum number of quest snapshots stored in the undo / redo stacks of each QuestPreview.
+ *
+ * @type {number}
+ */
+const s_UNDO_MAX = 50;
+
+/**
+ * The editable content fields of {@link QuestData} stored in quest snapshots. The status, dates, timer, deadline,
+ * triggers, reward distribution, and parent / subquest links are not restored by undo / redo.
+ *
+ * @type {string[]}
+ */
+const s_SNAPSHOT_FIELDS = ['name', 'giver', 'giverData', 'giverName', 'description', 'gmnotes', 'image', 'splash',
+ 'splashPos', 'splashAsIcon', 'location', 'locationData', 'priority', 'autoComplete', 'type', 'tasks', 'rewards'];
+
 /**
  * QuestPreview is the main app / window of FQL for modifying individual Quest data. It appears reactive, but every
  * single time a data value is manipulated in the quest it is saved and this app renders again. There are many cases
@@ -193,6 +213,24 @@ export default class QuestPreview extends FormApplication
        * @see {@link https://foundryvtt.com/api/ImagePopout.html}
        */
       this._splashImagePopup = void 0;
+
+      /**
+       * Stores snapshots of the editable content of the stored quest data taken before each change saved in
+       * {@link QuestPreview.saveQuest}. Restored by {@link QuestPreview.undo}.
+       *
+       * @type {object[]}
+       * @private
+       */
+      this._undoStack = [];
+
+      /**
+       * Stores snapshots of the editable content of the quest taken before each {@link QuestPreview.undo}. Restored by
+       * {@link QuestPreview.redo}. Cleared when a new change is saved.
+       *
+       * @type {object[]}
+       * @private
+       */
+      this._redoStack = [];
    }
 
    /**
@@ -252,13 +290,26 @@ export default class QuestPreview extends FormApplication
     */
    set object(value) {}
 
+   /**
+    * Snapshots may only be restored by users who can edit the quest and when no TinyMCE editor is active as
+    * {@link QuestPreview.saveQuest} saves the editor content.
+    *
+    * @returns {boolean} Whether a snapshot may be restored.
+    * @private
+    */
+   _canRestoreSnapshot()
+   {
+      return (this.canEdit || this.playerEdit) && !Object.values(this.editors).some((editor) => editor.mce);
+   }
+
    /**
     * Specify the set of config buttons which should appear in the Application header. Buttons should be returned as an
     * Array of objects.
     *
-    * Provides an explicit override of Application._getHeaderButtons to add three additional buttons for the app header
-    * including copying the content link for the Quest, showing the quest to users via {@link Socket.showQuestPreview}
-    * and showing the splash image popup.
+    * Provides an explicit override of Application._getHeaderButtons to add five additional buttons for the app header
+    * including copying the content link for the Quest, showing the quest to users via {@link Socket.showQuestPreview},
+    * saving the quest as a template via {@link QuestTemplates.saveDialog}, posting a quest card to chat via
+    * {@link QuestChat.postQuestCard} and showing the splash image popup.
     *
     * @returns {ApplicationHeaderButton[]} The app header buttons.
     * @override
@@ -276,6 +327,24 @@ export default class QuestPreview extends FormApplication
             icon: 'fas fa-eye',
             onclick: () => Socket.showQuestPreview(this._quest.id)
          });
+
+         buttons.unshift({
+            label: '',
+            class: 'save-template',
+            icon: 'fas fa-clone',
+            onclick: () => QuestTemplates.saveDialog(this._quest)
+         });
+      }
+
+      // Post a quest card to chat.
+      if (QuestChat.canPost(this._quest))
+      {
+         buttons.unshift({
+            label: '',
+            class: 'post-chat',
+            icon: 'fas fa-comment-alt',
+            onclick: () => QuestChat.postQuestCard(this._quest)
+         });
       }
 
       // Show splash image popup if splash image is defined.
@@ -343,6 +412,36 @@ export default class QuestPreview extends FormApplication
       return false;
    }
 
+   /**
+    * Restores the editable content of a quest snapshot and saves it through {@link QuestPreview.saveQuest}, so that
+    * the quest history and socket refreshes occur as with any other change. All other quest data is kept. The claim
+    * ledger and macro of rewards and tasks that still exist are kept as well.
+    *
+    * @param {object}   snapshot - The quest snapshot to restore.
+    *
+    * @returns {Promise<void>}
+    * @private
+    */
+   async _restoreSnapshot(snapshot)
+   {
+      const data = this._quest.toJSON();
+
+      const claims = new Map(data.rewards.map((reward) => [reward.uuidv4, reward.claims]));
+      const macros = new Map(this._quest.getAllTasks().map((task) => [task.uuidv4, task.macro]));
+
+      for (const field of s_SNAPSHOT_FIELDS) { data[field] = foundry.utils.deepClone(snapshot[field]); }
+
+      for (const reward of data.rewards)
+      {
+         if (claims.has(reward.uuidv4)) { reward.claims = claims.get(reward.uuidv4); }
+      }
+
+      s_RESTORE_MACROS(data.tasks, macros);
+
+      this._quest.initData(data);
+      await this.saveQuest({ recordUndo: false });
+   }
+
    /**
     * This method is called upon form submission after form data is validated. The default _updateObject workflow
     * is prevented.
@@ -414,6 +513,9 @@ export default class QuestPreview extends FormApplication
       // This CSS selector responds to any subquest attached to the details section or subquests listed in objectives.
       html.on(jquery.click, '.quest-name-link', (event) => HandlerAny.questOpen(event));
 
+      html.on(jquery.click, '.quest-location .open-location', async (event) =>
+       await HandlerDetails.questLocationShow(event));
+
       // This registers for any element and prevents the circle / slash icon displaying for not being a drag target.
       html.on(jquery.dragenter, (event) => event.preventDefault());
 
@@ -428,10 +530,20 @@ export default class QuestPreview extends FormApplication
       html.on(jquery.click, '.item-reward .editable-container', async (event) =>
        await HandlerDetails.rewardShowItemSheet(event, this._quest, this));
 
+      html.on(jquery.click, '.actions.rewards .claim-reward', async (event) =>
+       await HandlerDetails.rewardClaim(event, this._quest));
+
       html.on(jquery.click, '.splash-image-link', () => HandlerDetails.splashImagePopupShow(this._quest, this));
 
       html.on(jquery.dragstart, '.quest-tasks .fa-sort', (event) => HandlerDetails.taskDragStartSort(event));
 
+      // Status actions are only rendered for the transitions that the current user may perform.
+      html.on(jquery.click, '.actions.quest-status i.move', async (event) =>
+      {
+         await this.saveQuest({ refresh: false });
+         await HandlerAny.questStatusSet(event);
+      });
+
       // Callbacks for GM, trusted player edit, and players with ownership
       if (this.canEdit || this.playerEdit)
       {
@@ -447,9 +559,21 @@ export default class QuestPreview extends FormApplication
          html.on(jquery.click, '.quest-giver-gc .deleteQuestGiver', async () =>
           await HandlerDetails.questGiverDelete(this._quest, this));
 
+         html.on(jquery.drop, '.quest-location', async (event) =>
+          await HandlerDetails.questLocationDropDocument(event, this._quest, this));
+
+         html.on(jquery.click, '.quest-location .delete-location', async () =>
+          await HandlerDetails.questLocationDelete(this._quest, this));
+
+         html.on(jquery.change, '.quest-category select', async (event) =>
+          await HandlerDetails.questSetCategory(event, this._quest, this));
+
          html.on(jquery.click, '.quest-tasks .add-new-task',
           (event) => HandlerDetails.taskAdd(event, this._quest, this));
 
+         html.on(jquery.click, '.actions.tasks .add-subtask',
+          (event) => HandlerDetails.taskAdd(event, this._quest, this));
+
          html.on(jquery.click, '.actions.tasks .delete', async (event) =>
           await HandlerDetails.taskDelete(event, this._quest, this));
 
@@ -460,6 +584,12 @@ export default class QuestPreview extends FormApplication
 
          html.on(jquery.click, 'li.task .toggleState', async (event) =>
           await HandlerDetails.taskToggleState(event, this._quest, this));
+
+         html.on(jquery.click, 'li.task .task-decrement', async (event) =>
+          await HandlerDetails.taskChangeProgress(event, this._quest, this, -1));
+
+         html.on(jquery.click, 'li.task .task-increment', async (event) =>
+          await HandlerDetails.taskChangeProgress(event, this._quest, this, 1));
       }
 
       // Callbacks for GM, trusted player edit, or players who can accept quests.
@@ -467,12 +597,6 @@ export default class QuestPreview extends FormApplication
       {
          html.on(jquery.click, '.actions.quest-status i.delete', async (event) =>
           await HandlerAny.questDelete(event, this._quest));
-
-         html.on(jquery.click, '.actions.quest-status i.move', async (event) =>
-         {
-            await this.saveQuest({ refresh: false });
-            await HandlerAny.questStatusSet(event);
-         });
       }
 
       // Callbacks only for the GM and trusted player edit.
@@ -489,6 +613,21 @@ export default class QuestPreview extends FormApplication
          html.on(jquery.click, '.quest-rewards .add-abstract', (event) =>
           HandlerDetails.rewardAddAbstract(event, this._quest, this));
 
+         html.on(jquery.click, '.quest-rewards .add-currency', async () =>
+          await HandlerDetails.rewardAddAmounts(this._quest, this, 'Currency'));
+
+         html.on(jquery.click, '.quest-rewards .add-experience', async () =>
+          await HandlerDetails.rewardAddAmounts(this._quest, this, 'Experience'));
+
+         html.on(jquery.click, '.actions.rewards .edit-amounts', async (event) =>
+          await HandlerDetails.rewardEditAmounts(event, this._quest, this));
+
+         html.on(jquery.click, '.actions.rewards .edit-quantity', async (event) =>
+          await HandlerDetails.rewardEditQuantity(event, this._quest, this));
+
+         html.on(jquery.click, '.actions.rewards .revoke-claims', async (event) =>
+          await HandlerDetails.rewardRevokeClaims(event, this._quest, this));
+
          html.on(jquery.click, '.actions.rewards .editable', (event) =>
           HandlerDetails.rewardAbstractEditName(event, this._quest, this));
 
@@ -519,17 +658,58 @@ export default class QuestPreview extends FormApplication
          html.on(jquery.click, '.quest-rewards .unlock-all-rewards', async () =>
           await HandlerDetails.rewardsUnlockAll(this._quest, this));
 
+         html.on(jquery.click, '.actions.tasks .edit-target', async (event) =>
+          await HandlerDetails.taskEditTarget(event, this._quest, this));
+
+         html.on(jquery.click, '.actions.tasks .edit-macro', async (event) =>
+          await HandlerDetails.taskEditMacro(event, this._quest, this));
+
+         html.on(jquery.click, '.actions.tasks .edit-prerequisites', async (event) =>
+          await HandlerDetails.taskEditPrerequisites(event, this._quest, this));
+
          html.on(jquery.click, '.actions.tasks .toggleHidden', async (event) =>
           await HandlerDetails.taskToggleHidden(event, this._quest, this));
 
+         html.on(jquery.click, '.actions.tasks .toggleOptional', async (event) =>
+          await HandlerDetails.taskToggleOptional(event, this._quest, this));
+
          // Management view callbacks -------------------------------------------------------------------------------
 
          html.on(jquery.click, '.add-subquest-btn', async () => await HandlerManage.addSubquest(this._quest, this));
 
          html.on(jquery.click, '.configure-perm-btn', () => HandlerManage.configurePermissions(this._quest, this));
 
+         html.on(jquery.click, '.quest-settings .delete-deadline', async () =>
+          await HandlerManage.deleteDeadline(this._quest, this));
+
+         html.on(jquery.click, '.quest-settings .edit-deadline', async () =>
+          await HandlerManage.setDeadline(this._quest, this));
+
+         html.on(jquery.click, '.quest-settings .delete-timer', async () => await QuestTimers.remove(this._quest));
+
+         html.on(jquery.click, '.quest-settings .edit-timer', async () =>
+          await HandlerManage.setTimer(this._quest));
+
+         html.on(jquery.click, '.quest-settings .edit-triggers', async () =>
+          await HandlerManage.setTriggers(this._quest, this));
+
+         html.on(jquery.click, '.quest-settings .pause-timer', async () => await QuestTimers.pause(this._quest));
+
+         html.on(jquery.click, '.quest-settings .reset-timer', async () => await QuestTimers.reset(this._quest));
+
+         html.on(jquery.click, '.quest-settings .start-timer', async () => await QuestTimers.start(this._quest));
+
          html.on(jquery.click, '.delete-splash', async () => await HandlerManage.deleteSplashImage(this._quest, this));
 
+         html.on(jquery.change, '.quest-settings .quest-priority', async (event) =>
+          await HandlerManage.setPriority(event, this._quest, this));
+
+         html.on(jquery.change, '.quest-settings .quest-auto-complete', async (event) =>
+          await HandlerManage.setAutoComplete(event, this._quest, this));
+
+         html.on(jquery.change, '.quest-settings .reward-distribution-group select', async (event) =>
+          await HandlerManage.setRewardDistribution(event, this._quest, this));
+
          html.on(jquery.click, `.quest-splash #splash-as-icon-${this._quest.id}`, async (event) =>
           await HandlerManage.setSplashAsIcon(event, this._quest, this));
 
@@ -640,11 +820,11 @@ export default class QuestPreview extends FormApplication
       this.canEdit = game.user.isGM || (this._quest.isOwner && Utils.isTrustedPlayerEdit());
       this.playerEdit = this._quest.isOwner;
 
-      // By default all normal players and trusted players without ownership of a quest are always on the the default
-      // tab 'details'. In the case of a trusted player who has permissions revoked to access the quest and is on the
+      // By default all normal players and trusted players without ownership of a quest may only view the 'details' and
+      // 'history' tabs. In the case of a trusted player who has permissions revoked to access the quest and is on the
       // 'management' the details tab needs to be activated. This is possible in 'getData' as it is fairly early in the
       // render process. At this time the internal state of the application is '1' for 'RENDERING'.
-      if (!this.canEdit && this._tabs[0] && this._tabs[0].active !== 'details')
+      if (!this.canEdit && this._tabs[0] && !['details', 'history'].includes(this._tabs[0].active))
       {
          this._tabs[0].activate('details');
       }
@@ -654,12 +834,30 @@ export default class QuestPreview extends FormApplication
          isPlayer: !game.user.isGM,
          canAccept: this.canAccept,
          canEdit: this.canEdit,
-         playerEdit: this.playerEdit
+         playerEdit: this.playerEdit,
+         history: Enrich.history(this._quest, this.canEdit),
+         categories: this.canEdit || this.playerEdit ? Utils.getQuestCategories().map((category) => ({
+            id: category.id,
+            name: game.i18n.localize(category.name)
+         })) : []
       };
 
       return foundry.utils.mergeObject(data, content);
    }
 
+   /**
+    * Restores the last quest snapshot undone by {@link QuestPreview.undo}.
+    *
+    * @returns {Promise<void>}
+    */
+   async redo()
+   {
+      if (!this._redoStack.length || !this._canRestoreSnapshot()) { return; }
+
+      this._undoStack.push(s_SNAPSHOT(this._quest.toJSON()));
+      await this._restoreSnapshot(this._redoStack.pop());
+   }
+
    /**
     * Refreshes the QuestPreview window and emits {@link Socket.refreshQuestPreview} so remote clients view of data is
     * updated as well. Any rendered / visible parent and subquests of this quest are also refreshed.
@@ -691,17 +889,24 @@ export default class QuestPreview extends FormApplication
    }
 
    /**
-    * Save the associated quest and refresh this app.
+    * Save the associated quest and refresh this app. A snapshot of the stored quest data is pushed to the undo stack
+    * when the editable content of the quest changes.
     *
     * @param {object} options - Optional parameters
     *
     * @param {boolean} options.refresh - Execute `QuestPreview.refresh`
     *
+    * @param {boolean} [options.recordUndo=true] - Push the stored quest data to the undo stack.
+    *
     * @returns {Promise<void>}
     * @see {@link QuestPreview.refresh}
     */
-   async saveQuest({ refresh = true } = {})
+   async saveQuest({ refresh = true, recordUndo = true } = {})
    {
+      // Snapshot the stored quest data before it is updated.
+      const storedData = this._quest.entry?.getFlag(constants.moduleName, constants.flagDB);
+      const snapshot = recordUndo && typeof storedData === 'object' ? s_SNAPSHOT(storedData) : void 0;
+
       // Save any altered content from the TinyMCE editors.
       for (const key of Object.keys(this.editors))
       {
@@ -714,8 +919,82 @@ export default class QuestPreview extends FormApplication
          }
       }
 
-      await this._quest.save();
+      const saved = await this._quest.save();
+
+      if (saved && typeof snapshot === 'object' && s_SNAPSHOT_KEY(snapshot) !==
+       s_SNAPSHOT_KEY(s_SNAPSHOT(this._quest.entry?.getFlag(constants.moduleName, constants.flagDB) ?? {})))
+      {
+         this._undoStack.push(snapshot);
+         if (this._undoStack.length > s_UNDO_MAX) { this._undoStack.shift(); }
+
+         this._redoStack.length = 0;
+      }
 
       return refresh ? this.refresh() : void 0;
    }
+
+   /**
+    * Restores the quest snapshot from before the last change saved in {@link QuestPreview.saveQuest}.
+    *
+    * @returns {Promise<void>}
+    */
+   async undo()
+   {
+      if (!this._undoStack.length || !this._canRestoreSnapshot()) { return; }
+
+      this._redoStack.push(s_SNAPSHOT(this._quest.toJSON()));
+      await this._restoreSnapshot(this._undoStack.pop());
+   }
 }
+
+/**
+ * Keeps the macro of tasks that still exist when a snapshot is restored as task macros are quest triggers; see
+ * {@link QuestTriggers}.
+ *
+ * @param {object[]}             tasks - The restored task data.
+ *
+ * @param {Map<string, string>}  macros - The current task macros by task UUIDv4.
+ */
+const s_RESTORE_MACROS = (tasks, macros) =>
+{
+   if (!Array.isArray(tasks)) { return; }
+
+   for (const task of tasks)
+   {
+      if (macros.has(task.uuidv4)) { task.macro = macros.get(task.uuidv4); }
+      s_RESTORE_MACROS(task.tasks, macros);
+   }
+};
+
+/**
+ * Creates a snapshot of the editable content fields of quest data; see {@link s_SNAPSHOT_FIELDS}.
+ *
+ * @param {QuestData}   questData - The quest data.
+ *
+ * @returns {object} The quest snapshot.
+ */
+const s_SNAPSHOT = (questData) =>
+{
+   // Serialize tasks and rewards through their `toJSON` methods as `deepClone` does not copy class instances.
+   const data = JSON.parse(JSON.stringify(questData));
+
+   const snapshot = {};
+
+   for (const field of s_SNAPSHOT_FIELDS) { snapshot[field] = data[field]; }
+
+   snapshot.tasks = snapshot.tasks ?? [];
+   snapshot.rewards = snapshot.rewards ?? [];
+
+   return snapshot;
+};
+
+/**
+ * Serializes a quest snapshot for comparison. The claim ledger and task macros are not compared as they are not
+ * restored.
+ *
+ * @param {object}   snapshot - The quest snapshot.
+ *
+ * @returns {string} The serialized snapshot.
+ */
+const s_SNAPSHOT_KEY = (snapshot) => JSON.stringify(snapshot, (key, value) =>
+ (key === 'claims' || key === 'macro' ? void 0 : value));
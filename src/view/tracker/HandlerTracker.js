@@ -3,7 +3,7 @@ import QuestAPI         from '../../control/public/QuestAPI.js';
 import QuestDB          from '../../control/QuestDB.js';
 import Socket           from '../../control/Socket.js';
 
-import { constants, sessionConstants, settings } from '../../model/constants.js';
+import { constants, jquery, sessionConstants, settings } from '../../model/constants.js';
 
 /**
  * Provides all {@link JQuery} and {@link PointerEvent} callbacks for the {@link QuestTracker}.
@@ -110,12 +110,16 @@ export default class HandlerTracker
    }
 
    /**
-    * Handles toggling {@link Quest} tasks when clicked on by a user that is the GM or owner of quest.
+    * Handles toggling {@link Quest} tasks when clicked on by a user that is the GM or owner of quest. A click increments
+    * and a right-click decrements counter objectives.
     *
-    * @param {JQuery.ClickEvent} event - JQuery.ClickEvent
+    * @param {JQuery.ClickEvent|JQuery.ContextMenuEvent} event - JQuery.ClickEvent or JQuery.ContextMenuEvent
     */
    static async questTaskToggle(event)
    {
+      const decrement = event.type === jquery.contextmenu;
+      if (decrement) { event.preventDefault(); }
+
       // Don't handle any clicks of internal anchor elements such as entity content links.
       if ($(event.target).is('.quest-tracker-task a')) { return; }
 
@@ -127,9 +131,9 @@ export default class HandlerTracker
       if (quest)
       {
          const task = quest.getTask(uuidv4);
-         if (task)
+         // Locked tasks can not be toggled.
+         if (task && (decrement ? task.setProgress(task.current - 1) : task.toggle()))
          {
-            task.toggle();
             await quest.save();
 
             Socket.refreshQuestPreview({
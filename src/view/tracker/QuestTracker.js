@@ -283,6 +283,9 @@ export default class QuestTracker extends Application
       html.on(jquery.click, '.quest-tracker-task', void 0, async (event) =>
        await HandlerTracker.questTaskToggle(event));
 
+      html.on(jquery.contextmenu, '.quest-tracker-task', void 0, async (event) =>
+       await HandlerTracker.questTaskToggle(event));
+
       /**
        * @type {JQuery} The window header element.
        *
@@ -432,7 +435,7 @@ export default class QuestTracker extends Application
        * @type {Collection}
        */
       const questEntries = showOnlyPrimary ? collect(primaryQuest ? [primaryQuest] : []) :
-       QuestDB.sortCollect({ status: questStatus.active });
+       QuestDB.sortCollect({ status: questStatus.active, sortActive: QuestDB.Sort.PRIORITY });
 
       const isGM = game.user.isGM;
       const isTrustedPlayerEdit = Utils.isTrustedPlayerEdit();
@@ -442,7 +445,8 @@ export default class QuestTracker extends Application
          const q = entry.enrich;
          const collapsed = sessionStorage.getItem(`${sessionConstants.trackerFolderState}${q.id}`) === 'false';
 
-         const tasks = collapsed ? q.data_tasks : [];
+         // Only unlocked objectives are shown in the tracker.
+         const tasks = collapsed ? q.data_tasks.filter((t) => !t.locked) : [];
          const subquests = collapsed ? q.data_subquest : [];
 
          return {
@@ -456,6 +460,10 @@ export default class QuestTracker extends Application
             isInactive: q.isInactive,
             isPersonal: q.isPersonal,
             personalActors: q.personalActors,
+            priority: q.priority,
+            priorityLabel: q.priorityLabel,
+            deadline: q.data_deadline,
+            timer: q.data_timer,
             hasObjectives: q.hasObjectives,
             subquests,
             tasks